@@ -5,9 +5,25 @@
  */ 
 
 // Global variables - will be populated by icon-loader.js
-let iconsData = [];
-let filteredIcons = [];
-let currentCategory = 'all';
+// (declared with var so icon-loader.js can reach them through window)
+var iconsData = [];
+var filteredIcons = [];
+var currentCategory = 'all';
+
+// Highlight ranges in each icon's name for the current search
+let searchHighlights = new Map();
+
+// Copy modal state - the variant being shown and the colour chosen for it
+// (null = original file, THEMED_COLOURS = theme tokens, see theme.js)
+const THEMED_COLOURS = 'theme';
+let modalIcon = null;
+let modalColour = null;
+let modalFramework = 'react';
+
+// Virtual grid state - the slice of filteredIcons that is mounted and the measured row height
+let gridWindow = null;
+let gridRowHeight = 0;
+let gridFrameRequested = false;
 
 // Initialize the app
 function init() {
@@ -17,26 +33,42 @@ function init() {
     setupEventListeners();
 }
 
+// Format category names for display
+function formatCategoryName(category) {
+    if (category === 'all') return 'All Icons';
+    if (category === 'blue-default') return 'Blue Default';
+    if (category === 'grey') return 'Grey';
+    // Favourites, recent copies and collections (library.js)
+    if (typeof getUserCategory === 'function' && getUserCategory(category)) return getUserCategory(category).label;
+    // Fallback for any other categories
+    return category.charAt(0).toUpperCase() + category.slice(1).replace(/-/g, ' ');
+}
+
 // Render category buttons
 function renderCategories() {
     const categories = ['all', ...new Set(iconsData.map(icon => icon.category))];
     const categoriesContainer = document.getElementById('categories');
     
-    // Function to format category names for display
-    function formatCategoryName(category) {
-        if (category === 'all') return 'All Icons';
-        if (category === 'blue-default') return 'Blue Default';
-        if (category === 'grey') return 'Grey';
-        // Fallback for any other categories
-        return category.charAt(0).toUpperCase() + category.slice(1).replace(/-/g, ' ');
-    }
-    
     categoriesContainer.innerHTML = categories.map(category => `
-        <button class="category-btn ${category === 'all' ? 'active' : ''}" data-category="${category}">
-            <svg class="folder-icon" viewBox="0 0 24 24">
+        <button class="category-btn ${category === currentCategory ? 'active' : ''}" data-category="${escapeHtml(category)}" aria-pressed="${category === currentCategory}">
+            <svg class="folder-icon" viewBox="0 0 24 24" aria-hidden="true">
                 <path d="M10 4H4c-1.11 0-2 .89-2 2v12c0 1.11.89 2 2 2h16c1.11 0 2-.89 2-2V8c0-1.11-.89-2-2-2h-8l-2-2z"/>
             </svg>
-            ${formatCategoryName(category)}
+            ${escapeHtml(formatCategoryName(category))}
+        </button>
+    `).join('') + renderLibraryCategories();
+}
+
+// Favourites, recent copies and collections after the real categories (library.js)
+function renderLibraryCategories() {
+    if (typeof getUserCategories !== 'function') return '';
+    
+    const symbols = { favourites: '★', recent: '🕘', collection: '📁' };
+    return getUserCategories().map(category => `
+        <button class="category-btn library-category ${category.id === currentCategory ? 'active' : ''}" data-category="${escapeHtml(category.id)}" aria-pressed="${category.id === currentCategory}">
+            <span aria-hidden="true">${symbols[category.kind]}</span>
+            ${escapeHtml(category.label)}
+            <span class="category-count">${category.refs.length}</span>
         </button>
     `).join('');
 }
@@ -46,8 +78,11 @@ function renderIcons() {
     const iconsGrid = document.getElementById('iconsGrid');
     const noResults = document.getElementById('noResults');
     
+    gridWindow = null;
+    
     if (filteredIcons.length === 0) {
         iconsGrid.style.display = 'none';
+        iconsGrid.innerHTML = '';
         noResults.style.display = 'block';
         return;
     }
@@ -55,50 +90,340 @@ function renderIcons() {
     iconsGrid.style.display = 'grid';
     noResults.style.display = 'none';
     
-    iconsGrid.innerHTML = filteredIcons.map(icon => `
-        <div class="icon-item" onclick="openCopyModal('${icon.name}')">
-            ${icon.svg}
-            <div class="icon-name">${icon.name}</div>
+    renderGridWindow();
+}
+
+// Markup for one grid item. Names come from file names and listings, so they are
+// escaped; SVGs are sanitised by the loader. Items are keyboard buttons named after
+// the icon, so the artwork itself is hidden from screen readers
+function renderIconItem(icon, index) {
+    return `
+        <div class="icon-item${typeof isIconSelected === 'function' && isIconSelected(icon) ? ' selected' : ''}" role="button" tabindex="-1" aria-label="${escapeHtml(getIconItemLabel(icon))}" data-index="${index}" data-name="${escapeHtml(icon.name)}" data-category="${escapeHtml(icon.category)}"${icon.svg ? '' : ' data-pending'}>
+            ${icon.svg ? getIconPreview(icon) : '<div class="icon-placeholder"></div>'}
+            <div class="icon-name" title="${escapeHtml(icon.name)}">${highlightName(icon)}</div>
+            ${renderLintBadge(icon)}
+            ${icon.contributed ? `<span class="contribution-badge">${icon.generated ? 'Generated' : 'New'}</span>` : ''}
         </div>
-    `).join('');
+    `;
 }
 
-// Filter icons
-function filterIcons() {
-    const searchTerm = document.getElementById('searchInput').value.toLowerCase();
+// Grid artwork for a loaded icon, in theme colours once a theme has loaded
+function getIconPreview(icon) {
+    return labelSvg(typeof getPreviewSvg === 'function' ? getPreviewSvg(icon) : icon.svg, null);
+}
+
+// Columns, row height and scroll offset of the grid, or null when it can't be
+// measured (virtual grid turned off, or no layout yet) - everything is mounted then
+function measureGrid() {
+    const iconsGrid = document.getElementById('iconsGrid');
+    if (!CONFIG.virtualGrid || filteredIcons.length === 0) return null;
     
-    filteredIcons = iconsData.filter(icon => {
-        const matchesSearch = icon.name.toLowerCase().includes(searchTerm) || 
-                            icon.category.toLowerCase().includes(searchTerm);
-        const matchesCategory = currentCategory === 'all' || icon.category === currentCategory;
-        return matchesSearch && matchesCategory;
+    const style = getComputedStyle(iconsGrid);
+    const columns = countGridColumns(style.gridTemplateColumns);
+    if (!columns) return null;
+    
+    if (!gridRowHeight) {
+        // Mount one item to measure if the grid is empty
+        if (!iconsGrid.querySelector('.icon-item')) iconsGrid.innerHTML = renderIconItem(filteredIcons[0], 0);
+        const item = iconsGrid.querySelector('.icon-item');
+        gridRowHeight = item.offsetHeight ? item.offsetHeight + (parseFloat(style.rowGap) || 0) : 0;
+    }
+    if (!gridRowHeight) return null;
+    
+    return {
+        columns,
+        rowHeight: gridRowHeight,
+        // Distance scrolled past the top of the grid (negative while it is below the top of the viewport)
+        scrollTop: -iconsGrid.getBoundingClientRect().top
+    };
+}
+
+// Mount the items in and near the viewport; the rest of the grid's height is padding
+function renderGridWindow() {
+    const iconsGrid = document.getElementById('iconsGrid');
+    const layout = measureGrid();
+    const range = layout
+        ? getGridWindow({
+            itemCount: filteredIcons.length,
+            columns: layout.columns,
+            rowHeight: layout.rowHeight,
+            scrollTop: layout.scrollTop,
+            viewportHeight: window.innerHeight,
+            overscan: CONFIG.overscanRows
+        })
+        : getGridWindow({ itemCount: filteredIcons.length });
+    
+    if (gridWindow && gridWindow.start === range.start && gridWindow.end === range.end) return;
+    gridWindow = range;
+    
+    // Keep keyboard focus on the same icon when its item is rebuilt
+    const focused = iconsGrid.contains(document.activeElement) ? document.activeElement.dataset.name : null;
+    
+    iconsGrid.style.paddingTop = range.paddingTop ? `${range.paddingTop}px` : '';
+    iconsGrid.style.paddingBottom = range.paddingBottom ? `${range.paddingBottom}px` : '';
+    iconsGrid.innerHTML = filteredIcons
+        .slice(range.start, range.end)
+        .map((icon, offset) => renderIconItem(icon, range.start + offset))
+        .join('');
+    
+    // SVG bodies that haven't been fetched yet load as they scroll into view
+    if (typeof observeLazyIcons === 'function') observeLazyIcons(iconsGrid);
+    if (typeof updateGridTabStop === 'function') updateGridTabStop();
+    
+    if (focused) {
+        const item = Array.from(iconsGrid.querySelectorAll('.icon-item')).find(other => other.dataset.name === focused);
+        if (item) item.focus({ preventScroll: true });
+    }
+}
+
+// Re-window on the next frame (scrolling and resizing)
+function scheduleGridWindow() {
+    if (gridFrameRequested || filteredIcons.length === 0) return;
+    gridFrameRequested = true;
+    requestAnimationFrame(() => {
+        gridFrameRequested = false;
+        renderGridWindow();
     });
+}
+
+// Mount the item at an index of filteredIcons, scrolling to it if needed, and return it
+function revealGridItem(index) {
+    if (index < 0 || index >= filteredIcons.length) return null;
+    
+    const find = () => document.querySelector(`#iconsGrid .icon-item[data-index="${index}"]`);
+    if (find()) return find();
+    
+    const layout = measureGrid();
+    if (!layout) return null;
+    
+    const itemTop = getItemScrollTop(index, layout.columns, layout.rowHeight) - layout.scrollTop;
+    window.scrollBy(0, itemTop - (window.innerHeight - layout.rowHeight) / 2);
+    renderGridWindow();
+    return find();
+}
+
+// First icon at least partly on screen and where it is, so a new filter can keep it in place
+function getGridScrollAnchor() {
+    const iconsGrid = document.getElementById('iconsGrid');
+    if (iconsGrid.getBoundingClientRect().top >= 0) return null;
+    
+    const item = Array.from(iconsGrid.querySelectorAll('.icon-item'))
+        .find(other => other.getBoundingClientRect().bottom > 0);
+    return item ? { name: item.dataset.name, top: item.getBoundingClientRect().top } : null;
+}
+
+// Scroll so the anchor icon is back where it was; if it was filtered out the
+// scroll position is left as it is
+function restoreGridScrollAnchor(anchor) {
+    const index = filteredIcons.findIndex(icon => icon.name === anchor.name);
+    const layout = index === -1 ? null : measureGrid();
+    
+    if (layout) {
+        const itemTop = getItemScrollTop(index, layout.columns, layout.rowHeight) - layout.scrollTop;
+        window.scrollBy(0, itemTop - anchor.top);
+    }
+    renderGridWindow();
+}
+
+// Accessible name of a grid item, e.g. "icn_cash_notes, Grey, 2 lint issues"
+function getIconItemLabel(icon) {
+    const issues = (icon.lintIssues || []).length;
+    return [
+        icon.name,
+        formatCategoryName(icon.category),
+        icon.contributed ? (icon.generated ? 'generated contribution' : 'new contribution') : '',
+        issues > 0 ? `${issues} lint issue${issues === 1 ? '' : 's'}` : ''
+    ].filter(Boolean).join(', ');
+}
+
+// Escape text for use in HTML markup and attributes
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Icon name with the parts matched by the search wrapped in <mark>
+function highlightName(icon) {
+    const ranges = searchHighlights.get(icon) || [];
+    let html = '';
+    let position = 0;
+    
+    ranges.forEach(([start, end]) => {
+        html += escapeHtml(icon.name.slice(position, start));
+        html += `<mark>${escapeHtml(icon.name.slice(start, end))}</mark>`;
+        position = end;
+    });
+    
+    return html + escapeHtml(icon.name.slice(position));
+}
+
+// Warning badge for icons that break the lint rules
+function renderLintBadge(icon) {
+    const issues = icon.lintIssues || [];
+    if (issues.length === 0) return '';
+    
+    const hasErrors = issues.some(item => item.severity === 'error');
+    const title = escapeHtml(issues.map(item => `${item.rule}: ${item.message}`).join('\n'));
+    return `<span class="lint-badge ${hasErrors ? 'lint-error' : ''}" title="${title}">${issues.length}</span>`;
+}
+
+// Find the grid item for an icon
+function findIconElement(icon) {
+    return Array.from(document.querySelectorAll('#iconsGrid .icon-item')).find(item =>
+        item.dataset.category === icon.category && item.dataset.name === icon.name
+    );
+}
+
+// Swap the placeholder for the SVG once it has loaded
+function updateIconElement(icon) {
+    const item = findIconElement(icon);
+    if (!item || !item.hasAttribute('data-pending')) return;
+    
+    const placeholder = item.querySelector('.icon-placeholder');
+    if (placeholder) placeholder.outerHTML = getIconPreview(icon);
+    item.removeAttribute('data-pending');
+    
+    // Content rules run once the SVG is loaded, so the badge may have changed
+    const badge = item.querySelector('.lint-badge');
+    if (badge) badge.remove();
+    item.insertAdjacentHTML('beforeend', renderLintBadge(icon));
+    item.setAttribute('aria-label', getIconItemLabel(icon));
+}
+
+// Remove the grid item for an icon whose file is missing
+function removeIconElement(icon) {
+    const item = findIconElement(icon);
+    if (!item) return;
+    item.remove();
+    if (typeof updateGridTabStop === 'function') updateGridTabStop();
+}
+
+// Icons matching the current search and category - one entry per icon, showing
+// the selected category's variant (or the first variant found for "all"),
+// ranked by search relevance when there is a search term
+function getFilteredIcons() {
+    const searchInput = document.getElementById('searchInput');
+    const searchTerm = searchInput ? searchInput.value.trim() : '';
+    
+    // Virtual categories list their own variants, in their own order
+    const icons = typeof isLibraryCategory === 'function' && isLibraryCategory(currentCategory)
+        ? getUserCategoryIcons(currentCategory)
+        : getCategoryVariants(iconsData, currentCategory);
+    
+    const result = filterIconsByQuery(icons, searchTerm);
+    searchHighlights = result.highlights;
+    return result.icons;
+}
+
+// Filter icons
+function filterIcons() {
+    const anchor = getGridScrollAnchor();
+    filteredIcons = getFilteredIcons();
     
     renderIcons();
+    if (anchor) restoreGridScrollAnchor(anchor);
     updateStats();
+    if (typeof syncUrlState === 'function') syncUrlState();
+}
+
+// Switch the category filter
+function selectCategory(category) {
+    document.querySelectorAll('.category-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.category === category);
+        btn.setAttribute('aria-pressed', String(btn.dataset.category === category));
+    });
+    currentCategory = category;
+    filterIcons();
+    if (typeof updateLibraryActions === 'function') updateLibraryActions();
 }
 
 // Update statistics
 function updateStats() {
-    document.getElementById('totalCount').textContent = `${iconsData.length} icons total`;
+    const iconCount = new Set(iconsData.map(icon => icon.name)).size;
+    document.getElementById('totalCount').textContent = `${iconCount} icons total`;
     document.getElementById('visibleCount').textContent = `${filteredIcons.length} icons visible`;
 }
 
 // Setup event listeners
 function setupEventListeners() {
-    // Search input
-    document.getElementById('searchInput').addEventListener('input', filterIcons);
+    // Search input - filtered once typing pauses
+    document.getElementById('searchInput').addEventListener('input', debounce(filterIcons, CONFIG.searchDebounce));
+    
+    // Mount grid rows as they scroll into view; a resize can change the columns and row height
+    window.addEventListener('scroll', scheduleGridWindow, { passive: true });
+    window.addEventListener('resize', () => {
+        gridRowHeight = 0;
+        gridWindow = null;
+        scheduleGridWindow();
+    });
+    
+    // Icon grid
+    document.getElementById('iconsGrid').addEventListener('click', (e) => {
+        const item = e.target.closest('.icon-item');
+        if (!item) return;
+        if (typeof handleSelectionClick === 'function' && handleSelectionClick(item, e)) return;
+        openCopyModal(item.dataset.name, item.dataset.category);
+    });
     
     // Category buttons
     document.getElementById('categories').addEventListener('click', (e) => {
-        if (e.target.classList.contains('category-btn')) {
-            document.querySelectorAll('.category-btn').forEach(btn => btn.classList.remove('active'));
-            e.target.classList.add('active');
-            currentCategory = e.target.dataset.category;
-            filterIcons();
+        const button = e.target.closest('.category-btn');
+        if (button) {
+            selectCategory(button.dataset.category);
         }
     });
     
+    // Colour variant and recolouring controls
+    document.getElementById('variantButtons').addEventListener('click', (e) => {
+        const button = e.target.closest('.variant-btn');
+        if (!button) return;
+        const variant = iconsData.find(i => i.name === modalIcon.name && i.category === button.dataset.category);
+        if (variant) selectModalVariant(variant);
+    });
+    
+    document.getElementById('customColour').addEventListener('input', (e) => {
+        document.getElementById('themeToken').value = '';
+        setModalColour(e.target.value.toUpperCase());
+    });
+    
+    document.getElementById('colourModeButtons').addEventListener('click', (e) => {
+        const button = e.target.closest('.variant-btn');
+        if (!button) return;
+        document.getElementById('themeToken').value = '';
+        setModalColour({ file: null, themed: THEMED_COLOURS, current: 'currentColor' }[button.dataset.colour]);
+    });
+    
+    document.getElementById('themeToken').addEventListener('change', (e) => {
+        setModalColour(e.target.value ? getThemeColour(iconTheme, e.target.value) : null);
+    });
+    
+    // Framework component tabs
+    document.getElementById('componentTabs').addEventListener('click', (e) => {
+        const tab = e.target.closest('.component-tab');
+        if (!tab) return;
+        modalFramework = tab.dataset.framework;
+        document.querySelectorAll('.component-tab').forEach(btn => {
+            btn.classList.toggle('active', btn === tab);
+        });
+        updateModalSnippets();
+    });
+    
+    // Accessible name (or none) used in the copied snippets
+    document.getElementById('snippetA11y').addEventListener('change', (e) => {
+        document.getElementById('snippetLabel').disabled = e.target.value === 'decorative';
+        updateModalSnippets();
+    });
+    document.getElementById('snippetLabel').addEventListener('input', updateModalSnippets);
+    
+    // Raster export size
+    document.getElementById('exportScale').addEventListener('change', (e) => {
+        document.getElementById('exportCustomSize').style.display = e.target.value === 'custom' ? 'inline-block' : 'none';
+    });
+    
     // Close modal when clicking outside
     document.getElementById('copyModal').addEventListener('click', (e) => {
         if (e.target.id === 'copyModal') {
@@ -108,21 +433,246 @@ function setupEventListeners() {
 }
 
 // Open copy modal
-function openCopyModal(iconName) {
-    const icon = iconsData.find(i => i.name === iconName);
+function openCopyModal(iconName, category) {
+    const variants = iconsData.filter(i => i.name === iconName);
+    const icon = variants.find(i => i.category === category) || variants[0];
     if (!icon) return;
     
     document.getElementById('modalTitle').textContent = `Copy "${icon.name}" Icon`;
-    document.getElementById('svgCode').textContent = icon.svg;
-    document.getElementById('filePath').textContent = icon.path;
-    document.getElementById('imgTag').textContent = `<img src="${icon.path}" alt="${icon.name}" />`;
-    
+    document.getElementById('modalDescription').textContent = [
+        icon.description,
+        (icon.tags || []).concat(icon.synonyms || []).join(', ')
+    ].filter(Boolean).join(' · ');
+    document.getElementById('snippetLabel').value = '';
+    document.getElementById('snippetLabel').placeholder = getIconLabel(icon);
     document.getElementById('copyModal').style.display = 'block';
+    selectModalVariant(icon);
+    if (typeof focusCopyModal === 'function') focusCopyModal();
+}
+
+// Show one of the icon's colour variants in the modal
+function selectModalVariant(icon) {
+    modalIcon = icon;
+    modalColour = THEMED_COLOURS;
+    
+    document.getElementById('customColour').value = (PALETTES[icon.category] || ['#000000'])[0];
+    document.getElementById('themeToken').value = '';
+    
+    document.getElementById('variantButtons').innerHTML = iconsData
+        .filter(i => i.name === icon.name)
+        .map(variant => `
+            <button class="variant-btn ${variant === icon ? 'active' : ''}" data-category="${escapeHtml(variant.category)}">
+                ${escapeHtml(formatCategoryName(variant.category))}
+            </button>
+        `).join('');
+    
+    updateColourModeButtons();
+    updateModalSnippets();
+    if (typeof updateModalLibraryControls === 'function') updateModalLibraryControls();
+    if (typeof syncUrlState === 'function') syncUrlState();
+    
+    // Icon hasn't scrolled into view yet - fetch it now
+    if (!icon.svg && typeof fetchIconSVG === 'function') {
+        fetchIconSVG(icon).then(() => {
+            if (modalIcon === icon) updateModalSnippets();
+        });
+    }
+}
+
+// Recolour the modal icon (hex, currentColor, a theme token or THEMED_COLOURS); null restores the original file
+function setModalColour(colour) {
+    modalColour = colour;
+    document.querySelectorAll('#variantButtons .variant-btn').forEach(btn => {
+        btn.classList.toggle('active', (!colour || colour === THEMED_COLOURS) && btn.dataset.category === modalIcon.category);
+    });
+    updateColourModeButtons();
+    updateModalSnippets();
+}
+
+// Highlight the file colours / themed / currentColor button that matches the modal colour
+function updateColourModeButtons() {
+    const mode = !modalColour ? 'file' : modalColour === THEMED_COLOURS ? 'themed' : modalColour === 'currentColor' ? 'current' : null;
+    document.querySelectorAll('#colourModeButtons .variant-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.colour === mode);
+        btn.setAttribute('aria-pressed', String(btn.dataset.colour === mode));
+    });
+}
+
+// SVG markup for the modal icon in the chosen colour
+function getModalSvg() {
+    if (!modalIcon || !modalIcon.svg) return null;
+    if (!modalColour) return modalIcon.svg;
+    if (modalColour === THEMED_COLOURS) {
+        return typeof getThemedSvg === 'function' ? getThemedSvg(modalIcon.svg) : modalIcon.svg;
+    }
+    return recolourSvg(modalIcon.svg, modalColour, PALETTES[modalIcon.category]);
+}
+
+// Accessible name for the copied snippets - the typed label or the icon's
+// default one, or null when the icon is marked as decorative
+function getSnippetLabel() {
+    if (document.getElementById('snippetA11y').value === 'decorative') return null;
+    return document.getElementById('snippetLabel').value.trim() || getIconLabel(modalIcon);
+}
+
+// Refresh the preview and copy snippets from the modal state
+function updateModalSnippets() {
+    const icon = modalIcon;
+    const svg = getModalSvg();
+    const snippets = generateIconSnippets(icon, svg, getSnippetLabel());
+    
+    document.getElementById('colourPreview').innerHTML = svg ? labelSvg(svg, null) : '';
+    document.getElementById('svgCode').textContent = snippets.svg ||
+        (icon.missing ? 'SVG file could not be loaded' : 'Loading SVG...');
+    updateOptimisedSnippet(snippets.svg);
+    document.getElementById('filePath').textContent = snippets.path;
+    document.getElementById('imgTag').textContent = snippets.img;
+    document.getElementById('spriteTag').textContent = snippets.sprite;
+    document.getElementById('fontTag').textContent = snippets.font;
+    document.getElementById('fontCodepoint').textContent = icon.codepoint
+        ? `Codepoint ${formatCodepoint(icon.codepoint)} · CSS content "${getCssContent(icon.codepoint)}"`
+        : 'Not in the icon font yet - run node tools/build-font.js';
+    document.getElementById('componentCode').textContent = icon.svg
+        ? generateComponent(modalFramework, icon).code
+        : document.getElementById('svgCode').textContent;
+    
+    renderLintWarnings(icon);
+    if (typeof renderIconDetail === 'function') renderIconDetail(icon, svg);
+}
+
+// Optimised copy of the modal SVG, with the bytes it saves
+function updateOptimisedSnippet(svg) {
+    const code = document.getElementById('optimisedSvgCode');
+    const savings = document.getElementById('optimisedSavings');
+    
+    if (!svg) {
+        code.textContent = document.getElementById('svgCode').textContent;
+        savings.textContent = '';
+        return;
+    }
+    
+    try {
+        const optimised = optimiseSvg(svg);
+        const { before, after, percent } = getOptimisationSavings(svg, optimised);
+        code.textContent = optimised;
+        savings.textContent = `${before} → ${after} bytes (${percent}% smaller)`;
+    } catch (error) {
+        code.textContent = svg;
+        savings.textContent = `Could not optimise this SVG: ${error.message}`;
+    }
+}
+
+// Download the generated component for the active framework tab
+function downloadModalComponent() {
+    if (!modalIcon || !modalIcon.svg) return;
+    
+    const component = generateComponent(modalFramework, modalIcon);
+    downloadBlob(new Blob([component.code], { type: 'text/plain' }), component.filename);
+}
+
+// Download the modal icon in the chosen colour as its own SVG file
+function downloadModalVariant() {
+    const svg = getModalSvg();
+    if (!svg) return;
+    
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    downloadBlob(blob, `${getModalFileName()}.svg`);
+}
+
+// File name (without extension) for downloads of the modal icon
+function getModalFileName() {
+    const suffix = !modalColour ? modalIcon.category
+        : modalColour === THEMED_COLOURS ? `${modalIcon.category}-themed`
+        : getColourSlug(modalColour);
+    return `${modalIcon.name}_${suffix}`;
+}
+
+// Save a blob as a file
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+    
+    showNotification(`Downloaded ${filename}`);
+}
+
+// Raster export settings from the modal
+function getExportOptions() {
+    const scale = document.getElementById('exportScale').value;
+    const size = scale === 'custom'
+        ? parseInt(document.getElementById('exportCustomSize').value, 10)
+        : BASE_SIZE * parseInt(scale, 10);
+    
+    return {
+        size: Math.max(8, Math.min(size || BASE_SIZE, 2048)),
+        padding: parseFloat(document.getElementById('exportPadding').value) || 0,
+        background: document.getElementById('exportBackgroundEnabled').checked
+            ? document.getElementById('exportBackground').value
+            : null
+    };
+}
+
+// Download the modal icon as PNG or WebP
+async function downloadRaster(format) {
+    const svg = getModalSvg();
+    if (!svg) return;
+    
+    try {
+        const options = getExportOptions();
+        const blob = await exportRaster(svg, format, options);
+        
+        // Browsers without a WebP encoder hand back a PNG instead
+        const extension = blob.type === 'image/webp' ? 'webp' : 'png';
+        if (format === 'webp' && extension !== 'webp') {
+            showNotification('WebP is not supported by this browser - saved as PNG');
+        }
+        
+        downloadBlob(blob, `${getModalFileName()}_${options.size}px.${extension}`);
+    } catch (error) {
+        console.error('❌ Raster export failed:', error);
+        showNotification(`Export failed: ${error.message}`);
+    }
+}
+
+// Download the modal icon as a multi-size favicon
+async function downloadIco() {
+    const svg = getModalSvg();
+    if (!svg) return;
+    
+    try {
+        const blob = await exportIco(svg, getExportOptions());
+        downloadBlob(blob, `${getModalFileName()}.ico`);
+    } catch (error) {
+        console.error('❌ ICO export failed:', error);
+        showNotification(`Export failed: ${error.message}`);
+    }
+}
+
+// List the icon's lint issues in the modal
+function renderLintWarnings(icon) {
+    const issues = icon.lintIssues || [];
+    const container = document.getElementById('lintWarnings');
+    const list = document.getElementById('lintWarningList');
+    
+    container.style.display = issues.length > 0 ? 'block' : 'none';
+    list.innerHTML = '';
+    issues.forEach(item => {
+        const entry = document.createElement('li');
+        entry.className = item.severity === 'error' ? 'lint-error' : '';
+        entry.textContent = `${item.rule}: ${item.message}`;
+        list.appendChild(entry);
+    });
 }
 
 // Close copy modal
 function closeCopyModal() {
     document.getElementById('copyModal').style.display = 'none';
+    modalIcon = null;
+    if (typeof syncUrlState === 'function') syncUrlState();
+    if (typeof restoreModalFocus === 'function') restoreModalFocus();
 }
 
 // Copy to clipboard
@@ -142,9 +692,12 @@ async function copyToClipboard(elementId, type) {
         document.body.removeChild(textArea);
         showNotification(`${type} copied to clipboard!`);
     }
+    
+    // Every copy button is in the modal, so the copy was of the modal icon
+    if (modalIcon && typeof recordRecentCopy === 'function') recordRecentCopy(modalIcon, type);
 }
 
-// Show notification
+// Show notification (the element is a polite live region, so it is also read out)
 function showNotification(message) {
     const notification = document.getElementById('copyNotification');
     notification.textContent = message;
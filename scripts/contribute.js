@@ -0,0 +1,185 @@
+/**
+ * Contribute icons
+ * Drop new SVG files onto the gallery to check them against the library's
+ * rules (icon-contribute.js) and see them in the grid, marked as new, with
+ * their missing colour variants generated. The result downloads as a ZIP
+ * laid out like the repository - icons/<category>/<name>.svg and an
+ * updated icons-index.json - ready to unpack over a checkout.
+ * @author Archie M
+ *
+ */
+
+let contributeMode = false;
+
+// Every file dropped, in drop order - rejected ones too, so their issues can be shown
+let contributions = [];
+
+function getLibraryIcons() {
+    return iconsData.filter(icon => !icon.contributed);
+}
+
+function toggleContributeMode() {
+    contributeMode = !contributeMode;
+    document.body.classList.toggle('contribute-mode', contributeMode);
+    document.getElementById('contributePanel').style.display = contributeMode ? 'block' : 'none';
+
+    const button = document.getElementById('contributeBtn');
+    button.textContent = contributeMode ? 'Done contributing' : 'Contribute';
+    button.setAttribute('aria-pressed', String(contributeMode));
+}
+
+// Check dropped files; a file dropped again replaces the earlier copy
+async function addContributionFiles(files) {
+    if (!window.iconsData || iconsData.length === 0) {
+        showNotification('Wait for the icons to load before contributing');
+        return;
+    }
+
+    const svgFiles = Array.from(files).filter(file => /\.svg$/i.test(file.name) || file.type === 'image/svg+xml');
+    if (svgFiles.length === 0) {
+        showNotification('Only SVG files can be contributed');
+        return;
+    }
+
+    for (const file of svgFiles) {
+        const text = await file.text();
+        contributions = contributions.filter(contribution => contribution.fileName !== file.name);
+
+        const accepted = contributions.filter(isAcceptedContribution);
+        const contribution = createContribution(file.name, text, [...getLibraryIcons(), ...accepted]);
+
+        // Anything the sanitiser would strip has no place in the library either
+        const sanitised = sanitizeSvg(text);
+        if (sanitised.modified) {
+            contribution.issues.push({ rule: 'unsafe-content', severity: 'error', message: sanitised.removed.join(', ') });
+        }
+        contributions.push(contribution);
+    }
+
+    refreshContributions();
+    const rejected = svgFiles.length - svgFiles.filter(file =>
+        contributions.some(contribution => contribution.fileName === file.name && isAcceptedContribution(contribution))).length;
+    showNotification(rejected > 0
+        ? `${rejected} of ${svgFiles.length} file${svgFiles.length === 1 ? '' : 's'} need fixing`
+        : `Added ${svgFiles.length} icon${svgFiles.length === 1 ? '' : 's'}`);
+}
+
+function removeContribution(fileName) {
+    contributions = contributions.filter(contribution => contribution.fileName !== fileName);
+    refreshContributions();
+}
+
+function clearContributions() {
+    contributions = [];
+    refreshContributions();
+}
+
+// Put the accepted contributions and their generated variants at the front of the grid
+function refreshContributions() {
+    const records = addContributionVariants(contributions, getLibraryIcons()).map(contribution => {
+        const record = createIconRecord(contribution.name, contribution.category, getContributionPath(contribution.name, contribution.category));
+        applyIconSVG(record, contribution.svg);
+        record.contributed = true;
+        record.generated = contribution.generated;
+        if (contribution.issues.length > 0) record.lintIssues = (record.lintIssues || []).concat(contribution.issues);
+        return record;
+    });
+
+    iconsData = [...records, ...getLibraryIcons()];
+    renderCategories();
+    filterIcons();
+    renderContributionList(records);
+}
+
+function describeIssues(issues) {
+    return `<ul class="contribute-issues">${issues.map(item => `
+        <li class="contribute-${item.severity}">${escapeHtml(item.rule)}: ${escapeHtml(item.message)}</li>
+    `).join('')}</ul>`;
+}
+
+// The panel's list: what each file became, or what is wrong with it
+function renderContributionList(records) {
+    const list = document.getElementById('contributeList');
+    const accepted = contributions.filter(isAcceptedContribution);
+    document.getElementById('downloadContributionBtn').disabled = accepted.length === 0;
+
+    list.innerHTML = contributions.map(contribution => {
+        const ok = isAcceptedContribution(contribution);
+        const generated = records.filter(record => record.generated && record.name === contribution.name);
+        const target = ok ? getContributionPath(contribution.name, contribution.category) : 'Not added';
+        const preview = ok
+            ? `<button class="variant-btn" data-action="preview" data-name="${escapeHtml(contribution.name)}" data-category="${escapeHtml(contribution.category)}">Preview</button>`
+            : '';
+
+        return `
+            <li class="contribute-item ${ok ? 'contribute-ok' : 'contribute-rejected'}">
+                <div class="contribute-item-header">
+                    <span aria-hidden="true">${ok ? '✅' : '❌'}</span>
+                    <strong>${escapeHtml(contribution.fileName)}</strong>
+                    <span class="contribute-target">${escapeHtml(target)}</span>
+                    ${preview}
+                    <button class="variant-btn" data-action="remove" data-file="${escapeHtml(contribution.fileName)}" aria-label="Remove ${escapeHtml(contribution.fileName)}">Remove</button>
+                </div>
+                ${generated.length > 0 ? `<p class="snippet-note">Generated ${generated.map(record => escapeHtml(formatCategoryName(record.category))).join(', ')}</p>` : ''}
+                ${contribution.issues.length > 0 ? describeIssues(contribution.issues) : ''}
+            </li>
+        `;
+    }).join('');
+}
+
+function downloadContribution() {
+    const icons = addContributionVariants(contributions, getLibraryIcons());
+    if (icons.length === 0) return;
+
+    const blob = new Blob([createZip(buildContributionFiles(icons, getLibraryIcons()))], { type: 'application/zip' });
+    downloadBlob(blob, 'sbg-icons-contribution.zip');
+}
+
+function setupContribute() {
+    const drop = document.getElementById('contributeDrop');
+    const input = document.getElementById('contributeInput');
+
+    document.getElementById('contributeBtn').addEventListener('click', toggleContributeMode);
+    document.getElementById('downloadContributionBtn').addEventListener('click', downloadContribution);
+    document.getElementById('clearContributionBtn').addEventListener('click', clearContributions);
+
+    drop.addEventListener('click', () => input.click());
+    drop.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            input.click();
+        }
+    });
+    input.addEventListener('change', () => {
+        addContributionFiles(input.files);
+        input.value = '';
+    });
+
+    drop.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        drop.classList.add('dragging');
+    });
+    drop.addEventListener('dragleave', () => drop.classList.remove('dragging'));
+    drop.addEventListener('drop', (e) => {
+        e.preventDefault();
+        drop.classList.remove('dragging');
+        addContributionFiles(e.dataTransfer.files);
+    });
+
+    // Files dropped next to the drop zone shouldn't replace the page while contributing
+    window.addEventListener('dragover', (e) => {
+        if (contributeMode) e.preventDefault();
+    });
+    window.addEventListener('drop', (e) => {
+        if (contributeMode) e.preventDefault();
+    });
+
+    document.getElementById('contributeList').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        if (button.dataset.action === 'remove') removeContribution(button.dataset.file);
+        else openCopyModal(button.dataset.name, button.dataset.category);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', setupContribute);
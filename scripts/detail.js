@@ -0,0 +1,166 @@
+/**
+ * Icon detail panel
+ * The top of the copy modal: the icon at each working size on light, dark
+ * and checkerboard backgrounds, a large preview with an optional 24px
+ * keyline grid, facts about the file, links to the icon's other colour
+ * variants and icons that look or are named alike (icon-similarity.js).
+ * Previews follow the colour chosen in the modal; the facts are about the
+ * original file. See icon-details.js.
+ * @author Archie M
+ *
+ */
+
+const BACKGROUND_LABELS = {
+    light: 'Light',
+    dark: 'Dark',
+    checkerboard: 'Transparent'
+};
+
+// Size of the large preview the keyline grid is drawn over
+const DETAIL_LARGE_SIZE = 192;
+const SIMILAR_ICON_LIMIT = 8;
+
+let keylinesVisible = false;
+
+// Fill the detail panel for an icon, previewing svg (the modal's recoloured markup)
+function renderIconDetail(icon, svg) {
+    renderDetailPreviews(svg);
+    renderDetailFacts(icon);
+    renderDetailVariants(icon);
+    renderDetailSimilar(icon);
+}
+
+function renderDetailPreviews(svg) {
+    const large = document.getElementById('detailLarge');
+    const previews = document.getElementById('detailPreviews');
+
+    if (!svg) {
+        large.innerHTML = '<div class="icon-placeholder"></div>';
+        previews.innerHTML = '';
+        return;
+    }
+
+    const artwork = labelSvg(svg, null);
+    large.innerHTML = artwork + (keylinesVisible ? `<div class="keyline-overlay">${generateKeylineOverlay()}</div>` : '');
+    large.style.width = large.style.height = `${DETAIL_LARGE_SIZE}px`;
+
+    // Light and dark rows set their own theme so token colours show as they would there
+    previews.innerHTML = `
+        <tr>
+            <th scope="col"><span class="visually-hidden">Background</span></th>
+            ${PREVIEW_SIZES.map(size => `<th scope="col">${size}px</th>`).join('')}
+        </tr>
+        ${PREVIEW_BACKGROUNDS.map(background => `
+            <tr class="detail-background-${background}"${background === 'checkerboard' ? '' : ` data-theme="${background}"`}>
+                <th scope="row">${BACKGROUND_LABELS[background]}</th>
+                ${PREVIEW_SIZES.map(size => `
+                    <td><span class="detail-preview" style="width: ${size}px; height: ${size}px;">${artwork}</span></td>
+                `).join('')}
+            </tr>
+        `).join('')}
+    `;
+}
+
+function formatBytes(bytes) {
+    return bytes < 1024 ? `${bytes} bytes` : `${(bytes / 1024).toFixed(1)} KB (${bytes.toLocaleString()} bytes)`;
+}
+
+function renderDetailFacts(icon) {
+    const facts = document.getElementById('detailFacts');
+    const details = icon.svg ? getSvgDetails(icon.svg) : null;
+
+    if (!details) {
+        facts.innerHTML = `<dt>File</dt><dd>${icon.missing ? 'Could not be loaded' : 'Loading...'}</dd>`;
+        return;
+    }
+
+    const others = Object.keys(details.shapes).map(tag => `${details.shapes[tag]} ${tag}`);
+    const colours = details.colours.map(colour => `
+        <span class="detail-colour"><span class="detail-swatch" style="background: ${escapeHtml(colour)}"></span>${escapeHtml(colour)}</span>
+    `).join('');
+
+    facts.innerHTML = `
+        <dt>File size</dt><dd>${formatBytes(details.bytes)}</dd>
+        <dt>Paths</dt><dd>${details.paths}${others.length > 0 ? ` (plus ${others.join(', ')})` : ''}</dd>
+        <dt>viewBox</dt><dd>${details.viewBox ? escapeHtml(details.viewBox) : 'None'}</dd>
+        <dt>Colours</dt><dd>${colours || 'None (inherits currentColor)'}</dd>
+    `;
+}
+
+// Link to another icon or variant, opened in place by the click handler in setupIconDetail()
+function renderDetailLink(icon, text, title) {
+    return `
+        <a class="detail-variant" href="${escapeHtml(getVariantHref(icon))}" data-name="${escapeHtml(icon.name)}" data-category="${escapeHtml(icon.category)}"${title ? ` title="${escapeHtml(title)}"` : ''}>
+            ${icon.svg ? getIconPreview(icon) : ''}
+            ${escapeHtml(text)}
+        </a>
+    `;
+}
+
+// Link to an icon variant - through the URL state when there is one, so it can be opened in a new tab
+function getVariantHref(variant) {
+    if (typeof buildUrlHash !== 'function') return '#';
+    return buildUrlHash({ ...getGalleryState(), icon: { category: variant.category, name: variant.name } });
+}
+
+function renderDetailVariants(icon) {
+    const others = iconsData.filter(variant => variant.name === icon.name && variant !== icon);
+    const container = document.getElementById('detailVariants');
+
+    if (others.length === 0) {
+        container.innerHTML = `<span class="snippet-note">Only in ${escapeHtml(formatCategoryName(icon.category))}</span>`;
+        return;
+    }
+
+    container.innerHTML = 'Also in ' + others.map(variant => renderDetailLink(variant, formatCategoryName(variant.category))).join('');
+}
+
+// Icons in the same colour variant that look or are named most like this one
+function renderDetailSimilar(icon) {
+    const candidates = iconsData.filter(other => other.category === icon.category);
+    const similar = findSimilarIcons(icon, candidates, { limit: SIMILAR_ICON_LIMIT });
+    const container = document.getElementById('detailSimilar');
+
+    if (similar.length === 0) {
+        container.innerHTML = '<span class="snippet-note">Nothing close</span>';
+        return;
+    }
+
+    container.innerHTML = similar.map(result => {
+        const how = result.visual === null
+            ? `Name ${Math.round(result.name * 100)}% alike`
+            : `Shape ${Math.round(result.visual * 100)}% alike, name ${Math.round(result.name * 100)}% alike`;
+        return renderDetailLink(result.icon, result.icon.name, how);
+    }).join('');
+
+    // Draw the suggestions that haven't scrolled into the grid yet
+    const pending = similar.map(result => result.icon).filter(other => !other.svg && !other.missing);
+    if (pending.length > 0 && typeof fetchIconSVG === 'function') {
+        Promise.all(pending.map(fetchIconSVG)).then(() => {
+            if (modalIcon === icon) renderDetailSimilar(icon);
+        });
+    }
+}
+
+function setupIconDetail() {
+    document.getElementById('keylineToggle').addEventListener('change', (e) => {
+        keylinesVisible = e.target.checked;
+        if (modalIcon) renderDetailPreviews(getModalSvg());
+    });
+
+    // Open variants and similar icons in place (the URL follows through selectModalVariant)
+    document.querySelector('.detail-info').addEventListener('click', (e) => {
+        const link = e.target.closest('.detail-variant');
+        if (!link || e.ctrlKey || e.metaKey || e.shiftKey) return;
+        e.preventDefault();
+
+        if (link.dataset.name !== modalIcon.name) {
+            openCopyModal(link.dataset.name, link.dataset.category);
+            return;
+        }
+        const variant = iconsData.find(i => i.name === modalIcon.name && i.category === link.dataset.category);
+        if (variant) selectModalVariant(variant);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', setupIconDetail);
@@ -0,0 +1,115 @@
+/**
+ * ========================================
+ * ICON BUNDLE & SPRITE BUILDER
+ * ========================================
+ *
+ * Packs the icon set into single files so it can be loaded with one request:
+ * - icons-bundle.json: the icons-index.json format with the SVG markup inlined
+ * - sprites/<category>.svg: an SVG <symbol> sprite per category
+ *
+ * USAGE:
+ * - Browser: loaded before icon-loader.js, exposes the functions globally
+ * - Node: require('./scripts/icon-bundle.js') (see tools/build-bundle.js)
+ *
+ * Sprite symbols are referenced with <use href="sprites/grey.svg#icn_home">.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function() {
+
+    const BUNDLE_FILE = 'icons-bundle.json';
+    const SPRITE_FOLDER = 'sprites';
+
+    // Root attributes that belong on the <svg> using the symbol, not on the symbol itself
+    const SIZE_ATTRIBUTES = ['width', 'height', 'xmlns', 'xmlns:xlink', 'version'];
+
+    // Turn an icon name into a valid symbol id (e.g. "icn_holiday umbrella" -> "icn_holiday_umbrella")
+    function getSymbolId(name) {
+        return name.replace(/[^A-Za-z0-9_-]/g, '_');
+    }
+
+    // Path of the sprite holding a category's symbols
+    function getSpritePath(category) {
+        return `${SPRITE_FOLDER}/${category}.svg`;
+    }
+
+    // Split SVG markup into its root attributes and inner content
+    function parseSvg(markup) {
+        const match = /<svg\b([^>]*)>([\s\S]*)<\/svg>/i.exec(markup);
+        if (!match) return null;
+
+        const attributes = {};
+        const attrPattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let attr;
+        while ((attr = attrPattern.exec(match[1])) !== null) {
+            attributes[attr[1]] = attr[3] !== undefined ? attr[3] : attr[4];
+        }
+
+        return { attributes, content: match[2].trim() };
+    }
+
+    // Build a <symbol> element from an icon's SVG markup
+    function buildSymbol(icon) {
+        const parsed = parseSvg(icon.svg);
+        if (!parsed) return null;
+
+        const attributes = Object.keys(parsed.attributes)
+            .filter(name => !SIZE_ATTRIBUTES.includes(name))
+            .map(name => ` ${name}="${parsed.attributes[name]}"`)
+            .join('');
+
+        return `<symbol id="${getSymbolId(icon.name)}"${attributes}>${parsed.content}</symbol>`;
+    }
+
+    // Build one sprite document from a list of icons ({ name, svg })
+    function buildSprite(icons) {
+        const symbols = icons.map(buildSymbol).filter(Boolean);
+
+        return [
+            '<svg xmlns="http://www.w3.org/2000/svg">',
+            ...symbols,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    // Build icons-bundle.json content from a list of icons ({ name, category, path, svg })
+    function buildBundle(icons) {
+        const bundleData = [
+            {
+                _generated: Date.now(),
+                _timestamp: new Date().toISOString(),
+                _totalIcons: icons.length,
+                _note: "Auto-generated by icon-bundle.js. Regenerate with tools/build-bundle.js after changing icons."
+            },
+            ...icons.map(icon => ({
+                name: icon.name,
+                category: icon.category,
+                path: icon.path,
+                hash: icon.hash,
+                size: icon.size,
+                width: icon.width,
+                height: icon.height,
+                svg: icon.svg
+            }))
+        ];
+
+        return JSON.stringify(bundleData, null, 2);
+    }
+
+    return {
+        BUNDLE_FILE,
+        SPRITE_FOLDER,
+        getSymbolId,
+        getSpritePath,
+        parseSvg,
+        buildSymbol,
+        buildSprite,
+        buildBundle
+    };
+});
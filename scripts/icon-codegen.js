@@ -0,0 +1,394 @@
+/**
+ * ========================================
+ * COMPONENT CODE GENERATOR
+ * ========================================
+ *
+ * Turns an icon into a ready-to-use component for:
+ * - React (TSX function component)
+ * - Vue (single-file component)
+ * - Angular (standalone component)
+ * - Web Component (native custom element)
+ *
+ * Every component takes a size, a colour (the artwork is drawn in
+ * currentColor), a title and an aria-label. Without a title or label the
+ * icon is treated as decorative and hidden from assistive technology.
+ *
+ * Also builds the plain snippets shown in the gallery (inline SVG, <img>,
+ * sprite <use> and icon font <i>), either labelled or marked as decorative.
+ *
+ * USAGE:
+ * - Browser: loaded after icon-colour.js and icon-bundle.js, exposes the functions globally
+ * - Node: require('./scripts/icon-codegen.js') (see tools/build-components.js)
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./icon-colour.js'), require('./icon-bundle.js'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+})(this, function(colours, bundle) {
+
+    const { PALETTES, recolourSvg } = colours;
+    const { parseSvg, getSymbolId, getSpritePath } = bundle;
+
+    const FRAMEWORKS = {
+        react: 'React',
+        vue: 'Vue',
+        angular: 'Angular',
+        'web-component': 'Web Component'
+    };
+
+    // icn_cash_notes -> ['cash', 'notes']
+    function getNameParts(name) {
+        return name.replace(/^icn_/, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+    }
+
+    // icn_cash_notes -> IconCashNotes
+    function getComponentName(name) {
+        return 'Icon' + getNameParts(name)
+            .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+            .join('');
+    }
+
+    // icn_cash_notes -> sbg-icon-cash-notes
+    function getElementName(name) {
+        return ['sbg-icon', ...getNameParts(name).map(part => part.toLowerCase())].join('-');
+    }
+
+    // Default accessible name: the description, or the name in words (icn_cash_notes -> "Cash notes")
+    function getIconLabel(icon) {
+        if (icon.description) return icon.description;
+        const words = getNameParts(icon.name).join(' ');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    function escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    // Label an inline SVG (role="img", aria-label and a <title>) or, with no
+    // label, hide it from assistive technology. Any existing labelling is replaced
+    function labelSvg(svg, label) {
+        const unlabelled = svg.replace(/<title\b[^>]*>[\s\S]*?<\/title>\s*/gi, '');
+        return unlabelled.replace(/<svg\b[^>]*>/i, tag => {
+            const stripped = tag.replace(/\s(role|aria-label|aria-labelledby|aria-hidden|focusable)\s*=\s*("[^"]*"|'[^']*')/gi, '');
+            if (!label) return stripped.replace(/^<svg/i, '<svg aria-hidden="true" focusable="false"');
+
+            const text = escapeAttribute(label);
+            return stripped.replace(/^<svg/i, `<svg role="img" aria-label="${text}"`) + `<title>${text}</title>`;
+        });
+    }
+
+    // <img> tag - alt text when labelled, an empty alt and aria-hidden when decorative
+    function generateImgTag(src, label) {
+        const a11y = label ? `alt="${escapeAttribute(label)}"` : 'alt="" aria-hidden="true"';
+        return `<img src="${escapeAttribute(src)}" ${a11y} />`;
+    }
+
+    // Sprite reference (<svg><use href="sprite.svg#id">)
+    function generateSpriteTag(href, label, size = 24) {
+        const a11y = label
+            ? `role="img" aria-label="${escapeAttribute(label)}"`
+            : 'aria-hidden="true" focusable="false"';
+        return `<svg width="${size}" height="${size}" ${a11y}><use href="${escapeAttribute(href)}"></use></svg>`;
+    }
+
+    // Icon font element (see icon-font.js) - the class name matches the web component's tag name
+    function generateFontTag(name, label) {
+        const a11y = label ? `role="img" aria-label="${escapeAttribute(label)}"` : 'aria-hidden="true"';
+        return `<i class="${getElementName(name)}" ${a11y}></i>`;
+    }
+
+    /**
+     * The gallery's plain snippets for an icon ({ name, category, path }):
+     * { svg, path, img, sprite, font }. Pass the markup to label as svg (it
+     * may be recoloured), or null while it loads - the svg snippet is null then.
+     */
+    function generateIconSnippets(icon, svg, label) {
+        return {
+            svg: svg ? labelSvg(svg, label) : null,
+            path: icon.path,
+            img: generateImgTag(icon.path, label),
+            sprite: generateSpriteTag(`${getSpritePath(icon.category)}#${getSymbolId(icon.name)}`, label),
+            font: generateFontTag(icon.name, label)
+        };
+    }
+
+    // viewBox and inner markup with the palette colour swapped for currentColor
+    function getComponentSource(icon) {
+        const svg = recolourSvg(icon.svg, 'currentColor', PALETTES[icon.category]);
+        const parsed = parseSvg(svg);
+        if (!parsed) throw new Error(`${icon.name} is not a valid SVG`);
+
+        return {
+            viewBox: parsed.attributes.viewBox || '0 0 24 24',
+            content: parsed.content
+        };
+    }
+
+    function indent(markup, spaces) {
+        const pad = ' '.repeat(spaces);
+        return markup.split('\n').map(line => line.trim() ? pad + line.trim() : '').join('\n');
+    }
+
+    // Make markup safe to embed in a JS template literal
+    function escapeTemplate(markup) {
+        return markup.replace(/[`\\]/g, '\\$&').replace(/\$\{/g, '\\${');
+    }
+
+    // SVG attributes -> JSX props (fill-rule -> fillRule, xlink:href -> xlinkHref, class -> className)
+    function toJsx(markup) {
+        return markup.replace(/<[a-zA-Z][^>]*>/g, tag => tag
+            .replace(/\sclass=/g, ' className=')
+            .replace(/\s([a-z]+)[:-]([a-z])([a-z-]*)=/g, (attribute, first, letter, rest) =>
+                ` ${first}${letter.toUpperCase()}${rest.replace(/-([a-z])/g, (m, c) => c.toUpperCase())}=`)
+            .replace(/\sstyle="([^"]*)"/g, (attribute, css) => ` style={${JSON.stringify(cssToObject(css))}}`));
+    }
+
+    function cssToObject(css) {
+        const style = {};
+        css.split(';').map(rule => rule.trim()).filter(Boolean).forEach(rule => {
+            const index = rule.indexOf(':');
+            const property = rule.slice(0, index).trim().replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+            style[property] = rule.slice(index + 1).trim();
+        });
+        return style;
+    }
+
+    function generateReact(icon) {
+        const component = getComponentName(icon.name);
+        const { viewBox, content } = getComponentSource(icon);
+        const description = icon.description ? `${icon.description} (${icon.name})` : icon.name;
+
+        return {
+            filename: `${component}.tsx`,
+            code: `import * as React from 'react';
+
+export interface ${component}Props extends React.SVGProps<SVGSVGElement> {
+  size?: number | string;
+  color?: string;
+  title?: string;
+}
+
+/** ${description} */
+export function ${component}({ size = 24, color = 'currentColor', title, ...props }: ${component}Props) {
+  const titleId = React.useId();
+  const labelled = Boolean(title || props['aria-label']);
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox="${viewBox}"
+      fill="none"
+      xmlns="http://www.w3.org/2000/svg"
+      color={color}
+      role={labelled ? 'img' : undefined}
+      aria-hidden={labelled ? undefined : true}
+      aria-labelledby={title ? titleId : undefined}
+      focusable="false"
+      {...props}
+    >
+      {title ? <title id={titleId}>{title}</title> : null}
+${indent(toJsx(content), 6)}
+    </svg>
+  );
+}
+
+export default ${component};
+`
+        };
+    }
+
+    function generateVue(icon) {
+        const component = getComponentName(icon.name);
+        const { viewBox, content } = getComponentSource(icon);
+
+        return {
+            filename: `${component}.vue`,
+            code: `<template>
+  <svg
+    :width="size"
+    :height="size"
+    viewBox="${viewBox}"
+    fill="none"
+    xmlns="http://www.w3.org/2000/svg"
+    :color="color"
+    :role="title || ariaLabel ? 'img' : undefined"
+    :aria-label="ariaLabel"
+    :aria-hidden="title || ariaLabel ? undefined : 'true'"
+    focusable="false"
+  >
+    <title v-if="title">{{ title }}</title>
+${indent(content, 4)}
+  </svg>
+</template>
+
+<script setup lang="ts">
+// ${icon.name}
+withDefaults(defineProps<{
+  size?: number | string;
+  color?: string;
+  title?: string;
+  ariaLabel?: string;
+}>(), {
+  size: 24,
+  color: 'currentColor'
+});
+</script>
+`
+        };
+    }
+
+    function generateAngular(icon) {
+        const component = getComponentName(icon.name);
+        const selector = getElementName(icon.name);
+        const { viewBox, content } = getComponentSource(icon);
+
+        return {
+            filename: `${selector.replace(/^sbg-/, '')}.component.ts`,
+            code: `import { ChangeDetectionStrategy, Component, Input } from '@angular/core';
+import { NgIf } from '@angular/common';
+
+// ${icon.name}
+@Component({
+  selector: '${selector}',
+  standalone: true,
+  imports: [NgIf],
+  changeDetection: ChangeDetectionStrategy.OnPush,
+  template: \`
+    <svg
+      [attr.width]="size"
+      [attr.height]="size"
+      viewBox="${viewBox}"
+      fill="none"
+      xmlns="http://www.w3.org/2000/svg"
+      [attr.color]="color"
+      [attr.role]="title || ariaLabel ? 'img' : null"
+      [attr.aria-label]="ariaLabel || null"
+      [attr.aria-hidden]="title || ariaLabel ? null : 'true'"
+      focusable="false"
+    >
+      <svg:title *ngIf="title">{{ title }}</svg:title>
+${indent(escapeTemplate(content), 6)}
+    </svg>
+  \`
+})
+export class ${component}Component {
+  @Input() size: number | string = 24;
+  @Input() color = 'currentColor';
+  @Input() title?: string;
+  @Input() ariaLabel?: string;
+}
+`
+        };
+    }
+
+    function generateWebComponent(icon) {
+        const component = getComponentName(icon.name);
+        const element = getElementName(icon.name);
+        const { viewBox, content } = getComponentSource(icon);
+
+        return {
+            filename: `${element}.js`,
+            code: `// ${icon.name}
+const template = \`
+${indent(escapeTemplate(content), 2)}
+\`;
+
+const escape = text => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+export class ${component} extends HTMLElement {
+  static get observedAttributes() {
+    return ['size', 'color', 'title', 'aria-label'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+  }
+
+  connectedCallback() {
+    this.render();
+  }
+
+  attributeChangedCallback() {
+    this.render();
+  }
+
+  render() {
+    const size = escape(this.getAttribute('size') || 24);
+    const color = escape(this.getAttribute('color') || 'currentColor');
+    const title = this.getAttribute('title');
+    const label = this.getAttribute('aria-label');
+    const a11y = title || label
+      ? \`role="img"\${label ? \` aria-label="\${escape(label)}"\` : ''}\`
+      : 'aria-hidden="true"';
+
+    this.shadowRoot.innerHTML = \`
+      <style>:host { display: inline-block; line-height: 0; }</style>
+      <svg width="\${size}" height="\${size}" viewBox="${viewBox}" fill="none" xmlns="http://www.w3.org/2000/svg" color="\${color}" focusable="false" \${a11y}>
+        \${title ? \`<title>\${escape(title)}</title>\` : ''}
+        \${template}
+      </svg>
+    \`;
+  }
+}
+
+if (!customElements.get('${element}')) {
+  customElements.define('${element}', ${component});
+}
+`
+        };
+    }
+
+    const GENERATORS = {
+        react: generateReact,
+        vue: generateVue,
+        angular: generateAngular,
+        'web-component': generateWebComponent
+    };
+
+    // Generate one framework's component for an icon ({ name, category, svg }): { filename, code }
+    function generateComponent(framework, icon) {
+        const generator = GENERATORS[framework];
+        if (!generator) throw new Error(`Unknown framework: ${framework}`);
+        return generator(icon);
+    }
+
+    // Entry module re-exporting every generated component of a framework
+    function generateComponentIndex(framework, icons) {
+        const lines = icons.map(icon => {
+            const component = getComponentName(icon.name);
+            const file = generateComponent(framework, icon).filename.replace(/\.(tsx|ts|js)$/, '');
+
+            if (framework === 'angular') return `export { ${component}Component } from './${file}';`;
+            if (framework === 'web-component') return `export { ${component} } from './${file}.js';`;
+            return `export { default as ${component} } from './${file}';`;
+        });
+
+        return {
+            filename: framework === 'web-component' ? 'index.js' : 'index.ts',
+            code: lines.join('\n') + '\n'
+        };
+    }
+
+    return {
+        FRAMEWORKS,
+        getComponentName,
+        getElementName,
+        getIconLabel,
+        labelSvg,
+        generateImgTag,
+        generateSpriteTag,
+        generateFontTag,
+        generateIconSnippets,
+        generateComponent,
+        generateComponentIndex
+    };
+});
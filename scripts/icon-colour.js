@@ -0,0 +1,125 @@
+/**
+ * ========================================
+ * ICON COLOURS
+ * ========================================
+ *
+ * The blue-default and grey folders hold the same artwork in different
+ * palette colours. These helpers treat them as variants of one icon and
+ * rewrite an icon's fills to any hex colour, currentColor or a CSS custom
+ * property (theme tokens are in icon-theme.js).
+ *
+ * USAGE:
+ * - Browser: loaded before icon-lint.js, exposes the functions globally
+ * - Node: require('./scripts/icon-colour.js')
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function() {
+
+    // Colours each category (colour variant) is drawn in
+    const PALETTES = {
+        'blue-default': ['#0033AA'],
+        'grey': ['#F8F8FA']
+    };
+
+    const NEUTRAL_COLOURS = ['none', 'currentcolor', 'transparent', 'inherit'];
+
+    function isNeutralColour(colour) {
+        return NEUTRAL_COLOURS.includes(colour.trim().toLowerCase()) || /^url\(#/i.test(colour.trim());
+    }
+
+    // Every colour used by fill/stroke/stop-color attributes or inline styles
+    function findColours(svg) {
+        const colours = [];
+        const attrPattern = /\b(?:fill|stroke|stop-color|color)\s*=\s*["']([^"']+)["']/gi;
+        const stylePattern = /\b(?:fill|stroke|stop-color|color)\s*:\s*([^;"']+)/gi;
+        let match;
+
+        while ((match = attrPattern.exec(svg)) !== null) colours.push(match[1].trim());
+        while ((match = stylePattern.exec(svg)) !== null) colours.push(match[1].trim());
+
+        return colours;
+    }
+
+    // Short, filename-safe label for a colour choice
+    function getColourSlug(colour) {
+        const token = /^var\(--([\w-]+)/.exec(colour);
+        if (token) return token[1];
+        if (colour.toLowerCase() === 'currentcolor') return 'current-color';
+        return colour.replace(/^#/, '').replace(/[^A-Za-z0-9-]/g, '').toLowerCase();
+    }
+
+    /**
+     * Rewrite fill and stroke colours in SVG markup.
+     * Only colours listed in fromColours are replaced (e.g. the variant's palette),
+     * so details like white highlights survive; without it every non-neutral colour is.
+     * var() colours are written as inline styles because presentation attributes can't use them.
+     */
+    function recolourSvg(svg, colour, fromColours) {
+        const sources = fromColours ? fromColours.map(value => value.toUpperCase()) : null;
+        const useStyle = /^var\(/i.test(colour);
+
+        const shouldReplace = value =>
+            !isNeutralColour(value) && (!sources || sources.includes(value.trim().toUpperCase()));
+
+        return svg.replace(/<([a-zA-Z][\w:-]*)(\s[^>]*?)?(\/?)>/g, (tag, name, attributes = '', selfClosing) => {
+            const styles = [];
+
+            let rewritten = attributes.replace(/\s(fill|stroke)\s*=\s*"([^"]*)"/g, (attribute, property, value) => {
+                if (!shouldReplace(value)) return attribute;
+                if (useStyle) {
+                    styles.push(`${property}: ${colour}`);
+                    return '';
+                }
+                return ` ${property}="${colour}"`;
+            });
+
+            if (styles.length > 0) {
+                if (/\sstyle\s*=\s*"/.test(rewritten)) {
+                    rewritten = rewritten.replace(/\sstyle\s*=\s*"([^"]*)"/, (attribute, value) =>
+                        ` style="${value.replace(/;?\s*$/, '; ')}${styles.join('; ')}"`);
+                } else {
+                    rewritten += ` style="${styles.join('; ')}"`;
+                }
+            }
+
+            return `<${name}${rewritten}${selfClosing}>`;
+        });
+    }
+
+    // Group variant records ({ name, category, ... }) into one entry per icon name
+    function groupIconVariants(icons) {
+        const groups = new Map();
+
+        icons.forEach(icon => {
+            if (!groups.has(icon.name)) {
+                groups.set(icon.name, { name: icon.name, variants: {} });
+            }
+            groups.get(icon.name).variants[icon.category] = icon;
+        });
+
+        return [...groups.values()];
+    }
+
+    // One record per icon for a category filter: its variant in category, or its first variant for 'all'
+    function getCategoryVariants(icons, category) {
+        return groupIconVariants(icons)
+            .map(group => category === 'all' ? Object.values(group.variants)[0] : group.variants[category])
+            .filter(Boolean);
+    }
+
+    return {
+        PALETTES,
+        isNeutralColour,
+        findColours,
+        getColourSlug,
+        recolourSvg,
+        groupIconVariants,
+        getCategoryVariants
+    };
+});
@@ -0,0 +1,160 @@
+/**
+ * ========================================
+ * ICON CONTRIBUTIONS
+ * ========================================
+ *
+ * Checks new SVG files before they are added to the library, and packs
+ * them up the way the repository expects them:
+ * - validation: the icon-lint.js rules (name, viewBox, palette, unsafe
+ *   content), and no clash with an icon that already exists
+ * - colour variants: the category is worked out from the palette colour a
+ *   file is drawn in; the other categories' variants are generated with
+ *   recolourSvg() unless they were contributed too
+ * - files: icons/<category>/<name>.svg for each icon, plus icons-index.json
+ *   with the new entries added
+ *
+ * A contribution is { name, category, svg, fileName, issues, generated }.
+ * Only ones without errors ("accepted") get variants and files.
+ *
+ * USAGE:
+ * - Browser: loaded after icon-lint.js, exposes the functions globally
+ *   (the drop zone is scripts/contribute.js)
+ * - Node: require('./scripts/icon-contribute.js')
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./icon-colour.js'), require('./icon-lint.js'), require('./icon-index.js'));
+    } else {
+        Object.assign(root, factory(root, root, root));
+    }
+})(this, function(colours, lint, index) {
+
+    const { PALETTES, findColours, recolourSvg } = colours;
+    const { lintIconName, lintIconContent } = lint;
+    const { INDEX_FILE, getIconFileInfo, pickFileInfo, generateIndexFile } = index;
+
+    // icn_home.svg -> icn_home
+    function getContributionName(fileName) {
+        return String(fileName).split(/[\\/]/).pop().replace(/\.svg$/i, '');
+    }
+
+    function getContributionPath(name, category) {
+        return `icons/${category}/${name}.svg`;
+    }
+
+    /**
+     * The category whose palette an SVG is drawn in, or null when it uses
+     * none of them (or colours from more than one).
+     */
+    function detectContributionCategory(svg) {
+        const used = findColours(svg).map(colour => colour.toUpperCase());
+        const matches = Object.keys(PALETTES).filter(category =>
+            PALETTES[category].some(colour => used.includes(colour.toUpperCase())));
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * Issues ({ rule, severity, message }) that keep a file out of the library.
+     * icons are the records it must not clash with - the library and any
+     * contributions already accepted. Existing icons predate the naming rule,
+     * which is why lint only warns about names; new ones must follow it.
+     */
+    function validateContribution(contribution, icons = []) {
+        const issues = lintIconName(contribution).map(item => ({ ...item, severity: 'error' }));
+
+        if (!contribution.category) {
+            const palettes = Object.keys(PALETTES).map(category => `${PALETTES[category].join(', ')} (${category})`);
+            issues.push({ rule: 'palette', severity: 'error', message: `Draw it in one palette colour: ${palettes.join(' or ')}` });
+        }
+
+        issues.push(...lintIconContent(contribution));
+
+        const clash = icons.find(icon => icon.name === contribution.name && icon.category === contribution.category);
+        if (clash) {
+            issues.push({ rule: 'duplicate-name', severity: 'error', message: `${contribution.category}/${contribution.name} already exists` });
+        }
+
+        return issues;
+    }
+
+    // Read a dropped file: { name, category, svg, fileName, issues, generated: false }
+    function createContribution(fileName, svg, icons = []) {
+        const contribution = {
+            name: getContributionName(fileName),
+            category: detectContributionCategory(svg),
+            svg: svg,
+            fileName: fileName,
+            generated: false
+        };
+        contribution.issues = validateContribution(contribution, icons);
+        return contribution;
+    }
+
+    function isAcceptedContribution(contribution) {
+        return !contribution.issues.some(item => item.severity === 'error');
+    }
+
+    /**
+     * The accepted contributions plus a generated variant for every category
+     * each one is missing - from the contributions and from icons, the
+     * library. Variants are recoloured from the palette colour, so white
+     * details and other neutral colours are kept.
+     */
+    function addContributionVariants(contributions, icons = []) {
+        const accepted = contributions.filter(isAcceptedContribution);
+        const generated = [];
+
+        accepted.filter(contribution => !contribution.generated).forEach(source => {
+            Object.keys(PALETTES).forEach(category => {
+                const exists = [...icons, ...accepted, ...generated].some(other => other.name === source.name && other.category === category);
+                if (exists) return;
+
+                generated.push({
+                    name: source.name,
+                    category: category,
+                    svg: recolourSvg(source.svg, PALETTES[category][0], PALETTES[source.category]),
+                    fileName: source.fileName,
+                    issues: [],
+                    generated: true
+                });
+            });
+        });
+
+        return [...accepted, ...generated];
+    }
+
+    /**
+     * Files for createZip(): each contribution at its path in the icons
+     * folder, and icons-index.json listing the existing icons and the new
+     * ones (sorted by path, as tools/build-index.js writes it).
+     */
+    function buildContributionFiles(contributions, icons) {
+        const added = contributions.map(contribution => ({
+            name: contribution.name,
+            category: contribution.category,
+            path: getContributionPath(contribution.name, contribution.category),
+            ...getIconFileInfo(contribution.svg)
+        }));
+        const indexed = [
+            ...icons.map(icon => ({ name: icon.name, category: icon.category, path: icon.path, ...pickFileInfo(icon) })),
+            ...added
+        ].sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+
+        return [
+            ...contributions.map((contribution, i) => ({ name: added[i].path, data: contribution.svg })),
+            { name: INDEX_FILE, data: generateIndexFile(indexed) + '\n' }
+        ];
+    }
+
+    return {
+        getContributionName,
+        getContributionPath,
+        detectContributionCategory,
+        validateContribution,
+        createContribution,
+        isAcceptedContribution,
+        addContributionVariants,
+        buildContributionFiles
+    };
+});
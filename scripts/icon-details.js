@@ -0,0 +1,120 @@
+/**
+ * ========================================
+ * ICON DETAILS
+ * ========================================
+ *
+ * What the gallery's detail panel shows about an icon: the sizes and
+ * backgrounds it is previewed at, facts read from its markup (file size,
+ * path count, viewBox, colours) and the 24px keyline grid drawn over the
+ * large preview - a pixel grid plus the usual keyline shapes (square,
+ * circle, portrait and landscape rectangles) inside a 2px margin.
+ *
+ * USAGE:
+ * - Browser: loaded after icon-colour.js, icon-bundle.js and icon-optimise.js,
+ *   exposes the functions globally
+ * - Node: require('./scripts/icon-details.js')
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./icon-colour.js'), require('./icon-bundle.js'), require('./icon-optimise.js'));
+    } else {
+        Object.assign(root, factory(root, root, root));
+    }
+})(this, function(colours, bundle, optimise) {
+
+    const { isNeutralColour, findColours } = colours;
+    const { parseSvg } = bundle;
+    const { getByteSize } = optimise;
+
+    const PREVIEW_SIZES = [16, 24, 32, 48, 64];
+    const PREVIEW_BACKGROUNDS = ['light', 'dark', 'checkerboard'];
+
+    // The grid the icons are drawn on, and the margin keyline shapes keep to
+    const KEYLINE_GRID_SIZE = 24;
+    const KEYLINE_PADDING = 2;
+
+    const SHAPE_TAGS = ['path', 'rect', 'circle', 'ellipse', 'polygon', 'polyline', 'line'];
+
+    /**
+     * Facts about an icon's markup:
+     * { bytes, paths, shapes: { rect: 1, ... }, viewBox, width, height, colours }
+     * shapes counts the other drawing elements; colours are the distinct literal
+     * colours in the order they appear. Returns null for markup that isn't an SVG.
+     */
+    function getSvgDetails(svg) {
+        const parsed = parseSvg(svg);
+        if (!parsed) return null;
+
+        const shapes = {};
+        SHAPE_TAGS.forEach(tag => {
+            const count = (svg.match(new RegExp(`<${tag}\\b`, 'gi')) || []).length;
+            if (count > 0) shapes[tag] = count;
+        });
+        const paths = shapes.path || 0;
+        delete shapes.path;
+
+        const seen = new Set();
+        const used = findColours(svg).filter(colour => {
+            const key = colour.toUpperCase();
+            if (isNeutralColour(colour) || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        return {
+            bytes: getByteSize(svg),
+            paths,
+            shapes,
+            viewBox: parsed.attributes.viewBox || null,
+            width: parsed.attributes.width || null,
+            height: parsed.attributes.height || null,
+            colours: used
+        };
+    }
+
+    /**
+     * SVG markup for the keyline overlay, drawn on a 24 x 24 viewBox so it
+     * lines up with the icon when both fill the same box. Lines keep a 1px
+     * width at any size.
+     */
+    function generateKeylineOverlay({ gridColour = '#94A3B8', keylineColour = '#EC4899' } = {}) {
+        const size = KEYLINE_GRID_SIZE;
+        const pad = KEYLINE_PADDING;
+        const live = size - pad * 2;
+        const centre = size / 2;
+        const line = (x1, y1, x2, y2) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`;
+
+        const grid = [];
+        for (let i = 1; i < size; i++) {
+            grid.push(line(i, 0, i, size), line(0, i, size, i));
+        }
+
+        const keylines = [
+            `<rect x="${pad}" y="${pad}" width="${live}" height="${live}"/>`,
+            `<circle cx="${centre}" cy="${centre}" r="${live / 2}"/>`,
+            `<rect x="${pad + 2}" y="${pad}" width="${live - 4}" height="${live}"/>`,
+            `<rect x="${pad}" y="${pad + 2}" width="${live}" height="${live - 4}"/>`,
+            line(0, 0, size, size),
+            line(size, 0, 0, size),
+            line(centre, 0, centre, size),
+            line(0, centre, size, centre)
+        ];
+
+        // vector-effect isn't inherited, so every element gets its own
+        const group = (stroke, opacity, elements) => `<g stroke="${stroke}" stroke-opacity="${opacity}">` +
+            elements.map(element => element.replace('/>', ' vector-effect="non-scaling-stroke"/>')).join('') + '</g>';
+
+        return `<svg viewBox="0 0 ${size} ${size}" fill="none" aria-hidden="true" focusable="false" xmlns="http://www.w3.org/2000/svg">` +
+            group(gridColour, 0.4, grid) + group(keylineColour, 0.7, keylines) + '</svg>';
+    }
+
+    return {
+        PREVIEW_SIZES,
+        PREVIEW_BACKGROUNDS,
+        KEYLINE_GRID_SIZE,
+        KEYLINE_PADDING,
+        getSvgDetails,
+        generateKeylineOverlay
+    };
+});
@@ -0,0 +1,122 @@
+/**
+ * ========================================
+ * ICON SET DIFF & CHANGELOG
+ * ========================================
+ *
+ * Compares two icon lists - index files, bundles or icon records - and
+ * sorts the differences into:
+ * - added     in the new list only
+ * - removed   in the old list only
+ * - renamed   removed and added with the same content hash
+ * - modified  same category and name, different content hash
+ *
+ * Entries without a hash (hand-written indexes, GitHub API discovery) can
+ * only be added or removed; they are never reported as modified.
+ *
+ * USAGE:
+ * - Browser: loaded after icon-index.js, exposes the functions globally
+ * - Node: require('./scripts/icon-diff.js') (see tools/diff-index.js)
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./icon-index.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function(index) {
+
+    const { getIndexEntries } = index;
+
+    function getIconKey(entry) {
+        return `${entry.category}/${entry.name}`;
+    }
+
+    /**
+     * Diff two icon lists (index data or arrays of { name, category, path, hash }).
+     * Returns { added, removed, renamed: [{ from, to }], modified: [{ before, after }], unchanged }
+     * where unchanged is a count.
+     */
+    function diffIconSets(before, after) {
+        const oldEntries = getIndexEntries(before);
+        const newEntries = getIndexEntries(after);
+        const oldByKey = new Map(oldEntries.map(entry => [getIconKey(entry), entry]));
+        const newByKey = new Map(newEntries.map(entry => [getIconKey(entry), entry]));
+
+        const diff = { added: [], removed: [], renamed: [], modified: [], unchanged: 0 };
+
+        newEntries.forEach(entry => {
+            const previous = oldByKey.get(getIconKey(entry));
+            if (!previous) {
+                diff.added.push(entry);
+            } else if (previous.hash && entry.hash && previous.hash !== entry.hash) {
+                diff.modified.push({ before: previous, after: entry });
+            } else {
+                diff.unchanged++;
+            }
+        });
+
+        const removed = oldEntries.filter(entry => !newByKey.has(getIconKey(entry)));
+
+        // A removed and an added icon with identical content is a rename
+        diff.added = diff.added.filter(entry => {
+            if (!entry.hash) return true;
+            const index = removed.findIndex(old => old.hash === entry.hash);
+            if (index === -1) return true;
+
+            diff.renamed.push({ from: removed[index], to: entry });
+            removed.splice(index, 1);
+            return false;
+        });
+        diff.removed = removed;
+
+        return diff;
+    }
+
+    function hasChanges(diff) {
+        return diff.added.length + diff.removed.length + diff.renamed.length + diff.modified.length > 0;
+    }
+
+    function formatSize(bytes) {
+        return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+    }
+
+    function describeModification({ before, after }) {
+        const details = [];
+        if (before.size !== undefined && after.size !== undefined && before.size !== after.size) {
+            details.push(`${formatSize(before.size)} → ${formatSize(after.size)}`);
+        }
+        if (before.width !== after.width || before.height !== after.height) {
+            details.push(`${before.width}×${before.height} → ${after.width}×${after.height}`);
+        }
+        return details.length > 0 ? ` - ${details.join(', ')}` : '';
+    }
+
+    // Markdown changelog for a diff
+    function formatChangelog(diff, title = 'Icon changes') {
+        const sections = [`## ${title}`, ''];
+        const section = (heading, lines) => {
+            if (lines.length === 0) return;
+            sections.push(`### ${heading} (${lines.length})`, '', ...lines, '');
+        };
+
+        section('Added', diff.added.map(entry => `- \`${entry.name}\` (${entry.category})`));
+        section('Removed', diff.removed.map(entry => `- \`${entry.name}\` (${entry.category})`));
+        section('Renamed', diff.renamed.map(({ from, to }) =>
+            `- \`${from.name}\` → \`${to.name}\` (${from.category === to.category ? to.category : `${from.category} → ${to.category}`})`));
+        section('Modified', diff.modified.map(change =>
+            `- \`${change.after.name}\` (${change.after.category})${describeModification(change)}`));
+
+        if (!hasChanges(diff)) sections.push('No changes.', '');
+        sections.push(`${diff.unchanged} icons unchanged.`);
+
+        return sections.join('\n') + '\n';
+    }
+
+    return {
+        getIconKey,
+        diffIconSets,
+        hasChanges,
+        formatChangelog
+    };
+});
@@ -0,0 +1,152 @@
+/**
+ * ========================================
+ * RASTER EXPORT
+ * ========================================
+ *
+ * Renders icon SVGs to PNG and WebP at any pixel size, with optional
+ * padding and background colour, and packs several PNG sizes into a
+ * multi-size .ico for favicons.
+ *
+ * USAGE:
+ * - Browser: exposes the functions globally (rasterising needs <canvas>)
+ * - Node: require('./scripts/icon-export.js') for buildIco() only
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function() {
+
+    // Icons are drawn on a 24px grid - 1x/2x/3x are multiples of this
+    const BASE_SIZE = 24;
+    const ICO_SIZES = [16, 32, 48];
+
+    const MIME_TYPES = {
+        png: 'image/png',
+        webp: 'image/webp'
+    };
+
+    // Set the root width/height so the browser rasterises at full resolution
+    function resizeSvg(svg, size) {
+        return svg.replace(/<svg\b[^>]*>/i, tag => {
+            const sized = tag
+                .replace(/\swidth\s*=\s*["'][^"']*["']/i, '')
+                .replace(/\sheight\s*=\s*["'][^"']*["']/i, '');
+            return sized.replace(/^<svg/i, `<svg width="${size}" height="${size}"`);
+        });
+    }
+
+    function loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('SVG could not be rendered'));
+            image.src = url;
+        });
+    }
+
+    /**
+     * Draw an SVG onto a square canvas.
+     * options: { size, padding = 0, background = null } - padding is a percentage of the
+     * size on each side, so the same setting works for every size in an .ico
+     */
+    async function rasterizeSvg(svg, options) {
+        const size = Math.round(options.size);
+        const percent = Math.max(0, Math.min(options.padding || 0, 40));
+        const padding = Math.round(size * percent / 100);
+        const iconSize = size - padding * 2;
+
+        const blob = new Blob([resizeSvg(svg, iconSize)], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+
+        try {
+            const image = await loadImage(url);
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+
+            const context = canvas.getContext('2d');
+            if (options.background) {
+                context.fillStyle = options.background;
+                context.fillRect(0, 0, size, size);
+            }
+            context.drawImage(image, padding, padding, iconSize, iconSize);
+
+            return canvas;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    function canvasToBlob(canvas, type) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`Could not encode ${type}`)), type);
+        });
+    }
+
+    // Render an SVG to a PNG or WebP blob; browsers without a WebP encoder fall back to PNG
+    async function exportRaster(svg, format, options) {
+        const type = MIME_TYPES[format];
+        if (!type) throw new Error(`Unsupported format: ${format}`);
+
+        const canvas = await rasterizeSvg(svg, options);
+        return canvasToBlob(canvas, type);
+    }
+
+    // Pack PNG images ([{ size, data: Uint8Array }]) into one .ico file
+    function buildIco(images) {
+        const headerSize = 6;
+        const entrySize = 16;
+        let offset = headerSize + entrySize * images.length;
+
+        const total = offset + images.reduce((sum, image) => sum + image.data.length, 0);
+        const bytes = new Uint8Array(total);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint16(0, 0, true);              // Reserved
+        view.setUint16(2, 1, true);              // Type: icon
+        view.setUint16(4, images.length, true);  // Number of images
+
+        images.forEach((image, index) => {
+            const entry = headerSize + entrySize * index;
+            view.setUint8(entry, image.size >= 256 ? 0 : image.size);     // Width (0 = 256)
+            view.setUint8(entry + 1, image.size >= 256 ? 0 : image.size); // Height (0 = 256)
+            view.setUint8(entry + 2, 0);                                  // Palette size
+            view.setUint8(entry + 3, 0);                                  // Reserved
+            view.setUint16(entry + 4, 1, true);                           // Colour planes
+            view.setUint16(entry + 6, 32, true);                          // Bits per pixel
+            view.setUint32(entry + 8, image.data.length, true);           // Image size
+            view.setUint32(entry + 12, offset, true);                     // Image offset
+
+            bytes.set(image.data, offset);
+            offset += image.data.length;
+        });
+
+        return bytes;
+    }
+
+    // Render an SVG at several sizes and pack them into a favicon .ico blob
+    async function exportIco(svg, options = {}, sizes = ICO_SIZES) {
+        const images = [];
+
+        for (const size of sizes) {
+            const blob = await exportRaster(svg, 'png', { ...options, size });
+            images.push({ size, data: new Uint8Array(await blob.arrayBuffer()) });
+        }
+
+        return new Blob([buildIco(images)], { type: 'image/x-icon' });
+    }
+
+    return {
+        BASE_SIZE,
+        ICO_SIZES,
+        resizeSvg,
+        rasterizeSvg,
+        exportRaster,
+        buildIco,
+        exportIco
+    };
+});
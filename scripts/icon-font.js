@@ -0,0 +1,132 @@
+/**
+ * ========================================
+ * ICON FONT
+ * ========================================
+ *
+ * Codepoints, class names and CSS for the SBG icon font, which
+ * tools/build-font.js compiles from the SVG set for pages that can only
+ * use icon fonts:
+ *   <i class="sbg-icon-cash-notes"></i>
+ *
+ * Codepoints live in icons-codepoints.json ({ "<icon name>": "e001" }) so
+ * every icon keeps its character from one build to the next. They are
+ * handed out in the Private Use Area from U+E000 and never reused - an
+ * icon that is removed keeps its entry.
+ *
+ * USAGE:
+ * - Browser: loaded after icon-codegen.js, exposes the functions globally
+ * - Node: require('./scripts/icon-font.js') (see tools/build-font.js)
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./icon-codegen.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function(codegen) {
+
+    const { getElementName } = codegen;
+
+    const CODEPOINTS_FILE = 'icons-codepoints.json';
+    const FONT_FAMILY = 'SBG Icons';
+    const FONT_FILENAME = 'sbg-icons';
+
+    // Private Use Area of the Basic Multilingual Plane
+    const FIRST_CODEPOINT = 0xE000;
+    const LAST_CODEPOINT = 0xF8FF;
+
+    // icn_cash_notes -> sbg-icon-cash-notes (the same as the web component's tag name)
+    function getFontClassName(name) {
+        return getElementName(name);
+    }
+
+    // 0xE012 -> "U+E012"
+    function formatCodepoint(codepoint) {
+        return `U+${codepoint.toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+
+    // 0xE012 -> "\e012", for CSS content
+    function getCssContent(codepoint) {
+        return `\\${codepoint.toString(16)}`;
+    }
+
+    // Stable codepoints for a list of icon names. Names already in the mapping
+    // keep theirs; new ones get the next free codepoint after the highest in use.
+    // Returns { mapping, added } - mapping is a new object in codepoint order
+    function assignCodepoints(names, mapping = {}) {
+        const codepoints = new Map(Object.entries(mapping).map(([name, hex]) => [name, parseInt(hex, 16)]));
+        let next = Math.max(FIRST_CODEPOINT - 1, ...codepoints.values()) + 1;
+        const added = [];
+
+        names.forEach(name => {
+            if (codepoints.has(name)) return;
+            if (next > LAST_CODEPOINT) throw new Error('The Private Use Area is full - no codepoint left for ' + name);
+
+            codepoints.set(name, next++);
+            added.push(name);
+        });
+
+        const sorted = [...codepoints.entries()].sort((a, b) => a[1] - b[1]);
+        return {
+            mapping: Object.fromEntries(sorted.map(([name, codepoint]) => [name, codepoint.toString(16)])),
+            added
+        };
+    }
+
+    // Put each icon's codepoint (a number) on its records, from an icons-codepoints.json mapping
+    function applyCodepoints(icons, mapping) {
+        icons.forEach(icon => {
+            if (mapping[icon.name]) icon.codepoint = parseInt(mapping[icon.name], 16);
+        });
+    }
+
+    // Stylesheet for the font: @font-face plus a ::before rule per icon.
+    // glyphs is [{ name, codepoint }]; version is appended to the font URLs to bust caches
+    function generateFontCss(glyphs, version) {
+        const query = version ? `?v=${version}` : '';
+        const rules = glyphs.map(glyph =>
+            `.${getFontClassName(glyph.name)}::before { content: "${getCssContent(glyph.codepoint)}"; }`
+        );
+
+        return `/* ${FONT_FAMILY} - generated by tools/build-font.js from ${CODEPOINTS_FILE} */
+
+@font-face {
+  font-family: '${FONT_FAMILY}';
+  src: url('${FONT_FILENAME}.woff2${query}') format('woff2'),
+       url('${FONT_FILENAME}.woff${query}') format('woff');
+  font-weight: normal;
+  font-style: normal;
+  font-display: block;
+}
+
+[class^="sbg-icon-"], [class*=" sbg-icon-"] {
+  display: inline-block;
+  font-family: '${FONT_FAMILY}' !important;
+  font-style: normal;
+  font-weight: normal;
+  font-variant: normal;
+  line-height: 1;
+  text-transform: none;
+  speak: never;
+  -webkit-font-smoothing: antialiased;
+  -moz-osx-font-smoothing: grayscale;
+}
+
+${rules.join('\n')}
+`;
+    }
+
+    return {
+        CODEPOINTS_FILE,
+        FONT_FAMILY,
+        FONT_FILENAME,
+        FIRST_CODEPOINT,
+        getFontClassName,
+        formatCodepoint,
+        getCssContent,
+        assignCodepoints,
+        applyCodepoints,
+        generateFontCss
+    };
+});
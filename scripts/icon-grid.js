@@ -0,0 +1,77 @@
+/**
+ * ========================================
+ * VIRTUAL GRID
+ * ========================================
+ *
+ * Windowing maths for the icon grid. Only the rows in (or near) the
+ * viewport are mounted; the rows above and below are stood in for by
+ * padding, so the grid keeps its full height and the scrollbar behaves
+ * as if every icon were there.
+ *
+ * All rows are assumed to be the same height (icon names don't wrap).
+ *
+ * USAGE:
+ * - Browser: include before app.js, exposes the functions globally
+ * - Node: const { getGridWindow } = require('./scripts/icon-grid.js')
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function() {
+
+    // Rows mounted above and below the viewport, so fast scrolling doesn't show gaps
+    const DEFAULT_OVERSCAN_ROWS = 4;
+
+    // Number of tracks in a resolved grid-template-columns value ("130px 130px 130px" -> 3);
+    // null when the browser hasn't laid the grid out
+    function countGridColumns(templateColumns) {
+        const tracks = String(templateColumns || '').trim().split(/\s+/);
+        return tracks.every(track => /^[\d.]+px$/.test(track)) ? tracks.length : null;
+    }
+
+    // Slice of the items to mount for a scroll position:
+    // { start, end, paddingTop, paddingBottom } with end exclusive
+    function getGridWindow({ itemCount, columns, rowHeight, scrollTop, viewportHeight, overscan = DEFAULT_OVERSCAN_ROWS }) {
+        if (!itemCount || !columns || !rowHeight) {
+            return { start: 0, end: itemCount || 0, paddingTop: 0, paddingBottom: 0 };
+        }
+
+        const rows = Math.ceil(itemCount / columns);
+        const clampRow = row => Math.max(0, Math.min(row, rows));
+        const firstRow = clampRow(Math.floor(scrollTop / rowHeight) - overscan);
+        const lastRow = Math.max(firstRow, clampRow(Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan));
+
+        return {
+            start: firstRow * columns,
+            end: Math.min(lastRow * columns, itemCount),
+            paddingTop: firstRow * rowHeight,
+            paddingBottom: (rows - lastRow) * rowHeight
+        };
+    }
+
+    // Scroll offset (from the top of the grid) that brings an item's row into view
+    function getItemScrollTop(index, columns, rowHeight) {
+        return Math.floor(index / columns) * rowHeight;
+    }
+
+    // Run fn once calls have stopped for `wait` ms
+    function debounce(fn, wait) {
+        let timer = null;
+        return function(...args) {
+            clearTimeout(timer);
+            timer = setTimeout(() => fn.apply(this, args), wait);
+        };
+    }
+
+    return {
+        DEFAULT_OVERSCAN_ROWS,
+        countGridColumns,
+        getGridWindow,
+        getItemScrollTop,
+        debounce
+    };
+});
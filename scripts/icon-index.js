@@ -0,0 +1,165 @@
+/**
+ * ========================================
+ * ICONS INDEX HELPERS
+ * ========================================
+ *
+ * Reads, writes and validates the icons-index.json format:
+ * a metadata record ({ _generated, _timestamp, _totalIcons, _note })
+ * followed by one { name, category, path } entry per icon. Entries built
+ * from the files themselves also carry { hash, size, width, height } so
+ * changed artwork can be told apart from unchanged (see icon-diff.js).
+ *
+ * USAGE:
+ * - Browser: loaded before icon-loader.js, exposes the functions globally
+ * - Node: require('./scripts/icon-index.js') (see tools/build-index.js)
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function() {
+
+    const INDEX_FILE = 'icons-index.json';
+
+    // Age after which the gallery suggests checking an index against the files
+    const INDEX_MAX_AGE_HOURS = 24;
+
+    // Per-file details stored on index entries when the SVG content is known
+    const FILE_INFO_FIELDS = ['hash', 'size', 'width', 'height'];
+
+    // 53-bit string hash (cyrb53) - identical in the browser and Node without a crypto API
+    function hashContent(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+    }
+
+    // Content hash, size in bytes and dimensions of an SVG file
+    function getIconFileInfo(svg) {
+        const content = String(svg);
+        const rootTag = (/<svg\b[^>]*>/i.exec(content) || [''])[0];
+        const attribute = name => {
+            const match = new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(rootTag);
+            return match ? match[1] : null;
+        };
+        const viewBox = (attribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+        const dimension = (name, index) =>
+            parseFloat(attribute(name)) || (viewBox.length === 4 ? viewBox[index] : null) || null;
+
+        return {
+            // Line endings don't change the artwork, so they don't change the hash
+            hash: hashContent(content.replace(/\r\n/g, '\n')),
+            size: new TextEncoder().encode(content).length,
+            width: dimension('width', 2),
+            height: dimension('height', 3)
+        };
+    }
+
+    // The file info fields an icon record carries
+    function pickFileInfo(icon) {
+        const info = {};
+        FILE_INFO_FIELDS.forEach(field => {
+            if (icon[field] !== undefined && icon[field] !== null) info[field] = icon[field];
+        });
+        return info;
+    }
+
+    // Generate icons-index.json content from a list of icons ({ name, category, path } plus any file info)
+    function generateIndexFile(discoveredIcons) {
+        const indexData = [
+            // Add metadata
+            {
+                _generated: Date.now(),
+                _timestamp: new Date().toISOString(),
+                _totalIcons: discoveredIcons.length,
+                _note: "Auto-generated by icon-index.js. Delete this file to force fresh discovery."
+            },
+            // Add actual icon data
+            ...discoveredIcons.map(icon => ({
+                name: icon.name,
+                category: icon.category,
+                path: icon.path,
+                ...pickFileInfo(icon)
+            }))
+        ];
+
+        return JSON.stringify(indexData, null, 2);
+    }
+
+    // The metadata record, or an empty object for hand-written indexes
+    function getIndexMetadata(indexData) {
+        return indexData.find(item => item && item._generated !== undefined) || {};
+    }
+
+    // Whether an index was generated more than maxAgeHours before now (hand-written ones never are)
+    function isIndexStale(indexData, { now = Date.now(), maxAgeHours = INDEX_MAX_AGE_HOURS } = {}) {
+        const generated = getIndexMetadata(indexData)._generated;
+        return Boolean(generated) && (now - generated) / (1000 * 60 * 60) > maxAgeHours;
+    }
+
+    // The icon entries, without the metadata record
+    function getIndexEntries(indexData) {
+        return indexData.filter(item => item && item.name && item.category && item.path);
+    }
+
+    // Compare an index against the icons that actually exist
+    function findIndexDrift(indexData, icons) {
+        const entries = getIndexEntries(indexData);
+        const metadata = getIndexMetadata(indexData);
+
+        const indexedPaths = new Set(entries.map(entry => entry.path));
+        const actualPaths = new Set(icons.map(icon => icon.path));
+
+        // Files whose content no longer matches the hash recorded in the index
+        const recordedHashes = new Map(entries.map(entry => [entry.path, entry.hash]));
+        const changedFiles = icons
+            .filter(icon => icon.hash && recordedHashes.get(icon.path) && recordedHashes.get(icon.path) !== icon.hash)
+            .map(icon => icon.path);
+
+        const drift = {
+            missingFromIndex: [...actualPaths].filter(iconPath => !indexedPaths.has(iconPath)),
+            missingFiles: [...indexedPaths].filter(iconPath => !actualPaths.has(iconPath)),
+            changedFiles: changedFiles,
+            totalMismatch: null
+        };
+
+        if (metadata._totalIcons !== undefined && metadata._totalIcons !== entries.length) {
+            drift.totalMismatch = { recorded: metadata._totalIcons, actual: entries.length };
+        }
+
+        return drift;
+    }
+
+    function hasIndexDrift(drift) {
+        return drift.missingFromIndex.length > 0 ||
+            drift.missingFiles.length > 0 ||
+            drift.changedFiles.length > 0 ||
+            drift.totalMismatch !== null;
+    }
+
+    return {
+        INDEX_FILE,
+        INDEX_MAX_AGE_HOURS,
+        FILE_INFO_FIELDS,
+        hashContent,
+        getIconFileInfo,
+        pickFileInfo,
+        generateIndexFile,
+        getIndexMetadata,
+        isIndexStale,
+        getIndexEntries,
+        findIndexDrift,
+        hasIndexDrift
+    };
+});
@@ -0,0 +1,298 @@
+/**
+ * ========================================
+ * ICON LIBRARY
+ * ========================================
+ *
+ * A person's own icon lists: favourites, the icons they copied most
+ * recently and named collections ("my set"). Every list holds references
+ * to icon variants ({ name, category }), not the icons themselves, so a
+ * library stays valid when the icon set is rebuilt.
+ *
+ * The functions never change the library they are given - each returns an
+ * updated copy, ready to be saved (the gallery keeps it in localStorage,
+ * see scripts/library.js).
+ *
+ * Collections travel as JSON:
+ *   { "format": "sbg-icon-library", "version": 1,
+ *     "favourites": [{ "name": "icn_cash_note", "category": "grey" }],
+ *     "collections": [{ "name": "Payments", "icons": [...] }] }
+ *
+ * In the gallery each list is a virtual category next to the real ones.
+ * Their ids start with "@", which folder names don't.
+ *
+ * USAGE:
+ * - Browser: exposes the functions globally
+ * - Node: require('./scripts/icon-library.js')
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function() {
+
+    const LIBRARY_FORMAT = 'sbg-icon-library';
+    const LIBRARY_VERSION = 1;
+    const RECENT_LIMIT = 40;
+
+    const FAVOURITES_CATEGORY = '@favourites';
+    const RECENT_CATEGORY = '@recent';
+    const COLLECTION_CATEGORY_PREFIX = '@collection:';
+
+    function createLibrary() {
+        return { version: LIBRARY_VERSION, favourites: [], recent: [], collections: [] };
+    }
+
+    // The { name, category } reference for an icon record
+    function toIconRef(icon) {
+        return { name: icon.name, category: icon.category };
+    }
+
+    function isSameRef(a, b) {
+        return a.name === b.name && a.category === b.category;
+    }
+
+    function containsRef(refs, icon) {
+        return refs.some(ref => isSameRef(ref, icon));
+    }
+
+    function isFavourite(library, icon) {
+        return containsRef(library.favourites, icon);
+    }
+
+    // Add an icon to the favourites, or take it out if it is already there
+    function toggleFavourite(library, icon) {
+        const favourites = isFavourite(library, icon)
+            ? library.favourites.filter(ref => !isSameRef(ref, icon))
+            : [...library.favourites, toIconRef(icon)];
+        return { ...library, favourites };
+    }
+
+    // Put an icon at the top of the recently copied list (what was copied, and when)
+    function addRecentCopy(library, icon, type, copiedAt = Date.now()) {
+        const recent = [
+            { ...toIconRef(icon), type, copiedAt },
+            ...library.recent.filter(ref => !isSameRef(ref, icon))
+        ].slice(0, RECENT_LIMIT);
+        return { ...library, recent };
+    }
+
+    function clearRecentCopies(library) {
+        return { ...library, recent: [] };
+    }
+
+    function findCollection(library, name) {
+        return library.collections.find(collection => collection.name === name) || null;
+    }
+
+    function createCollection(library, name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error('A collection needs a name');
+        if (findCollection(library, trimmed)) throw new Error(`There is already a collection called "${trimmed}"`);
+        return { ...library, collections: [...library.collections, { name: trimmed, icons: [] }] };
+    }
+
+    // Give a collection a new name, keeping its icons and its place in the list
+    function renameCollection(library, name, newName) {
+        const trimmed = String(newName || '').trim();
+        if (!trimmed) throw new Error('A collection needs a name');
+        if (!findCollection(library, name)) throw new Error(`No collection called "${name}"`);
+        if (trimmed !== name && findCollection(library, trimmed)) throw new Error(`There is already a collection called "${trimmed}"`);
+        return {
+            ...library,
+            collections: library.collections.map(collection =>
+                collection.name === name ? { ...collection, name: trimmed } : collection)
+        };
+    }
+
+    function deleteCollection(library, name) {
+        return { ...library, collections: library.collections.filter(collection => collection.name !== name) };
+    }
+
+    function updateCollection(library, name, update) {
+        if (!findCollection(library, name)) throw new Error(`No collection called "${name}"`);
+        return {
+            ...library,
+            collections: library.collections.map(collection =>
+                collection.name === name ? { ...collection, icons: update(collection.icons) } : collection)
+        };
+    }
+
+    // Add icons to a collection, skipping any it already has
+    function addToCollection(library, name, icons) {
+        return updateCollection(library, name, refs => icons.reduce((all, icon) =>
+            containsRef(all, icon) ? all : [...all, toIconRef(icon)], refs));
+    }
+
+    function removeFromCollection(library, name, icon) {
+        return updateCollection(library, name, refs => refs.filter(ref => !isSameRef(ref, icon)));
+    }
+
+    // JSON for a library - all of it, or just the named collections (without favourites)
+    function exportLibrary(library, { collections = null } = {}) {
+        const data = {
+            format: LIBRARY_FORMAT,
+            version: LIBRARY_VERSION,
+            exported: new Date().toISOString(),
+            favourites: collections ? [] : library.favourites.map(toIconRef),
+            collections: library.collections
+                .filter(collection => !collections || collections.includes(collection.name))
+                .map(collection => ({ name: collection.name, icons: collection.icons.map(toIconRef) }))
+        };
+        return JSON.stringify(data, null, 2) + '\n';
+    }
+
+    function parseRefs(value, where) {
+        if (!Array.isArray(value)) throw new Error(`${where} should be a list of icons`);
+        return value.map((ref, index) => {
+            if (!ref || typeof ref.name !== 'string' || typeof ref.category !== 'string' || !ref.name || !ref.category) {
+                throw new Error(`${where}, item ${index + 1}: needs a name and a category`);
+            }
+            return toIconRef(ref);
+        });
+    }
+
+    /**
+     * Read exported JSON: { favourites, collections }. Throws an Error saying
+     * what is wrong for anything that isn't a library export.
+     */
+    function parseLibraryImport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not valid JSON: ${error.message}`);
+        }
+
+        if (!data || data.format !== LIBRARY_FORMAT) throw new Error(`Not an ${LIBRARY_FORMAT} file`);
+        if (data.version > LIBRARY_VERSION) throw new Error(`Made by a newer version of the gallery (version ${data.version})`);
+
+        const collections = (data.collections || []).map((collection, index) => {
+            const name = collection && typeof collection.name === 'string' ? collection.name.trim() : '';
+            if (!name) throw new Error(`Collection ${index + 1} needs a name`);
+            return { name, icons: parseRefs(collection.icons || [], `Collection "${name}"`) };
+        });
+
+        return { favourites: parseRefs(data.favourites || [], 'Favourites'), collections };
+    }
+
+    /**
+     * Add an import to a library. Favourites are added to; a collection with
+     * the same name as an existing one is merged into it.
+     */
+    function mergeLibraryImport(library, imported) {
+        let merged = { ...library, favourites: [...library.favourites] };
+        imported.favourites.forEach(ref => {
+            if (!containsRef(merged.favourites, ref)) merged.favourites.push(ref);
+        });
+
+        imported.collections.forEach(collection => {
+            if (!findCollection(merged, collection.name)) merged = createCollection(merged, collection.name);
+            merged = addToCollection(merged, collection.name, collection.icons);
+        });
+        return merged;
+    }
+
+    // A stored library, with anything missing or malformed replaced by an empty list
+    function normaliseLibrary(data) {
+        const library = createLibrary();
+        if (!data || typeof data !== 'object') return library;
+
+        const refs = value => Array.isArray(value)
+            ? value.filter(ref => ref && typeof ref.name === 'string' && typeof ref.category === 'string')
+            : [];
+
+        return {
+            ...library,
+            favourites: refs(data.favourites),
+            recent: refs(data.recent).slice(0, RECENT_LIMIT),
+            collections: Array.isArray(data.collections)
+                ? data.collections
+                    .filter(collection => collection && typeof collection.name === 'string' && collection.name)
+                    .map(collection => ({ name: collection.name, icons: refs(collection.icons) }))
+                : []
+        };
+    }
+
+    function getCollectionCategory(name) {
+        return COLLECTION_CATEGORY_PREFIX + name;
+    }
+
+    function isLibraryCategory(category) {
+        return typeof category === 'string' && category.startsWith('@');
+    }
+
+    /**
+     * The library's lists as virtual categories: [{ id, label, kind, refs }].
+     * Favourites and recent copies only appear once they have icons;
+     * collections always do.
+     */
+    function getLibraryCategories(library) {
+        const categories = [];
+        if (library.favourites.length > 0) {
+            categories.push({ id: FAVOURITES_CATEGORY, label: 'Favourites', kind: 'favourites', refs: library.favourites });
+        }
+        if (library.recent.length > 0) {
+            categories.push({ id: RECENT_CATEGORY, label: 'Recently Copied', kind: 'recent', refs: library.recent });
+        }
+        library.collections.forEach(collection => {
+            categories.push({
+                id: getCollectionCategory(collection.name),
+                label: collection.name,
+                kind: 'collection',
+                refs: collection.icons
+            });
+        });
+        return categories;
+    }
+
+    /**
+     * Icon records for a list of references, in list order. A reference to a
+     * variant that no longer exists falls back to another variant of the icon;
+     * one to an icon that is gone altogether is dropped.
+     */
+    function resolveIconRefs(refs, icons) {
+        const byKey = new Map();
+        const byName = new Map();
+        icons.forEach(icon => {
+            byKey.set(`${icon.category}/${icon.name}`, icon);
+            if (!byName.has(icon.name)) byName.set(icon.name, icon);
+        });
+
+        const resolved = [];
+        refs.forEach(ref => {
+            const icon = byKey.get(`${ref.category}/${ref.name}`) || byName.get(ref.name);
+            if (icon && !resolved.includes(icon)) resolved.push(icon);
+        });
+        return resolved;
+    }
+
+    return {
+        LIBRARY_FORMAT,
+        LIBRARY_VERSION,
+        RECENT_LIMIT,
+        FAVOURITES_CATEGORY,
+        RECENT_CATEGORY,
+        createLibrary,
+        isFavourite,
+        toggleFavourite,
+        addRecentCopy,
+        clearRecentCopies,
+        findCollection,
+        createCollection,
+        renameCollection,
+        deleteCollection,
+        addToCollection,
+        removeFromCollection,
+        exportLibrary,
+        parseLibraryImport,
+        mergeLibraryImport,
+        normaliseLibrary,
+        getCollectionCategory,
+        isLibraryCategory,
+        getLibraryCategories,
+        resolveIconRefs
+    };
+});
@@ -0,0 +1,164 @@
+/**
+ * ========================================
+ * ICON LINTER
+ * ========================================
+ *
+ * Checks icons against the library's rules:
+ * - naming: lowercase snake_case with the icn_ prefix
+ * - viewbox: drawn on a 24x24 viewBox
+ * - palette: only the category's palette colour is used
+ * - unsafe-content: no scripts, event handlers, foreignObject or external refs
+ * - missing-variant: every icon exists in every category
+ * - duplicate-name: no two icons whose names only differ by case or separator
+ *
+ * USAGE:
+ * - Browser: loaded after icon-colour.js, exposes the functions globally
+ * - Node: require('./scripts/icon-lint.js') (see tools/lint-icons.js)
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./icon-colour.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function(colours) {
+
+    const { PALETTES, findColours, isNeutralColour } = colours;
+
+    const NAME_PATTERN = /^icn_(?!icn_)[a-z0-9]+(_[a-z0-9]+)*$/;
+    const VIEWBOX = '0 0 24 24';
+
+    const SEVERITY = {
+        naming: 'warning',
+        viewbox: 'error',
+        palette: 'error',
+        'unsafe-content': 'error',
+        'missing-variant': 'warning',
+        'duplicate-name': 'warning'
+    };
+
+    function issue(rule, message) {
+        return { rule, severity: SEVERITY[rule], message };
+    }
+
+    // Rule: naming
+    function lintIconName(icon) {
+        if (NAME_PATTERN.test(icon.name)) return [];
+        return [issue('naming', `"${icon.name}" should be lowercase snake_case starting with icn_`)];
+    }
+
+    // Rules: viewbox, palette, unsafe-content
+    function lintIconContent(icon) {
+        const svg = icon.svg || '';
+        const issues = [];
+
+        const root = /<svg\b[^>]*>/i.exec(svg);
+        const viewBox = root && /\bviewBox\s*=\s*["']([^"']*)["']/i.exec(root[0]);
+        if (!viewBox) {
+            issues.push(issue('viewbox', 'Missing viewBox attribute'));
+        } else if (viewBox[1].trim().split(/[\s,]+/).join(' ') !== VIEWBOX) {
+            issues.push(issue('viewbox', `viewBox is "${viewBox[1]}", expected "${VIEWBOX}"`));
+        }
+
+        const palette = PALETTES[icon.category];
+        if (palette) {
+            const allowed = palette.map(colour => colour.toUpperCase());
+            const offPalette = [...new Set(findColours(svg)
+                .filter(colour => !isNeutralColour(colour))
+                .filter(colour => !allowed.includes(colour.toUpperCase())))];
+
+            if (offPalette.length > 0) {
+                issues.push(issue('palette', `Uses ${offPalette.join(', ')}; ${icon.category} allows only ${palette.join(', ')}`));
+            }
+        }
+
+        if (/<script\b/i.test(svg)) {
+            issues.push(issue('unsafe-content', 'Contains a <script> element'));
+        }
+        if (/<foreignObject\b/i.test(svg)) {
+            issues.push(issue('unsafe-content', 'Contains a <foreignObject> element'));
+        }
+        if (/\son[a-z]+\s*=/i.test(svg)) {
+            issues.push(issue('unsafe-content', 'Contains an event handler attribute'));
+        }
+        const externalRefs = svg.match(/\b(?:xlink:)?href\s*=\s*["'](?!#)[^"']*["']|url\(\s*["']?(?!#)[^)]*\)/gi);
+        if (externalRefs) {
+            issues.push(issue('unsafe-content', `References external resources: ${externalRefs.join(', ')}`));
+        }
+
+        return issues;
+    }
+
+    // Lint a single icon ({ name, category, svg }); content rules are skipped until the SVG is loaded
+    function lintIcon(icon) {
+        return [
+            ...lintIconName(icon),
+            ...(icon.svg ? lintIconContent(icon) : [])
+        ];
+    }
+
+    // Rules that need the whole set: missing-variant, duplicate-name
+    function lintSetRules(icons) {
+        const issuesByIcon = new Map(icons.map(icon => [icon, []]));
+        const categories = [...new Set(icons.map(icon => icon.category))];
+        const namesByCategory = {};
+
+        categories.forEach(category => {
+            namesByCategory[category] = new Set(icons
+                .filter(icon => icon.category === category)
+                .map(icon => icon.name));
+        });
+
+        const normalise = name => name.toLowerCase().replace(/[\s_-]+/g, '_');
+        const seen = {};
+
+        icons.forEach(icon => {
+            const missingFrom = categories.filter(category => !namesByCategory[category].has(icon.name));
+            if (missingFrom.length > 0) {
+                issuesByIcon.get(icon).push(issue('missing-variant', `No ${missingFrom.join(', ')} variant`));
+            }
+
+            const key = `${icon.category}/${normalise(icon.name)}`;
+            if (seen[key] && seen[key] !== icon.name) {
+                issuesByIcon.get(icon).push(issue('duplicate-name', `Clashes with "${seen[key]}" in ${icon.category}`));
+            } else {
+                seen[key] = icon.name;
+            }
+        });
+
+        return issuesByIcon;
+    }
+
+    // Lint a whole icon set and build a machine-readable report
+    function lintIconSet(icons) {
+        const setIssues = lintSetRules(icons);
+
+        const results = icons.map(icon => ({
+            name: icon.name,
+            category: icon.category,
+            path: icon.path,
+            issues: [...lintIcon(icon), ...setIssues.get(icon)]
+        }));
+
+        const count = severity => results.reduce((total, result) =>
+            total + result.issues.filter(item => item.severity === severity).length, 0);
+
+        return {
+            summary: {
+                icons: results.length,
+                iconsWithIssues: results.filter(result => result.issues.length > 0).length,
+                errors: count('error'),
+                warnings: count('warning')
+            },
+            results: results
+        };
+    }
+
+    return {
+        lintIconName,
+        lintIconContent,
+        lintIcon,
+        lintIconSet
+    };
+});
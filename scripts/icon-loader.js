@@ -7,15 +7,31 @@
  * It provides a simple way to manage and display icons without relying on server-side code.
  *
  * USAGE:
- * 1. Include this script in your HTML file.
+ * 1. Include icon-index.js, icon-bundle.js, icon-colour.js, icon-lint.js, icon-sanitizer.js,
+ *    icon-search.js, icon-runtime.js, icon-diff.js, icon-sources.js and then this script
+ *    in your HTML file.
  * 2. Call the `initializeIconLibrary` function to load and display icons.
  *
+ * Fetching and caching of the index, bundle and SVG files goes through
+ * icon-runtime.js, the same code apps use for <sbg-icon>.
+ *
  */
 
 
 // Configuration
 const CONFIG = {
-    iconFolders: ['blue-default', 'grey']
+    // Maximum number of SVG requests in flight at once
+    fetchConcurrency: 6,
+    // Icons fetched straight after discovery; the rest load as they scroll into view
+    eagerLoadCount: 60,
+    // Start fetching icons this far before they enter the viewport
+    lazyRootMargin: '200px',
+    // Only mount the grid rows in and near the viewport (see icon-grid.js)
+    virtualGrid: true,
+    // Rows mounted above and below the viewport
+    overscanRows: 4,
+    // Milliseconds to wait after the last keystroke before filtering
+    searchDebounce: 150
 };
 
 // Get the current base URL
@@ -24,239 +40,334 @@ function getBaseUrl() {
     return baseUrl;
 }
 
-// Load SVG content
-async function loadSVG(url) {
-    try {
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        return await response.text();
-    } catch (error) {
-        return null;
+configureIcons({
+    baseUrl: getBaseUrl(),
+    fetchConcurrency: CONFIG.fetchConcurrency
+});
+
+// Create an icon record - the SVG body is fetched later through the load queue
+function createIconRecord(name, category, path, sourceUrl) {
+    const fullUrl = `${getBaseUrl()}${path}`;
+    return {
+        name: name,
+        category: category,
+        svg: null,
+        path: path,
+        fullUrl: fullUrl,
+        sourceUrl: sourceUrl || fullUrl
+    };
+}
+
+// Sanitise markup before it is stored on an icon; returns false when it isn't a usable SVG
+function applyIconSVG(icon, content) {
+    const result = sanitizeSvg(content);
+    
+    if (result.modified) {
+        const message = result.svg
+            ? `Removed ${result.removed.join(', ')}`
+            : `Rejected: ${result.removed.join(', ')}`;
+        console.warn(`🧹 Sanitised ${icon.category}/${icon.name} - ${message}`);
+        icon.sanitized = true;
+        icon.lintIssues = (icon.lintIssues || []).concat({ rule: 'sanitised', severity: 'error', message });
     }
+    
+    icon.svg = result.svg;
+    return result.svg !== null;
 }
 
-// Method 1: Try to load icons-index.json (if it exists)
-async function tryIndexFile() {
-    const baseUrl = getBaseUrl();
+// In-flight SVG loads per icon record, so each file is linted once
+const pendingIconLoads = new WeakMap();
+
+// Fetch the SVG body for an icon record (requests for the same icon are shared)
+function fetchIconSVG(icon) {
+    if (icon.svg) return Promise.resolve(icon.svg);
+    if (pendingIconLoads.has(icon)) return pendingIconLoads.get(icon);
     
-    try {
-        console.log('📋 Checking for icons-index.json...');
-        const response = await fetch(`${baseUrl}icons-index.json`);
-        
-        if (!response.ok) {
-            console.log('📋 No icons-index.json found, trying other methods...');
-            return [];
-        }
-        
-        const indexData = await response.json();
-        console.log(`📋 Found icons-index.json with ${indexData.length} icons`);
-        
-        // Add timestamp check if available
-        const indexTimestamp = indexData._generated || 0;
-        const hoursSinceGenerated = (Date.now() - indexTimestamp) / (1000 * 60 * 60);
-        
-        if (hoursSinceGenerated > 24) {
-            console.log('⚠️ Index file is over 24 hours old, consider regenerating');
-        }
+    // The runtime limits concurrent requests and caches files in memory and IndexedDB
+    const request = fetchIconSource(icon.sourceUrl, icon.hash).then(content => {
+        pendingIconLoads.delete(icon);
         
-        const icons = [];
-        const failedIcons = [];
-        
-        for (const item of indexData) {
-            // Skip metadata
-            if (item.name && item.category && item.path) {
-                const iconUrl = `${baseUrl}${item.path}`;
-                const svgContent = await loadSVG(iconUrl);
-                
-                if (svgContent) {
-                    icons.push({
-                        name: item.name,
-                        category: item.category,
-                        svg: svgContent,
-                        path: item.path,
-                        fullUrl: iconUrl
-                    });
-                    console.log(`✅ Loaded from index: ${item.name}`);
-                } else {
-                    failedIcons.push(item.name);
-                    console.warn(`❌ Icon in index but file missing: ${item.name}`);
-                }
-            }
+        // Lint the file as served, then sanitise it before it reaches the page
+        if (content) {
+            icon.lintIssues = (icon.lintIssues || []).concat(lintIconContent({ ...icon, svg: content }));
         }
         
-        // If many icons failed to load, the index might be outdated
-        if (failedIcons.length > 0) {
-            console.warn(`⚠️ ${failedIcons.length} icons in index but not found on server. Index may be outdated.`);
-            console.warn('💡 Tip: Delete icons-index.json to force fresh discovery, or run createIconsIndex() to regenerate');
+        if (content && applyIconSVG(icon, content)) {
+            if (typeof updateIconElement === 'function') updateIconElement(icon);
+        } else {
+            handleMissingIcon(icon);
         }
         
-        return icons;
-        
-    } catch (error) {
-        console.log('📋 Index file method failed, trying alternatives...');
-        return [];
+        return icon.svg;
+    });
+    
+    pendingIconLoads.set(icon, request);
+    return request;
+}
+
+// Drop an icon whose file could not be fetched
+function handleMissingIcon(icon) {
+    console.warn(`❌ Icon listed but file missing: ${icon.category}/${icon.name}`);
+    icon.missing = true;
+    
+    ['iconsData', 'filteredIcons'].forEach(key => {
+        const list = window[key] || [];
+        const index = list.indexOf(icon);
+        if (index !== -1) list.splice(index, 1);
+    });
+    
+    if (typeof removeIconElement === 'function') removeIconElement(icon);
+    if (typeof updateStats === 'function') updateStats();
+    
+    if (!handleMissingIcon.warned) {
+        handleMissingIcon.warned = true;
+        console.warn('💡 Tip: Delete icons-index.json to force fresh discovery, or run createIconsIndex() to regenerate');
+    }
+}
+
+// Lazy loading - fetch SVG bodies only when their grid item comes into view
+let lazyIconObserver = null;
+
+function observeLazyIcons(container) {
+    if (lazyIconObserver) lazyIconObserver.disconnect();
+    
+    const pendingItems = container.querySelectorAll('.icon-item[data-pending]');
+    const findIcon = item => (window.iconsData || []).find(icon =>
+        icon.category === item.dataset.category && icon.name === item.dataset.name
+    );
+    
+    if (!('IntersectionObserver' in window)) {
+        pendingItems.forEach(item => {
+            const icon = findIcon(item);
+            if (icon) fetchIconSVG(icon);
+        });
+        return;
+    }
+    
+    lazyIconObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            lazyIconObserver.unobserve(entry.target);
+            
+            const icon = findIcon(entry.target);
+            if (icon) fetchIconSVG(icon);
+        });
+    }, { rootMargin: CONFIG.lazyRootMargin });
+    
+    pendingItems.forEach(item => lazyIconObserver.observe(item));
+}
+
+// ---- Discovery sources (see icon-sources.js) ----
+// Register your own with registerIconSource() in a script loaded after this one;
+// they run in order alongside these, by their `order`.
+
+async function fetchOk(url, signal) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    return response;
+}
+
+// icons-bundle.json - every SVG in a single request
+async function discoverFromBundle(config) {
+    const bundleData = await loadIconBundle(`${getBaseUrl()}${config.url}`);
+    if (!bundleData) return [];
+    
+    return getIndexEntries(bundleData)
+        .filter(item => item.svg)
+        .map(item => {
+            const icon = Object.assign(createIconRecord(item.name, item.category, item.path), pickFileInfo(item));
+            return applyIconSVG(icon, item.svg) ? icon : null;
+        })
+        .filter(Boolean);
+}
+
+// A list in the icons-index.json format ([{ name, category, path }]) from a URL
+async function discoverFromIndex(config) {
+    const url = /^[a-z][a-z0-9+.-]*:/i.test(config.url) ? config.url : `${getBaseUrl()}${config.url}`;
+    const indexData = await loadIconIndex(url);
+    if (!indexData) return [];
+    
+    if (isIndexStale(indexData)) {
+        console.log(`⚠️ ${config.url} is over ${INDEX_MAX_AGE_HOURS} hours old, run node tools/build-index.js --check to validate it`);
     }
+    
+    return getIndexEntries(indexData).map(item =>
+        Object.assign(createIconRecord(item.name, item.category, item.path), pickFileInfo(item))
+    );
+}
+
+/**
+ * A source reading an icons-index.json style list, e.g. a local JSON endpoint:
+ *   registerIconSource(createIndexSource({ name: 'api', url: '/api/icons', order: 5, snapshot: false }));
+ */
+function createIndexSource({ name, url, order, timeout, snapshot = true }) {
+    return { name, order, timeout, snapshot, config: { url }, discover: discoverFromIndex };
 }
 
-// Method 2: GitHub API discovery (for GitHub Pages)
-async function tryGitHubAPI() {
-    const hostname = window.location.hostname;
-    const pathname = window.location.pathname;
+// GitHub contents API - by default the repository a GitHub Pages site is served from
+async function discoverFromGitHub(config, { signal }) {
+    const repository = getGitHubRepository(config, window.location);
+    if (!repository) return [];
     
-    if (!hostname.includes('github.io')) {
-        return [];
+    const listFolder = async path =>
+        (await fetchOk(getGitHubContentsUrl(repository, path, config.branch), signal)).json();
+    
+    const icons = [];
+    for (const folder of parseGitHubFolders(await listFolder(config.path))) {
+        parseGitHubFiles(await listFolder(`${config.path}/${folder}`), folder, config.path)
+            .forEach(file => icons.push(createIconRecord(file.name, file.category, file.path, file.sourceUrl)));
     }
+    return icons;
+}
+
+// Directory listing pages (python -m http.server, nginx autoindex and the like)
+async function discoverFromDirectoryListing(config, { signal }) {
+    const rootUrl = `${getBaseUrl()}${config.path}/`;
+    const folders = parseListingFolders(await (await fetchOk(rootUrl, signal)).text());
     
+    const icons = [];
+    for (const folder of folders) {
+        const html = await (await fetchOk(`${rootUrl}${encodeURIComponent(folder)}/`, signal)).text();
+        parseListingFiles(html).forEach(filename => icons.push(createIconRecord(
+            filename.replace('.svg', ''),
+            folder,
+            `${config.path}/${folder}/${filename}`
+        )));
+    }
+    return icons;
+}
+
+registerIconSource({ name: 'bundle', order: 10, snapshot: true, config: { url: BUNDLE_FILE }, discover: discoverFromBundle });
+registerIconSource(createIndexSource({ name: 'index', url: INDEX_FILE, order: 20 }));
+registerIconSource({ name: 'github', order: 30, timeout: 15000, config: { owner: null, repo: null, branch: null, path: 'icons' }, discover: discoverFromGitHub });
+registerIconSource({ name: 'directory-listing', order: 40, config: { path: 'icons' }, discover: discoverFromDirectoryListing });
+
+// Log a source's result and announce it on window as an icon-source-result event
+function reportSourceResult(result) {
+    const summary = {
+        success: `found ${result.count} icons in ${result.categories.join(', ')}`,
+        empty: 'nothing found',
+        error: `failed - ${result.error}`,
+        timeout: result.error,
+        skipped: 'skipped'
+    }[result.status];
+    console.log(`🔎 ${result.source}: ${summary}${result.status === 'skipped' ? '' : ` (${result.duration}ms)`}`);
+    
+    window.dispatchEvent(new CustomEvent(SOURCE_RESULT_EVENT, { detail: result }));
+}
+
+// Attach tags, synonyms and descriptions from icons-metadata.json (optional)
+async function loadIconMetadata(icons) {
     try {
-        // Extract owner and repo from GitHub Pages URL
-        const owner = hostname.split('.')[0];
-        const pathParts = pathname.split('/').filter(part => part);
-        const repo = pathParts[0] || `${owner}.github.io`;
+        const response = await fetch(`${getBaseUrl()}${METADATA_FILE}`);
+        if (!response.ok) return;
         
-        console.log(`🐙 Trying GitHub API: ${owner}/${repo}`);
-        
-        const icons = [];
+        applyIconMetadata(icons, await response.json());
+        console.log(`🏷️ Loaded search metadata from ${METADATA_FILE}`);
+    } catch (error) {
+        console.log(`🏷️ Could not read ${METADATA_FILE}:`, error.message);
+    }
+}
+
+// Attach icon font codepoints from icons-codepoints.json (optional - written by tools/build-font.js)
+async function loadIconCodepoints(icons) {
+    try {
+        const response = await fetch(`${getBaseUrl()}${CODEPOINTS_FILE}`);
+        if (!response.ok) return;
         
-        for (const folder of CONFIG.iconFolders) {
-            const apiUrl = `https://api.github.com/repos/${owner}/${repo}/contents/icons/${folder}`;
-            
-            try {
-                const response = await fetch(apiUrl);
-                if (!response.ok) continue;
-                
-                const contents = await response.json();
-                const svgFiles = contents.filter(item => 
-                    item.type === 'file' && item.name.endsWith('.svg')
-                );
-                
-                console.log(`🐙 GitHub API found ${svgFiles.length} SVG files in ${folder}`);
-                
-                for (const file of svgFiles) {
-                    const iconName = file.name.replace('.svg', '');
-                    const svgContent = await loadSVG(file.download_url);
-                    
-                    if (svgContent) {
-                        icons.push({
-                            name: iconName,
-                            category: folder,
-                            svg: svgContent,
-                            path: `icons/${folder}/${file.name}`,
-                            fullUrl: `${getBaseUrl()}icons/${folder}/${file.name}`
-                        });
-                        console.log(`✅ GitHub API loaded: ${iconName}`);
-                    }
-                }
-            } catch (error) {
-                console.log(`🐙 GitHub API failed for ${folder}:`, error.message);
-            }
-        }
+        applyCodepoints(icons, await response.json());
+        console.log(`🔤 Loaded icon font codepoints from ${CODEPOINTS_FILE}`);
+    } catch (error) {
+        console.log(`🔤 Could not read ${CODEPOINTS_FILE}:`, error.message);
+    }
+}
+
+// Attach perceptual hashes from icons-hashes.json (optional - written by tools/similar-icons.js)
+async function loadIconHashes(icons) {
+    try {
+        const response = await fetch(`${getBaseUrl()}${HASHES_FILE}`);
+        if (!response.ok) return;
         
-        return icons;
+        applyPerceptualHashes(icons, await response.json());
+        console.log(`🧬 Loaded similarity hashes from ${HASHES_FILE}`);
+    } catch (error) {
+        console.log(`🧬 Could not read ${HASHES_FILE}:`, error.message);
+    }
+}
+
+// Colour tokens from icons-theme.json (optional - without it previews and copies keep the file colours)
+async function loadIconTheme() {
+    try {
+        const response = await fetch(`${getBaseUrl()}${THEME_FILE}`);
+        if (!response.ok) return;
         
+        const theme = await response.json();
+        if (typeof applyIconTheme === 'function') applyIconTheme(theme);
+        console.log(`🎨 Loaded ${Object.keys(theme.tokens || {}).length} colour tokens from ${THEME_FILE}`);
     } catch (error) {
-        console.log('🐙 GitHub API method failed:', error.message);
-        return [];
+        console.log(`🎨 Could not read ${THEME_FILE}:`, error.message);
     }
 }
 
-// Method 3: Directory listing (for local servers)
-async function tryDirectoryListing() {
-    const baseUrl = getBaseUrl();
-    const icons = [];
-    
-    for (const folder of CONFIG.iconFolders) {
-        try {
-            const dirUrl = `${baseUrl}icons/${folder}/`;
-            const response = await fetch(dirUrl);
-            
-            if (!response.ok) continue;
+// Empty state shown when no source finds any icons, with a starter icons-index.json
+function renderNoIconsFound(baseUrl) {
+    return `
+        <div style="text-align: center; padding: 3rem; color: #f59e0b;">
+            <h3>🤔 No Icons Auto-Discovered</h3>
+            <p>For GitHub Pages, create an <code>icons-index.json</code> file:</p>
             
-            const html = await response.text();
-            const svgMatches = html.match(/href="([^"]*\.svg)"/g) || [];
-            const svgFiles = svgMatches.map(match => 
-                match.match(/href="([^"]*)"/)[1]
-            ).filter(file => file.endsWith('.svg'));
+            <div style="background: #fffbeb; border: 1px solid #fbbf24; padding: 1.5rem; border-radius: 8px; margin: 1.5rem 0; text-align: left;">
+                <h4 style="margin-top: 0; color: #92400e;">📝 Quick Setup for GitHub Pages:</h4>
+                <ol style="margin: 0.5rem 0; padding-left: 1.5rem; color: #92400e;">
+                    <li>Create <code>icons-index.json</code> in your root folder</li>
+                    <li>Add this content:</li>
+                </ol>
+                <pre style="background: white; padding: 1rem; border-radius: 4px; font-size: 0.8rem; overflow-x: auto; margin: 0.5rem 0;">[
+  {
+    "name": "icn_access_card",
+    "category": "blue-default", 
+    "path": "icons/blue-default/icn_access_card.svg"
+  }
+]</pre>
+                <div style="font-size: 0.9rem; margin-top: 0.5rem;">
+                    <strong>💡 Tip:</strong> List all your SVG files in this format
+                </div>
+            </div>
             
-            console.log(`📂 Directory listing found ${svgFiles.length} SVG files in ${folder}`);
+            <div style="background: #f8fafc; padding: 1rem; border-radius: 6px; font-family: monospace; font-size: 0.8rem; text-align: left;">
+                <strong>Verified that these work:</strong><br>
+                ✅ ${baseUrl}icons/blue-default/icn_access_card.svg<br>
+                📁 Looking for: ${baseUrl}icons-index.json
+            </div>
             
-            for (const filename of svgFiles) {
-                const iconName = filename.replace('.svg', '');
-                const iconUrl = `${dirUrl}${filename}`;
-                const svgContent = await loadSVG(iconUrl);
-                
-                if (svgContent) {
-                    icons.push({
-                        name: iconName,
-                        category: folder,
-                        svg: svgContent,
-                        path: `icons/${folder}/${filename}`,
-                        fullUrl: iconUrl
-                    });
-                    console.log(`✅ Directory listing loaded: ${iconName}`);
-                }
-            }
-        } catch (error) {
-            console.log(`📂 Directory listing failed for ${folder}:`, error.message);
-        }
-    }
-    
-    return icons;
+            <button onclick="window.location.reload()" style="margin-top: 1rem; padding: 0.5rem 1rem; background: #3b82f6; color: white; border: none; border-radius: 4px; cursor: pointer;">
+                🔄 Try Again
+            </button>
+        </div>
+    `;
 }
 
-// Main discovery function - tries all methods
-async function smartDiscoverIcons() {
+// Main discovery function - runs the registered sources in order until one finds icons.
+// Pass { fresh: true } to skip prebuilt index and bundle files
+async function smartDiscoverIcons(options = {}) {
     console.log('🔍 Starting smart icon discovery...');
     
-    // Try Method 1: Index file (unless skipped)
-    if (!window._skipIndex) {
-        let icons = await tryIndexFile();
-        if (icons.length > 0) {
-            console.log(`🎯 Success! Used icons-index.json (${icons.length} icons)`);
-            return icons;
-        }
-    }
-    
-    // Try Method 2: GitHub API
-    let icons = await tryGitHubAPI();
-    if (icons.length > 0) {
-        console.log(`🎯 Success! Used GitHub API (${icons.length} icons)`);
-        return icons;
-    }
+    const { icons, source } = await discoverIcons({
+        ...options,
+        context: { baseUrl: getBaseUrl(), createIconRecord },
+        onResult: reportSourceResult
+    });
     
-    // Try Method 3: Directory listing
-    icons = await tryDirectoryListing();
-    if (icons.length > 0) {
-        console.log(`🎯 Success! Used directory listing (${icons.length} icons)`);
-        return icons;
+    if (source) {
+        console.log(`🎯 Success! Used ${source} (${icons.length} icons)`);
+    } else {
+        console.log('❌ All discovery methods failed');
     }
-    
-    console.log('❌ All discovery methods failed');
-    return [];
-}
-
-// Generate icons-index.json content for easy setup
-function generateIndexFile(discoveredIcons) {
-    const indexData = [
-        // Add metadata
-        {
-            _generated: Date.now(),
-            _timestamp: new Date().toISOString(),
-            _totalIcons: discoveredIcons.length,
-            _note: "Auto-generated by icon-loader.js. Delete this file to force fresh discovery."
-        },
-        // Add actual icon data
-        ...discoveredIcons.map(icon => ({
-            name: icon.name,
-            category: icon.category,
-            path: icon.path
-        }))
-    ];
-    
-    return JSON.stringify(indexData, null, 2);
+    return icons;
 }
 
-// Initialize the icon library
-async function initializeIconLibrary() {
+// Initialize the icon library (options are passed on to smartDiscoverIcons)
+async function initializeIconLibrary(options = {}) {
     try {
         const iconsGrid = document.getElementById('iconsGrid');
         
@@ -271,56 +382,38 @@ async function initializeIconLibrary() {
         }
         
         // Smart discovery
-        const discoveredIcons = await smartDiscoverIcons();
+        const discoveredIcons = await smartDiscoverIcons(options);
         
         if (discoveredIcons.length === 0) {
             if (iconsGrid) {
-                iconsGrid.innerHTML = `
-                    <div style="text-align: center; padding: 3rem; color: #f59e0b;">
-                        <h3>🤔 No Icons Auto-Discovered</h3>
-                        <p>For GitHub Pages, create an <code>icons-index.json</code> file:</p>
-                        
-                        <div style="background: #fffbeb; border: 1px solid #fbbf24; padding: 1.5rem; border-radius: 8px; margin: 1.5rem 0; text-align: left;">
-                            <h4 style="margin-top: 0; color: #92400e;">📝 Quick Setup for GitHub Pages:</h4>
-                            <ol style="margin: 0.5rem 0; padding-left: 1.5rem; color: #92400e;">
-                                <li>Create <code>icons-index.json</code> in your root folder</li>
-                                <li>Add this content:</li>
-                            </ol>
-                            <pre style="background: white; padding: 1rem; border-radius: 4px; font-size: 0.8rem; overflow-x: auto; margin: 0.5rem 0;">[
-  {
-    "name": "icn_access_card",
-    "category": "blue-default", 
-    "path": "icons/blue-default/icn_access_card.svg"
-  }
-]</pre>
-                            <div style="font-size: 0.9rem; margin-top: 0.5rem;">
-                                <strong>💡 Tip:</strong> List all your SVG files in this format
-                            </div>
-                        </div>
-                        
-                        <div style="background: #f8fafc; padding: 1rem; border-radius: 6px; font-family: monospace; font-size: 0.8rem; text-align: left;">
-                            <strong>Verified that these work:</strong><br>
-                            ✅ ${getBaseUrl()}icons/blue-default/icn_access_card.svg<br>
-                            📁 Looking for: ${getBaseUrl()}icons-index.json
-                        </div>
-                        
-                        <button onclick="window.location.reload()" style="margin-top: 1rem; padding: 0.5rem 1rem; background: #3b82f6; color: white; border: none; border-radius: 4px; cursor: pointer;">
-                            🔄 Try Again
-                        </button>
-                    </div>
-                `;
+                iconsGrid.innerHTML = renderNoIconsFound(getBaseUrl());
             }
             return;
         }
         
+        await loadIconMetadata(discoveredIcons);
+        await loadIconCodepoints(discoveredIcons);
+        await loadIconHashes(discoveredIcons);
+        await loadIconTheme();
+        
+        // Lint names and variants now; SVG content is linted as each file loads
+        lintIconSet(discoveredIcons).results.forEach((result, index) => {
+            const icon = discoveredIcons[index];
+            icon.lintIssues = result.issues.concat(icon.lintIssues || []);
+        });
+        
         // Store icons globally
         window.iconsData = discoveredIcons;
-        window.filteredIcons = [...discoveredIcons];
+        window.filteredIcons = typeof getFilteredIcons === 'function' ? getFilteredIcons() : [...discoveredIcons];
+        
+        // Start fetching the first screenful right away; the rest load lazily from the grid
+        window.filteredIcons.slice(0, CONFIG.eagerLoadCount).forEach(fetchIconSVG);
         
         // Initialize UI
         if (typeof renderCategories === 'function') renderCategories();
         if (typeof renderIcons === 'function') renderIcons();
         if (typeof updateStats === 'function') updateStats();
+        if (typeof restoreUrlState === 'function') restoreUrlState();
         
         // Success log
         const breakdown = {};
@@ -398,40 +491,42 @@ window.refreshIcons = function() {
     // Clear any cached data
     window.iconsData = [];
     window.filteredIcons = [];
+    clearIconCache();
     
-    // Temporarily disable index method by setting a flag
-    window._skipIndex = true;
-    
-    // Reinitialize
-    initializeIconLibrary().then(() => {
-        window._skipIndex = false;
+    // Reinitialize from the live sources, not the prebuilt index
+    initializeIconLibrary({ fresh: true }).then(() => {
         console.log('✅ Fresh discovery complete!');
         console.log('💡 Run createIconsIndex() to generate updated index file');
     });
 };
 
-// Helper to check if icons have been updated
-window.checkForUpdates = async function() {
+// Helper to check if icons have been updated - pass a fresh icon list (e.g. a newer index
+// picked up by the service worker) to compare against instead of rediscovering
+window.checkForUpdates = async function(freshIcons) {
     console.log('🔍 Checking for icon updates...');
     
-    // Force GitHub API discovery
-    window._skipIndex = true;
-    const freshIcons = await smartDiscoverIcons();
-    window._skipIndex = false;
+    if (!freshIcons) {
+        // Rediscover from the live sources (GitHub API, directory listing)
+        freshIcons = await smartDiscoverIcons({ fresh: true });
+        if (freshIcons.length === 0) {
+            console.log('❌ No live source could list the icons, so nothing to compare');
+            return false;
+        }
+    }
     
     const currentIcons = window.iconsData || [];
     
-    const currentNames = new Set(currentIcons.map(i => `${i.category}/${i.name}`));
-    const freshNames = new Set(freshIcons.map(i => `${i.category}/${i.name}`));
-    
-    const added = [...freshNames].filter(name => !currentNames.has(name));
-    const removed = [...currentNames].filter(name => !freshNames.has(name));
+    // Content hashes (from the index or bundle) also catch icons whose artwork changed
+    const changes = diffIconSets(currentIcons, freshIcons);
     
-    if (added.length > 0 || removed.length > 0) {
+    if (hasChanges(changes)) {
         console.log('🆕 Changes detected!');
-        if (added.length > 0) console.log('➕ Added:', added);
-        if (removed.length > 0) console.log('➖ Removed:', removed);
+        if (changes.added.length > 0) console.log('➕ Added:', changes.added.map(getIconKey));
+        if (changes.removed.length > 0) console.log('➖ Removed:', changes.removed.map(getIconKey));
+        if (changes.renamed.length > 0) console.log('🔀 Renamed:', changes.renamed.map(({ from, to }) => `${getIconKey(from)} → ${to.name}`));
+        if (changes.modified.length > 0) console.log('✏️ Modified:', changes.modified.map(change => getIconKey(change.after)));
         console.log('💡 Run refreshIcons() to update the display');
+        if (typeof showUpdateBanner === 'function') showUpdateBanner(changes);
         return true;
     } else {
         console.log('✅ No changes detected');
@@ -441,7 +536,7 @@ window.checkForUpdates = async function() {
 
 // Auto-initialize when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeIconLibrary);
+    document.addEventListener('DOMContentLoaded', () => initializeIconLibrary());
 } else {
     initializeIconLibrary();
 }
\ No newline at end of file
@@ -0,0 +1,579 @@
+/**
+ * ========================================
+ * SVG OPTIMISER
+ * ========================================
+ *
+ * Shrinks icon markup without changing how it renders:
+ * - path data is rounded to a fixed number of decimals and rewritten in
+ *   its shortest form (relative or absolute per command, H/V/S/T where
+ *   they apply, no repeated command letters or unneeded separators)
+ * - clip-rule is dropped outside <clipPath>, and fill-rule where the
+ *   non-zero default fills exactly the same area
+ * - neighbouring paths with the same attributes and no overlap are
+ *   merged, and a fill shared by every shape moves to the <svg> element
+ * - comments, the XML declaration and whitespace between tags go
+ *
+ * Rounding is applied to absolute positions, so errors never add up
+ * along a path. tools/optimise-icons.js writes an optimised copy of
+ * icons/ and checks every icon pixel by pixel against the original.
+ *
+ * USAGE:
+ * - Browser: loaded before app.js, exposes the functions globally
+ * - Node: require('./scripts/icon-optimise.js')
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function() {
+
+    // Decimals kept in path data - a thousandth of a unit on a 24 unit grid
+    const DEFAULT_PRECISION = 3;
+
+    const SHAPE_ELEMENTS = ['path', 'rect', 'circle', 'ellipse', 'polygon', 'polyline', 'line'];
+    // Elements whose presence still lets attributes be merged and moved around
+    const SIMPLE_ELEMENTS = ['svg', 'title', 'desc', ...SHAPE_ELEMENTS];
+    // Attributes that make a shape's fill depend on more than its own attributes
+    const STYLING_ATTRIBUTES = ['style', 'class', 'id', 'transform', 'clip-path', 'mask', 'opacity', 'fill-opacity'];
+
+    const ATTRIBUTE_PATTERN = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+
+    // Straight segments each curve is split into for the overlap checks
+    const CURVE_STEPS = 8;
+
+    // Bytes in a string once it is saved as UTF-8
+    function getByteSize(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    function parseAttributes(source) {
+        const attributes = [];
+        let match;
+        ATTRIBUTE_PATTERN.lastIndex = 0;
+        while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+            attributes.push([match[1], match[3] !== undefined ? match[3] : match[4]]);
+        }
+        return attributes;
+    }
+
+    function serialiseAttributes(attributes) {
+        return attributes.map(([name, value]) => ` ${name}="${value.replace(/"/g, '&quot;')}"`).join('');
+    }
+
+    // Path data as absolute M, L, C, Q, A and Z commands: [{ type, values }]
+    function parsePathData(d) {
+        const commands = [];
+        let position = 0;
+        let command = null;
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+        let lastControl = null;
+
+        const skip = () => {
+            while (position < d.length && /[\s,]/.test(d[position])) position++;
+        };
+        const readNumber = () => {
+            skip();
+            NUMBER_PATTERN.lastIndex = position;
+            const match = NUMBER_PATTERN.exec(d);
+            if (!match) throw new Error(`Bad path data near "${d.slice(position, position + 10)}"`);
+            position = NUMBER_PATTERN.lastIndex;
+            return parseFloat(match[0]);
+        };
+        const readFlag = () => {
+            skip();
+            const flag = d[position++];
+            if (flag !== '0' && flag !== '1') throw new Error(`Bad arc flag "${flag}" in path data`);
+            return Number(flag);
+        };
+
+        skip();
+        while (position < d.length) {
+            if (/[MmZzLlHhVvCcSsQqTtAa]/.test(d[position])) {
+                command = d[position++];
+            } else if (!command || command.toUpperCase() === 'Z') {
+                throw new Error(`Expected a command near "${d.slice(position, position + 10)}"`);
+            }
+
+            const relative = command === command.toLowerCase();
+            const type = command.toUpperCase();
+            const ox = relative ? x : 0;
+            const oy = relative ? y : 0;
+            const previous = commands[commands.length - 1];
+            let values;
+
+            if (type === 'Z') {
+                values = [];
+                x = startX;
+                y = startY;
+            } else if (type === 'M') {
+                values = [ox + readNumber(), oy + readNumber()];
+                [startX, startY] = values;
+                // Further coordinate pairs after a moveto are linetos
+                command = relative ? 'l' : 'L';
+            } else if (type === 'L') {
+                values = [ox + readNumber(), oy + readNumber()];
+            } else if (type === 'H') {
+                values = [ox + readNumber(), y];
+            } else if (type === 'V') {
+                values = [x, oy + readNumber()];
+            } else if (type === 'C' || type === 'S') {
+                const reflected = previous && previous.type === 'C' && lastControl
+                    ? [2 * x - lastControl[0], 2 * y - lastControl[1]]
+                    : [x, y];
+                const c1 = type === 'C' ? [ox + readNumber(), oy + readNumber()] : reflected;
+                values = [...c1, ox + readNumber(), oy + readNumber(), ox + readNumber(), oy + readNumber()];
+            } else if (type === 'Q' || type === 'T') {
+                const control = type === 'Q'
+                    ? [ox + readNumber(), oy + readNumber()]
+                    : (previous && previous.type === 'Q' && lastControl ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y]);
+                values = [...control, ox + readNumber(), oy + readNumber()];
+            } else if (type === 'A') {
+                values = [readNumber(), readNumber(), readNumber(), readFlag(), readFlag(), ox + readNumber(), oy + readNumber()];
+            }
+
+            const normalised = { M: 'M', Z: 'Z', L: 'L', H: 'L', V: 'L', C: 'C', S: 'C', Q: 'Q', T: 'Q', A: 'A' }[type];
+            commands.push({ type: normalised, values });
+
+            if (normalised === 'C') lastControl = values.slice(2, 4);
+            else if (normalised === 'Q') lastControl = values.slice(0, 2);
+            else lastControl = null;
+
+            if (type !== 'Z') {
+                x = values[values.length - 2];
+                y = values[values.length - 1];
+            }
+            skip();
+        }
+
+        return commands;
+    }
+
+    // Shortest text for a number: no leading zero, no trailing zeros, no "-0"
+    function formatNumber(value) {
+        return String(value === 0 ? 0 : value).replace(/^(-?)0\./, '$1.');
+    }
+
+    // Numbers joined with separators only where the next one couldn't be told apart
+    function joinNumbers(values) {
+        let text = '';
+        values.forEach((value, index) => {
+            const number = formatNumber(value);
+            const previous = index > 0 ? formatNumber(values[index - 1]) : '';
+            const needsSeparator = index > 0 && !number.startsWith('-') &&
+                !(number.startsWith('.') && /[.e]/.test(previous));
+            text += (needsSeparator ? ' ' : '') + number;
+        });
+        return text;
+    }
+
+    // Shortest path data for absolute commands from parsePathData()
+    function writePathData(commands, precision = DEFAULT_PRECISION) {
+        const round = value => Number(value.toFixed(precision));
+        // Differences of rounded values, rounded again to drop floating point noise
+        const offset = (value, origin) => round(value - origin);
+
+        let text = '';
+        let letter = null;
+        let lastNumber = '';
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+        let lastControl = null;
+        let lastType = null;
+
+        // A repeated command letter can be left out (except for movetos, where
+        // extra coordinates mean lineto), leaving a separator where one is needed
+        const emit = (command, values) => {
+            const numbers = joinNumbers(values);
+            if (command !== letter || command.toUpperCase() === 'M' || values.length === 0) {
+                text += command;
+            } else if (!numbers.startsWith('-') && !(numbers.startsWith('.') && /[.e]/.test(lastNumber))) {
+                text += ' ';
+            }
+            text += numbers;
+            letter = command;
+            lastNumber = values.length > 0 ? formatNumber(values[values.length - 1]) : '';
+        };
+
+        // The absolute or relative form of a command, whichever is shorter
+        const emitShortest = (type, absolute, relative) => {
+            const absoluteText = type + joinNumbers(absolute);
+            const relativeText = type.toLowerCase() + joinNumbers(relative);
+            const useRelative = relativeText.length < absoluteText.length ||
+                (relativeText.length === absoluteText.length && letter === type.toLowerCase());
+            emit(useRelative ? type.toLowerCase() : type, useRelative ? relative : absolute);
+        };
+
+        commands.forEach((command, index) => {
+            const values = command.type === 'A'
+                ? [...command.values.slice(0, 5).map(round), round(command.values[5]), round(command.values[6])]
+                : command.values.map(round);
+            const next = commands[index + 1];
+
+            if (command.type === 'Z') {
+                emit('z', []);
+                x = startX;
+                y = startY;
+                lastType = 'Z';
+                lastControl = null;
+                return;
+            }
+
+            const [toX, toY] = values.slice(-2);
+
+            if (command.type === 'M') {
+                // The first moveto is always absolute
+                if (index === 0) emit('M', [toX, toY]);
+                else emitShortest('M', [toX, toY], [offset(toX, x), offset(toY, y)]);
+                startX = toX;
+                startY = toY;
+                lastControl = null;
+            } else if (command.type === 'L') {
+                // Zero-length lines, and lines back to the start right before a close, draw nothing
+                const closes = next && next.type === 'Z' && toX === startX && toY === startY;
+                if ((toX === x && toY === y) || closes) return;
+
+                if (toY === y) emitShortest('H', [toX], [offset(toX, x)]);
+                else if (toX === x) emitShortest('V', [toY], [offset(toY, y)]);
+                else emitShortest('L', [toX, toY], [offset(toX, x), offset(toY, y)]);
+                lastControl = null;
+            } else if (command.type === 'C') {
+                const reflected = lastType === 'C' && lastControl
+                    ? [round(2 * x - lastControl[0]), round(2 * y - lastControl[1])]
+                    : [x, y];
+                const points = values.slice(reflected[0] === values[0] && reflected[1] === values[1] ? 2 : 0);
+                const type = points.length === 4 ? 'S' : 'C';
+                emitShortest(type, points, points.map((value, i) => offset(value, i % 2 ? y : x)));
+                lastControl = values.slice(2, 4);
+            } else if (command.type === 'Q') {
+                const reflected = lastType === 'Q' && lastControl
+                    ? [round(2 * x - lastControl[0]), round(2 * y - lastControl[1])]
+                    : null;
+                const smooth = reflected && reflected[0] === values[0] && reflected[1] === values[1];
+                const points = smooth ? values.slice(2) : values;
+                emitShortest(smooth ? 'T' : 'Q', points, points.map((value, i) => offset(value, i % 2 ? y : x)));
+                lastControl = values.slice(0, 2);
+            } else if (command.type === 'A') {
+                emitShortest('A', values, [...values.slice(0, 5), offset(toX, x), offset(toY, y)]);
+                lastControl = null;
+            }
+
+            lastType = command.type;
+            x = toX;
+            y = toY;
+        });
+
+        return text;
+    }
+
+    // Rounded, shortest form of an SVG path's d attribute
+    function optimisePathData(d, precision = DEFAULT_PRECISION) {
+        return writePathData(parsePathData(d), precision);
+    }
+
+    // Closed polylines approximating each subpath, or null when the path has arcs
+    function flattenPath(commands) {
+        const polylines = [];
+        let current = null;
+        let x = 0;
+        let y = 0;
+
+        const addPoint = (px, py) => {
+            const last = current[current.length - 1];
+            if (last[0] !== px || last[1] !== py) current.push([px, py]);
+        };
+
+        for (const command of commands) {
+            const values = command.values;
+            if (command.type === 'A') return null;
+
+            if (command.type === 'M') {
+                current = [[values[0], values[1]]];
+                polylines.push(current);
+            } else if (command.type === 'Z') {
+                if (current) [x, y] = current[0];
+                current = null;
+                continue;
+            } else {
+                if (!current) {
+                    current = [[x, y]];
+                    polylines.push(current);
+                }
+                if (command.type === 'L') {
+                    addPoint(values[0], values[1]);
+                } else {
+                    const controls = command.type === 'C'
+                        ? [[x, y], values.slice(0, 2), values.slice(2, 4), values.slice(4, 6)]
+                        : [[x, y], values.slice(0, 2), values.slice(2, 4)];
+                    for (let step = 1; step <= CURVE_STEPS; step++) {
+                        const t = step / CURVE_STEPS;
+                        // de Casteljau: interpolate down to a single point
+                        let points = controls;
+                        while (points.length > 1) {
+                            points = points.slice(1).map((point, i) => [
+                                points[i][0] + (point[0] - points[i][0]) * t,
+                                points[i][1] + (point[1] - points[i][1]) * t
+                            ]);
+                        }
+                        addPoint(points[0][0], points[0][1]);
+                    }
+                }
+            }
+            x = values[values.length - 2];
+            y = values[values.length - 1];
+        }
+
+        return polylines.filter(polyline => polyline.length >= 3);
+    }
+
+    function signedArea(polyline) {
+        let area = 0;
+        polyline.forEach((point, i) => {
+            const next = polyline[(i + 1) % polyline.length];
+            area += point[0] * next[1] - next[0] * point[1];
+        });
+        return area / 2;
+    }
+
+    function containsPoint(polyline, [px, py]) {
+        let inside = false;
+        for (let i = 0, j = polyline.length - 1; i < polyline.length; j = i++) {
+            const [xi, yi] = polyline[i];
+            const [xj, yj] = polyline[j];
+            if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+
+    // Whether two segments touch or cross
+    function segmentsMeet([a, b], [c, d]) {
+        const side = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+        const within = (p, q, r) =>
+            Math.min(p[0], q[0]) <= r[0] && r[0] <= Math.max(p[0], q[0]) &&
+            Math.min(p[1], q[1]) <= r[1] && r[1] <= Math.max(p[1], q[1]);
+
+        const d1 = side(c, d, a);
+        const d2 = side(c, d, b);
+        const d3 = side(a, b, c);
+        const d4 = side(a, b, d);
+        if (d1 !== d2 && d3 !== d4 && d1 && d2 && d3 && d4) return true;
+
+        return (d1 === 0 && within(c, d, a)) || (d2 === 0 && within(c, d, b)) ||
+            (d3 === 0 && within(a, b, c)) || (d4 === 0 && within(a, b, d));
+    }
+
+    // Whether any edge of the polylines meets another, other than its neighbours
+    function hasCrossings(polylines) {
+        const edges = [];
+        polylines.forEach((polyline, contour) => {
+            polyline.forEach((point, i) => {
+                const next = polyline[(i + 1) % polyline.length];
+                edges.push({
+                    contour, i, last: polyline.length - 1,
+                    points: [point, next],
+                    minX: Math.min(point[0], next[0]),
+                    maxX: Math.max(point[0], next[0]),
+                    minY: Math.min(point[1], next[1]),
+                    maxY: Math.max(point[1], next[1])
+                });
+            });
+        });
+
+        const neighbours = (a, b) => a.contour === b.contour &&
+            (Math.abs(a.i - b.i) === 1 || Math.abs(a.i - b.i) === a.last);
+
+        // Sweep left to right so only edges that overlap horizontally are compared
+        edges.sort((a, b) => a.minX - b.minX);
+        for (let i = 0; i < edges.length; i++) {
+            for (let j = i + 1; j < edges.length && edges[j].minX <= edges[i].maxX; j++) {
+                const a = edges[i];
+                const b = edges[j];
+                if (b.minY > a.maxY || b.maxY < a.minY || neighbours(a, b)) continue;
+                if (segmentsMeet(a.points, b.points)) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Whether fill-rule="evenodd" can be dropped from a path: true when no
+     * edges cross and every subpath winds the opposite way to the one it
+     * sits in (holes anticlockwise inside a clockwise outline, and so on),
+     * so non-zero and even-odd fill the same area. Paths with arcs are
+     * left alone.
+     */
+    function isEvenOddRedundant(commands) {
+        const polylines = flattenPath(commands);
+        if (!polylines || hasCrossings(polylines)) return false;
+
+        const areas = polylines.map(signedArea);
+        return polylines.every((polyline, index) => {
+            // The smallest subpath around this one is the one it sits in
+            let parent = -1;
+            polylines.forEach((other, otherIndex) => {
+                if (otherIndex === index || Math.abs(areas[otherIndex]) <= Math.abs(areas[index])) return;
+                if (!containsPoint(other, polyline[0])) return;
+                if (parent === -1 || Math.abs(areas[otherIndex]) < Math.abs(areas[parent])) parent = otherIndex;
+            });
+            return parent === -1 || Math.sign(areas[parent]) !== Math.sign(areas[index]);
+        });
+    }
+
+    // Box around every point and control point of a path: [minX, minY, maxX, maxY]
+    function getPathBounds(commands) {
+        const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+        commands.forEach(command => {
+            // Arcs can bulge beyond their end points; no bounds for them
+            if (command.type === 'A') bounds.fill(NaN);
+            for (let i = 0; i + 1 < command.values.length; i += 2) {
+                bounds[0] = Math.min(bounds[0], command.values[i]);
+                bounds[1] = Math.min(bounds[1], command.values[i + 1]);
+                bounds[2] = Math.max(bounds[2], command.values[i]);
+                bounds[3] = Math.max(bounds[3], command.values[i + 1]);
+            }
+        });
+        return bounds;
+    }
+
+    function boundsOverlap(a, b) {
+        if (a.some(isNaN) || b.some(isNaN)) return true;
+        return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+    }
+
+    const getAttribute = (attributes, name) => {
+        const attribute = attributes.find(([key]) => key === name);
+        return attribute ? attribute[1] : undefined;
+    };
+    const withoutAttributes = (attributes, names) => attributes.filter(([name]) => !names.includes(name));
+
+    // Paths with identical attributes next to each other, whose shapes don't
+    // overlap, drawn as one path
+    function mergePaths(nodes) {
+        const merged = [];
+        nodes.forEach(node => {
+            const previous = merged[merged.length - 1];
+            const key = node.tag === 'path' && node.commands
+                ? serialiseAttributes(withoutAttributes(node.attributes, ['d']))
+                : null;
+
+            if (previous && key !== null && previous.key === key &&
+                !previous.bounds.some(bounds => boundsOverlap(bounds, node.bounds[0]))) {
+                previous.commands = previous.commands.concat(node.commands);
+                previous.bounds.push(node.bounds[0]);
+                return;
+            }
+            merged.push({ ...node, key });
+        });
+        return merged;
+    }
+
+    /**
+     * Optimised copy of SVG markup (see the top of this file for what changes).
+     * Options: { precision } - decimals kept in path data
+     */
+    function optimiseSvg(svg, { precision = DEFAULT_PRECISION } = {}) {
+        const source = svg
+            .replace(/<\?xml[\s\S]*?\?>/g, '')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<metadata\b[\s\S]*?<\/metadata>/gi, '');
+
+        const tags = source.match(/<[^>]+>|[^<]+/g) || [];
+        const nodes = tags.map(tag => {
+            const element = /^<([a-zA-Z][\w:-]*)([\s\S]*?)(\/?)>$/.exec(tag);
+            if (!element) {
+                // Closing tags and text; whitespace between tags goes
+                return { text: /^</.test(tag) || tag.trim() ? tag : '' };
+            }
+            return { tag: element[1], attributes: parseAttributes(element[2]), selfClosing: element[3] };
+        }).filter(node => node.text !== '');
+
+        const elements = nodes.filter(node => node.tag);
+        const usesClipPaths = elements.some(node => node.tag === 'clipPath');
+        // A fill-rule set on a parent or in CSS changes what a path's own fill-rule overrides
+        const inheritsFillRule = /fill-rule\s*:/.test(source) || elements.some(node =>
+            !SHAPE_ELEMENTS.includes(node.tag) && getAttribute(node.attributes, 'fill-rule') !== undefined);
+        // Only flat icons made of shapes have attributes merged and moved around
+        const simple = elements.every(node =>
+            SIMPLE_ELEMENTS.includes(node.tag) &&
+            !node.attributes.some(([name]) => name === 'style' || name === 'class' ||
+                (SHAPE_ELEMENTS.includes(node.tag) && STYLING_ATTRIBUTES.includes(name))));
+
+        elements.forEach(node => {
+            if (!SHAPE_ELEMENTS.includes(node.tag)) return;
+            if (!usesClipPaths) node.attributes = withoutAttributes(node.attributes, ['clip-rule']);
+            if (node.tag !== 'path') return;
+
+            try {
+                node.commands = parsePathData(getAttribute(node.attributes, 'd') || '');
+            } catch (error) {
+                // Leave path data we can't read exactly as it is
+                return;
+            }
+            node.bounds = [getPathBounds(node.commands)];
+
+            const fillRule = getAttribute(node.attributes, 'fill-rule');
+            const redundant = !inheritsFillRule &&
+                (fillRule === 'nonzero' || (fillRule === 'evenodd' && isEvenOddRedundant(node.commands)));
+            if (redundant) node.attributes = withoutAttributes(node.attributes, ['fill-rule']);
+        });
+
+        let output = simple ? mergePaths(nodes) : nodes;
+
+        // A fill every shape spells out can be said once on the <svg>
+        const shapes = output.filter(node => SHAPE_ELEMENTS.includes(node.tag));
+        const fills = new Set(shapes.map(node => getAttribute(node.attributes, 'fill')));
+        const sharedFill = simple && shapes.length > 0 && fills.size === 1 ? [...fills][0] : undefined;
+
+        output = output.map(node => {
+            if (node.text !== undefined) return node.text;
+
+            let attributes = node.attributes;
+            if (node.commands) {
+                attributes = attributes.map(([name, value]) =>
+                    [name, name === 'd' ? writePathData(node.commands, precision) : value]);
+            }
+            if (sharedFill !== undefined && SHAPE_ELEMENTS.includes(node.tag)) {
+                attributes = withoutAttributes(attributes, ['fill']);
+            }
+            if (sharedFill !== undefined && node.tag === 'svg') {
+                attributes = getAttribute(attributes, 'fill') !== undefined
+                    ? attributes.map(([name, value]) => [name, name === 'fill' ? sharedFill : value])
+                    : [...attributes, ['fill', sharedFill]];
+            }
+            return `<${node.tag}${serialiseAttributes(attributes)}${node.selfClosing}>`;
+        });
+
+        return output.join('');
+    }
+
+    // Bytes saved by optimising: { before, after, saved, percent }
+    function getOptimisationSavings(original, optimised) {
+        const before = getByteSize(original);
+        const after = getByteSize(optimised);
+        return {
+            before,
+            after,
+            saved: before - after,
+            percent: before > 0 ? Math.round((before - after) / before * 1000) / 10 : 0
+        };
+    }
+
+    return {
+        DEFAULT_PRECISION,
+        getByteSize,
+        parsePathData,
+        writePathData,
+        optimisePathData,
+        isEvenOddRedundant,
+        optimiseSvg,
+        getOptimisationSavings
+    };
+});
@@ -0,0 +1,350 @@
+/**
+ * ========================================
+ * ICON RUNTIME
+ * ========================================
+ *
+ * Everything an app needs to use the icons without the gallery:
+ * - getIcon(name, { variant }) resolves an icon from icons-index.json (or
+ *   icons-bundle.json) and returns its sanitised SVG markup
+ * - <sbg-icon name="icn_home" variant="grey" size="32" label="Home"> renders
+ *   an icon inline, so CSS `color` applies to the currentColor variant
+ *
+ * Fetched SVGs are cached in memory and in IndexedDB, keyed by URL and
+ * tagged with the content hash the index lists for the file, so a rebuilt
+ * index only invalidates the icons that changed. Indexes without hashes fall
+ * back to their _generated timestamp.
+ *
+ * The variant is a category (blue-default, grey) or "currentColor" (the
+ * default), which recolours the artwork to follow the surrounding text colour.
+ *
+ * USAGE:
+ * - Browser: loaded after icon-index.js, icon-colour.js and icon-sanitizer.js,
+ *   exposes the functions globally and registers <sbg-icon>
+ * - Apps: node tools/build-runtime.js writes standalone ES module and UMD builds
+ *
+ *   configureIcons({ baseUrl: 'https://cdn.example.com/sbg-icons/' });
+ *   const svg = await getIcon('icn_home', { variant: 'grey' });
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./icon-index.js'),
+            require('./icon-colour.js'),
+            require('./icon-sanitizer.js')
+        ));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function(deps) {
+
+    const { INDEX_FILE, getIndexEntries, getIndexMetadata, PALETTES, recolourSvg, sanitizeSvg } = deps;
+
+    const CURRENT_COLOUR_VARIANT = 'currentColor';
+    const ICON_ELEMENT_TAG = 'sbg-icon';
+
+    const CACHE_DB = 'sbg-icons';
+    const CACHE_STORE = 'svgs';
+
+    const settings = {
+        // Prefix for relative icon, index and bundle paths
+        baseUrl: '',
+        indexUrl: INDEX_FILE,
+        // Set to icons-bundle.json to load every SVG in one request instead of one per icon
+        bundleUrl: null,
+        defaultVariant: CURRENT_COLOUR_VARIANT,
+        defaultSize: 24,
+        // Keep fetched SVGs in IndexedDB between visits
+        persist: true,
+        // Maximum number of SVG requests in flight at once
+        fetchConcurrency: 6
+    };
+
+    let manifestPromise = null;
+    let cacheVersion = null;
+    const sourceCache = new Map();
+    const sanitizedCache = new Map();
+    const fetchQueue = { active: 0, waiting: [] };
+    let cacheDbPromise = null;
+
+    function configureIcons(options) {
+        Object.assign(settings, options);
+        manifestPromise = null;
+    }
+
+    function resolveUrl(path) {
+        return /^[a-z][a-z0-9+.-]*:/i.test(path) ? path : settings.baseUrl + path;
+    }
+
+    // ---- Fetching ----
+
+    function schedule(task) {
+        return new Promise(resolve => {
+            fetchQueue.waiting.push({ task, resolve });
+            drainFetchQueue();
+        });
+    }
+
+    function drainFetchQueue() {
+        while (fetchQueue.active < settings.fetchConcurrency && fetchQueue.waiting.length > 0) {
+            const job = fetchQueue.waiting.shift();
+            fetchQueue.active++;
+
+            job.task().then(result => {
+                fetchQueue.active--;
+                job.resolve(result);
+                drainFetchQueue();
+            });
+        }
+    }
+
+    // Response body as text, or null on any failure
+    async function fetchText(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await response.text();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async function fetchJson(url) {
+        const text = await fetchText(url);
+        if (text === null) return null;
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ---- IndexedDB cache ----
+
+    function openCacheDb() {
+        if (!settings.persist || typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+        if (!cacheDbPromise) {
+            cacheDbPromise = new Promise(resolve => {
+                try {
+                    const request = indexedDB.open(CACHE_DB, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE, { keyPath: 'url' });
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(null);
+                } catch (error) {
+                    resolve(null);
+                }
+            });
+        }
+        return cacheDbPromise;
+    }
+
+    // Run one request against the SVG store; resolves null when IndexedDB is unavailable or fails
+    async function withCacheStore(mode, operation) {
+        const db = await openCacheDb();
+        if (!db) return null;
+
+        return new Promise(resolve => {
+            try {
+                const request = operation(db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE));
+                request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+                request.onerror = () => resolve(null);
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    }
+
+    // Cached copies are tagged with the file's content hash, or the index version when it has none
+    async function readCachedSvg(url, version) {
+        const entry = await withCacheStore('readonly', store => store.get(url));
+        return entry && version && entry.version === version ? entry.svg : null;
+    }
+
+    function writeCachedSvg(url, svg, version) {
+        return withCacheStore('readwrite', store => store.put({ url, svg, version }));
+    }
+
+    // Forget every cached SVG, in memory and in IndexedDB
+    async function clearIconCache() {
+        sourceCache.clear();
+        sanitizedCache.clear();
+        manifestPromise = null;
+        await withCacheStore('readwrite', store => store.clear());
+    }
+
+    // ---- Index and bundle ----
+
+    // New index - cached SVGs of entries without a content hash are ignored from now on
+    function useIndexVersion(data) {
+        const version = getIndexMetadata(data)._generated;
+        if (version !== undefined) cacheVersion = version;
+    }
+
+    // Load icons-index.json; resolves the parsed file or null
+    async function loadIconIndex(url = resolveUrl(settings.indexUrl)) {
+        const data = await fetchJson(url);
+        if (!Array.isArray(data)) return null;
+
+        useIndexVersion(data);
+        if (!manifestPromise) manifestPromise = Promise.resolve(getIndexEntries(data));
+        return data;
+    }
+
+    // Load icons-bundle.json and keep every SVG it carries; resolves the parsed file or null
+    async function loadIconBundle(url = resolveUrl(settings.bundleUrl)) {
+        const data = await fetchJson(url);
+        if (!Array.isArray(data)) return null;
+
+        useIndexVersion(data);
+        const entries = getIndexEntries(data);
+        entries.forEach(entry => {
+            if (entry.svg) sourceCache.set(resolveUrl(entry.path), Promise.resolve(entry.svg));
+        });
+
+        if (!manifestPromise) manifestPromise = Promise.resolve(entries);
+        return data;
+    }
+
+    // Every icon entry ({ name, category, path }) from the bundle or the index
+    function loadIconManifest() {
+        if (!manifestPromise) {
+            manifestPromise = (async () => {
+                const data = (settings.bundleUrl && await loadIconBundle()) || await loadIconIndex();
+                if (!data) throw new Error(`Could not load ${settings.bundleUrl || settings.indexUrl}`);
+                return getIndexEntries(data);
+            })();
+            manifestPromise.catch(() => { manifestPromise = null; });
+        }
+        return manifestPromise;
+    }
+
+    /**
+     * Raw SVG markup for a URL from memory, IndexedDB or the network; resolves null on failure.
+     * hash is the content hash the index lists for the file, if it has one.
+     */
+    function fetchIconSource(url, hash) {
+        if (sourceCache.has(url)) return sourceCache.get(url);
+
+        const request = (async () => {
+            const version = hash || cacheVersion;
+            const cached = await readCachedSvg(url, version);
+            if (cached !== null) return cached;
+
+            const content = await schedule(() => fetchText(url));
+            if (content !== null) writeCachedSvg(url, content, version);
+            return content;
+        })();
+
+        sourceCache.set(url, request);
+        request.then(content => {
+            // Let a failed request be retried later
+            if (content === null) sourceCache.delete(url);
+        });
+        return request;
+    }
+
+    // ---- Public API ----
+
+    /**
+     * Resolve an icon's sanitised SVG markup.
+     * options: { variant } - a category, or "currentColor" to draw in the text colour.
+     * Icons without the requested category fall back to currentColor.
+     */
+    async function getIcon(name, options = {}) {
+        const variant = options.variant || settings.defaultVariant;
+        const variants = (await loadIconManifest()).filter(entry => entry.name === name);
+        if (variants.length === 0) throw new Error(`Unknown icon: ${name}`);
+
+        const entry = variants.find(item => item.category === variant) || variants[0];
+        const url = resolveUrl(entry.path);
+
+        if (!sanitizedCache.has(url)) {
+            const content = await fetchIconSource(url, entry.hash);
+            if (content === null) throw new Error(`Could not load ${entry.path}`);
+
+            const result = sanitizeSvg(content);
+            if (!result.svg) throw new Error(`${entry.path} is not a valid SVG`);
+            sanitizedCache.set(url, result.svg);
+        }
+
+        const svg = sanitizedCache.get(url);
+        return entry.category === variant ? svg : recolourSvg(svg, 'currentColor', PALETTES[entry.category]);
+    }
+
+    // Size the root <svg> and mark it as decorative or labelled
+    function decorateSvg(svg, size, label) {
+        return svg.replace(/<svg\b[^>]*>/i, tag => {
+            const stripped = tag.replace(/\s(width|height|role|aria-label|aria-hidden)\s*=\s*("[^"]*"|'[^']*')/gi, '');
+            const a11y = label
+                ? ` role="img" aria-label="${String(label).replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`)}"`
+                : ' aria-hidden="true"';
+            return stripped.replace(/^<svg/i, `<svg width="${size}" height="${size}" focusable="false"${a11y}`);
+        });
+    }
+
+    // <sbg-icon name variant size label> - renders the icon inline in light DOM
+    const ElementBase = typeof HTMLElement === 'undefined' ? class {} : HTMLElement;
+
+    class SbgIconElement extends ElementBase {
+        static get observedAttributes() {
+            return ['name', 'variant', 'size', 'label'];
+        }
+
+        connectedCallback() {
+            this.render();
+        }
+
+        attributeChangedCallback() {
+            if (this.isConnected) this.render();
+        }
+
+        async render() {
+            const name = this.getAttribute('name');
+            const size = parseFloat(this.getAttribute('size')) || settings.defaultSize;
+            const token = this.renderToken = {};
+
+            if (!name) {
+                this.innerHTML = '';
+                return;
+            }
+
+            try {
+                const svg = await getIcon(name, { variant: this.getAttribute('variant') || undefined });
+                if (this.renderToken !== token) return;
+
+                this.innerHTML = decorateSvg(svg, size, this.getAttribute('label'));
+                this.removeAttribute('data-error');
+            } catch (error) {
+                if (this.renderToken !== token) return;
+
+                this.innerHTML = '';
+                this.setAttribute('data-error', error.message);
+                console.warn(`<${this.localName}> ${error.message}`);
+            }
+        }
+    }
+
+    // Register the element (under another tag name if sbg-icon is taken)
+    function defineIconElement(tagName = ICON_ELEMENT_TAG) {
+        if (typeof customElements === 'undefined' || customElements.get(tagName)) return;
+        customElements.define(tagName, class extends SbgIconElement {});
+    }
+
+    defineIconElement();
+
+    return {
+        CURRENT_COLOUR_VARIANT,
+        ICON_ELEMENT_TAG,
+        configureIcons,
+        loadIconIndex,
+        loadIconBundle,
+        loadIconManifest,
+        fetchIconSource,
+        getIcon,
+        clearIconCache,
+        SbgIconElement,
+        defineIconElement
+    };
+});
@@ -0,0 +1,138 @@
+/**
+ * ========================================
+ * SVG SANITISER
+ * ========================================
+ *
+ * Icon markup comes from the server, the bundle or the GitHub API and is
+ * injected into the page, so it is parsed and rebuilt from an allowlist
+ * of elements and attributes before use. Everything else is dropped:
+ * <script>, <foreignObject>, <style>, event handlers, external hrefs,
+ * url() references that don't point inside the document, and comments,
+ * processing instructions and CDATA sections wherever they are.
+ *
+ * USAGE:
+ * - Browser: loaded before icon-loader.js, exposes the functions globally
+ * - Node: require('./scripts/icon-sanitizer.js') and pass DOM implementations, e.g.
+ *   sanitizeSvg(markup, { DOMParser: window.DOMParser, XMLSerializer: window.XMLSerializer })
+ *   with window from jsdom
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function() {
+
+    const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+    const ALLOWED_ELEMENTS = [
+        'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect',
+        'defs', 'symbol', 'use', 'clipPath', 'mask', 'linearGradient', 'radialGradient', 'stop',
+        'title', 'desc'
+    ];
+
+    const ALLOWED_ATTRIBUTES = [
+        'xmlns', 'xmlns:xlink', 'version', 'id', 'class', 'role', 'aria-label', 'aria-hidden',
+        'width', 'height', 'viewBox', 'preserveAspectRatio', 'x', 'y', 'x1', 'y1', 'x2', 'y2',
+        'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'd', 'points', 'transform', 'offset',
+        'fill', 'fill-rule', 'fill-opacity', 'clip-rule', 'clip-path', 'clipPathUnits', 'mask', 'maskUnits',
+        'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit',
+        'stroke-dasharray', 'stroke-dashoffset', 'stroke-opacity', 'opacity', 'color', 'style',
+        'stop-color', 'stop-opacity', 'gradientUnits', 'gradientTransform', 'spreadMethod',
+        'href', 'xlink:href'
+    ];
+
+    // url() pointing anywhere except an element in the same document
+    const EXTERNAL_URL = /url\(\s*["']?\s*(?!#)/i;
+    const UNSAFE_STYLE = /expression\s*\(|@import|javascript:|behavior\s*:/i;
+
+    // Why an attribute must go, or null when it is safe to keep
+    function checkAttribute(attribute) {
+        const name = attribute.name;
+        const value = attribute.value;
+
+        if (/^on/i.test(name)) return `event handler ${name}`;
+        if (!ALLOWED_ATTRIBUTES.includes(name)) return `attribute ${name}`;
+        if ((name === 'href' || name === 'xlink:href') && !/^\s*#/.test(value)) return `external ${name}`;
+        if (EXTERNAL_URL.test(value)) return `external url() in ${name}`;
+        if (name === 'style' && UNSAFE_STYLE.test(value)) return 'unsafe style';
+
+        return null;
+    }
+
+    // How a removed comment, processing instruction, CDATA section or doctype is reported
+    function describeNode(node) {
+        if (node.nodeType === 7) return `processing instruction <?${node.target}?>`;
+        if (node.nodeType === 4) return 'CDATA section';
+        if (node.nodeType === 8) return 'comment';
+        if (node.nodeType === 10) return 'doctype';
+        return `${node.nodeName} node`;
+    }
+
+    // Remove anything outside the allowlist from an element and its children
+    function cleanElement(element, removed) {
+        Array.from(element.attributes).forEach(attribute => {
+            const reason = checkAttribute(attribute);
+            if (reason) {
+                removed.push(`${reason} on <${element.localName}>`);
+                element.removeAttributeNode(attribute);
+            }
+        });
+
+        Array.from(element.childNodes).forEach(child => {
+            if (child.nodeType === 1) {
+                const allowed = child.namespaceURI === SVG_NAMESPACE && ALLOWED_ELEMENTS.includes(child.localName);
+                if (!allowed) {
+                    removed.push(`<${child.localName}> element`);
+                    element.removeChild(child);
+                } else {
+                    cleanElement(child, removed);
+                }
+            } else if (child.nodeType !== 3) {
+                removed.push(`${describeNode(child)} in <${element.localName}>`);
+                element.removeChild(child);
+            }
+        });
+    }
+
+    /**
+     * Parse SVG markup and rebuild it from the allowlist.
+     * Returns { svg, modified, removed } - svg is null when the markup isn't a usable SVG.
+     * It is always the rebuilt root element, never the input: anything around
+     * the root (a doctype, comments, processing instructions) is left out and
+     * listed in removed with everything else.
+     */
+    function sanitizeSvg(markup, options = {}) {
+        const Parser = options.DOMParser || (typeof DOMParser !== 'undefined' ? DOMParser : null);
+        const Serializer = options.XMLSerializer || (typeof XMLSerializer !== 'undefined' ? XMLSerializer : null);
+        if (!Parser || !Serializer) {
+            throw new Error('sanitizeSvg needs a DOMParser and XMLSerializer implementation');
+        }
+
+        const doc = new Parser().parseFromString(String(markup || ''), 'image/svg+xml');
+        const svg = doc.documentElement;
+
+        if (!svg || doc.getElementsByTagName('parsererror').length > 0 ||
+            svg.localName !== 'svg' || svg.namespaceURI !== SVG_NAMESPACE) {
+            return { svg: null, modified: true, removed: ['markup is not a valid SVG document'] };
+        }
+
+        const removed = Array.from(doc.childNodes)
+            .filter(node => node !== svg)
+            .map(node => `${describeNode(node)} outside <svg>`);
+        cleanElement(svg, removed);
+
+        return {
+            svg: new Serializer().serializeToString(svg),
+            modified: removed.length > 0,
+            removed: removed
+        };
+    }
+
+    return {
+        SVG_NAMESPACE,
+        sanitizeSvg
+    };
+});
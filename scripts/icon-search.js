@@ -0,0 +1,242 @@
+/**
+ * ========================================
+ * ICON SEARCH
+ * ========================================
+ *
+ * Ranked, typo-tolerant search over icon names and the optional
+ * icons-metadata.json file ({ "<icon name>": { tags, synonyms, description } }).
+ *
+ * Names are split into tokens (icn_cash_notes -> cash, notes) and every
+ * query word has to match something. Exact token hits rank highest, then
+ * prefixes, tags and synonyms, typo matches and finally plain substrings.
+ * An icon's first tag names what it shows, so it ranks like a name token:
+ * "money" puts icn_cash_notes next to icn_money_fast.
+ * A short query word that is a whole token or keyword of some icon only
+ * matches whole words, so "car" finds icn_car but not icn_carousel or
+ * icn_access_card.
+ *
+ * USAGE:
+ * - Browser: loaded before icon-loader.js, exposes the functions globally
+ * - Node: require('./scripts/icon-search.js')
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function() {
+
+    const METADATA_FILE = 'icons-metadata.json';
+
+    const SCORES = {
+        nameExact: 10,
+        primaryTag: 10,
+        namePrefix: 6,
+        keywordExact: 5,
+        keywordPrefix: 3,
+        nameTypo: 3,
+        keywordTypo: 2,
+        category: 2,
+        description: 1,
+        substring: 1
+    };
+
+    // Query words up to this long stop matching prefixes once they are a whole word somewhere
+    const WHOLE_WORD_LENGTH = 3;
+
+    // Split a name into lowercase tokens with their position in the original string
+    function tokenizeName(name) {
+        const tokens = [];
+        const pattern = /[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[0-9]+/g;
+        let match;
+
+        while ((match = pattern.exec(name)) !== null) {
+            tokens.push({ text: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+        }
+
+        // The icn_ prefix is on every icon, so it carries no meaning
+        return tokens.length > 1 && tokens[0].text === 'icn' ? tokens.slice(1) : tokens;
+    }
+
+    // Split free text (queries, descriptions) into lowercase words
+    function tokenizeText(text) {
+        return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    }
+
+    // Edit distance, with swapped neighbours ("hoem") counting as one edit, giving up once it exceeds max
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            beforePrevious = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    // Typos allowed for a query word of this length
+    function allowedTypos(word) {
+        if (word.length >= 7) return 2;
+        if (word.length >= 4) return 1;
+        return 0;
+    }
+
+    function isTypo(word, token) {
+        const max = allowedTypos(word);
+        return max > 0 && editDistance(word, token, max) <= max;
+    }
+
+    function getKeywords(icon) {
+        return [...(icon.tags || []), ...(icon.synonyms || [])].flatMap(tokenizeText);
+    }
+
+    // Short query words that some icon has as a whole name token or keyword
+    function findWholeWords(icons, query) {
+        const short = tokenizeText(query).filter(word => word.length <= WHOLE_WORD_LENGTH);
+        return short.filter(word => icons.some(icon =>
+            tokenizeName(icon.name).some(token => token.text === word) || getKeywords(icon).includes(word)));
+    }
+
+    /**
+     * Best match for one query word against an icon: { score, range } or null.
+     * A whole word only matches whole tokens and keywords - no prefixes, typos or substrings.
+     */
+    function matchWord(word, icon, nameTokens, whole = false) {
+        let best = null;
+        const consider = (score, range) => {
+            if (!best || score > best.score) best = { score, range };
+        };
+
+        nameTokens.forEach(token => {
+            if (token.text === word) consider(SCORES.nameExact, [token.start, token.end]);
+            else if (whole) return;
+            else if (token.text.startsWith(word)) consider(SCORES.namePrefix, [token.start, token.start + word.length]);
+            else if (isTypo(word, token.text)) consider(SCORES.nameTypo, [token.start, token.end]);
+        });
+
+        if (tokenizeText((icon.tags || [])[0]).includes(word)) consider(SCORES.primaryTag, null);
+
+        getKeywords(icon).forEach(keyword => {
+            if (keyword === word) consider(SCORES.keywordExact, null);
+            else if (whole) return;
+            else if (keyword.startsWith(word)) consider(SCORES.keywordPrefix, null);
+            else if (isTypo(word, keyword)) consider(SCORES.keywordTypo, null);
+        });
+
+        if (icon.category && tokenizeText(icon.category).includes(word)) {
+            consider(SCORES.category, null);
+        }
+
+        if (tokenizeText(icon.description).includes(word)) {
+            consider(SCORES.description, null);
+        }
+
+        if (!best && !whole && word.length >= 3) {
+            const index = icon.name.toLowerCase().indexOf(word);
+            if (index !== -1) consider(SCORES.substring, [index, index + word.length]);
+        }
+
+        return best;
+    }
+
+    /**
+     * Score one icon against a query.
+     * Returns { score, ranges } - ranges are [start, end] pairs in icon.name to highlight -
+     * or null when any query word matches nothing. wholeWords are query words
+     * that only match whole words (see findWholeWords()).
+     */
+    function scoreIcon(icon, query, wholeWords = []) {
+        const words = tokenizeText(query);
+        if (words.length === 0) return { score: 0, ranges: [] };
+
+        const nameTokens = tokenizeName(icon.name);
+        let score = 0;
+        const ranges = [];
+
+        for (const word of words) {
+            const match = matchWord(word, icon, nameTokens, wholeWords.includes(word));
+            if (!match) return null;
+
+            score += match.score;
+            if (match.range) ranges.push(match.range);
+        }
+
+        // Prefer shorter names when scores tie, so icn_cash beats icn_cash_notes_add
+        score -= nameTokens.length * 0.01;
+
+        return { score, ranges: mergeRanges(ranges) };
+    }
+
+    function mergeRanges(ranges) {
+        return ranges
+            .sort((a, b) => a[0] - b[0])
+            .reduce((merged, range) => {
+                const last = merged[merged.length - 1];
+                if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+                else merged.push(range.slice());
+                return merged;
+            }, []);
+    }
+
+    // Rank icons against a query: [{ icon, score, ranges }], best match first
+    function searchIcons(icons, query) {
+        const wholeWords = findWholeWords(icons, query);
+        return icons
+            .map((icon, index) => ({ icon, index, result: scoreIcon(icon, query, wholeWords) }))
+            .filter(entry => entry.result !== null)
+            .sort((a, b) => b.result.score - a.result.score || a.index - b.index)
+            .map(entry => ({ icon: entry.icon, score: entry.result.score, ranges: entry.result.ranges }));
+    }
+
+    /**
+     * Narrow icons to a query: { icons, highlights }, best match first, with
+     * the name ranges to highlight per icon. An empty query keeps every icon.
+     */
+    function filterIconsByQuery(icons, query) {
+        const highlights = new Map();
+        if (!query.trim()) return { icons, highlights };
+
+        const results = searchIcons(icons, query);
+        results.forEach(result => highlights.set(result.icon, result.ranges));
+        return { icons: results.map(result => result.icon), highlights };
+    }
+
+    // Copy tags, synonyms and description from icons-metadata.json onto icon records
+    function applyIconMetadata(icons, metadata) {
+        icons.forEach(icon => {
+            const entry = metadata[icon.name];
+            if (!entry) return;
+
+            icon.tags = entry.tags || [];
+            icon.synonyms = entry.synonyms || [];
+            icon.description = entry.description || '';
+        });
+    }
+
+    return {
+        METADATA_FILE,
+        tokenizeName,
+        tokenizeText,
+        editDistance,
+        scoreIcon,
+        searchIcons,
+        filterIconsByQuery,
+        applyIconMetadata
+    };
+});
@@ -0,0 +1,210 @@
+/**
+ * ========================================
+ * ICON SIMILARITY
+ * ========================================
+ *
+ * How alike two icons are, so the gallery can suggest look-alikes and
+ * tools/similar-icons.js can report likely duplicates.
+ *
+ * - Visual: a 64-bit perceptual hash of the icon's shape. The artwork is
+ *   rasterised to a 32 x 32 coverage map (alpha only, so colour variants
+ *   hash the same), transformed with a DCT and the lowest 8 x 8
+ *   frequencies are compared with their median. Icons that look alike
+ *   have hashes a few bits apart.
+ * - Names: icn_phone_call_end -> phone, call, end; the share of tokens two
+ *   names have in common.
+ *
+ * Hashes are written to icons-hashes.json ({ "<icon name>": "<16 hex digits>" })
+ * by tools/similar-icons.js, as drawing every icon in the browser would be slow.
+ *
+ * USAGE:
+ * - Browser: exposes the functions globally
+ * - Node: require('./scripts/icon-similarity.js')
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function() {
+
+    const HASHES_FILE = 'icons-hashes.json';
+    const HASH_INPUT_SIZE = 32;
+    const HASH_BLOCK_SIZE = 8;
+    const HASH_BITS = HASH_BLOCK_SIZE * HASH_BLOCK_SIZE;
+
+    // Hashes this many bits apart or fewer look alike
+    const DUPLICATE_DISTANCE = 6;
+
+    // A hash can't see small details like badges, so look-alikes are checked
+    // pixel by pixel: this share of pixels or less changing makes a duplicate
+    const DUPLICATE_PIXEL_SHARE = 0.01;
+    const PIXEL_CHANGE = 0.25;
+
+    // How much the shape counts against the name in a combined score
+    const VISUAL_WEIGHT = 0.7;
+
+    // Words that say nothing about what an icon shows
+    const STOP_TOKENS = ['icn', 'icon', 'ic'];
+
+    // 1D DCT-II of a row of values
+    function dct(values) {
+        const n = values.length;
+        return values.map((_, k) => values.reduce((sum, value, i) =>
+            sum + value * Math.cos(Math.PI / n * (i + 0.5) * k), 0));
+    }
+
+    /**
+     * Perceptual hash of a square coverage map (values from 0 to 1, row by
+     * row, HASH_INPUT_SIZE wide) as 16 hex digits. The first bit is always
+     * 0 - it stands for the average level, which says nothing about shape.
+     */
+    function computePerceptualHash(values, size = HASH_INPUT_SIZE) {
+        if (values.length !== size * size) throw new Error(`Expected ${size * size} values, got ${values.length}`);
+
+        const rows = [];
+        for (let y = 0; y < size; y++) rows.push(dct(Array.from(values.slice(y * size, (y + 1) * size))));
+
+        // Columns of the row transforms - only the low frequencies are needed
+        const block = [];
+        for (let x = 0; x < HASH_BLOCK_SIZE; x++) {
+            const column = dct(rows.map(row => row[x]));
+            for (let y = 0; y < HASH_BLOCK_SIZE; y++) block[y * HASH_BLOCK_SIZE + x] = column[y];
+        }
+
+        // Median of the 63 frequencies after the average level
+        const ac = block.slice(1).sort((a, b) => a - b);
+        const median = ac[Math.floor(ac.length / 2)];
+
+        let hash = '';
+        for (let nibble = 0; nibble < HASH_BITS / 4; nibble++) {
+            let digit = 0;
+            for (let bit = 0; bit < 4; bit++) {
+                const index = nibble * 4 + bit;
+                if (index > 0 && block[index] > median) digit |= 8 >> bit;
+            }
+            hash += digit.toString(16);
+        }
+        return hash;
+    }
+
+    // Bits that differ between two hashes
+    function getHashDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            while (diff) {
+                distance += diff & 1;
+                diff >>= 1;
+            }
+        }
+        return distance;
+    }
+
+    // Share of pixels (0 to 1) whose coverage differs noticeably between two coverage maps
+    function getCoverageDifference(a, b) {
+        if (a.length !== b.length) throw new Error('Coverage maps are different sizes');
+
+        let changed = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (Math.abs(a[i] - b[i]) > PIXEL_CHANGE) changed++;
+        }
+        return changed / a.length;
+    }
+
+    // icn_phone_callEnd -> ['phone', 'call', 'end']
+    function getNameTokens(name) {
+        return name
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => token && !STOP_TOKENS.includes(token));
+    }
+
+    // Shared tokens over all tokens (Jaccard index), from 0 to 1
+    function getNameSimilarity(a, b) {
+        const left = new Set(getNameTokens(a));
+        const right = new Set(getNameTokens(b));
+        const shared = [...left].filter(token => right.has(token)).length;
+        const total = new Set([...left, ...right]).size;
+        return total === 0 ? 0 : shared / total;
+    }
+
+    /**
+     * Compare two icons ({ name, perceptualHash }): { visual, name, score, distance }.
+     * visual is null when either icon has no hash, and the score is then
+     * the name similarity alone.
+     */
+    function compareIcons(a, b) {
+        const name = getNameSimilarity(a.name, b.name);
+        if (!a.perceptualHash || !b.perceptualHash) return { visual: null, name, score: name, distance: null };
+
+        const distance = getHashDistance(a.perceptualHash, b.perceptualHash);
+        const visual = 1 - distance / HASH_BITS;
+        return { visual, name, score: VISUAL_WEIGHT * visual + (1 - VISUAL_WEIGHT) * name, distance };
+    }
+
+    /**
+     * The icons most like target, best first: [{ icon, visual, name, score, distance }].
+     * Icons with the target's name (its other variants) are left out.
+     */
+    function findSimilarIcons(target, icons, { limit = 8, minScore = 0.5 } = {}) {
+        return icons
+            .filter(icon => icon.name !== target.name)
+            .map(icon => ({ icon, ...compareIcons(target, icon) }))
+            .filter(result => result.score >= minScore)
+            .sort((a, b) => b.score - a.score || a.icon.name.localeCompare(b.icon.name))
+            .slice(0, limit);
+    }
+
+    /**
+     * Pairs of icons whose hashes are at most maxDistance bits apart, closest
+     * first: [{ a, b, distance, name }]. Icons without a hash are skipped.
+     */
+    function findDuplicatePairs(icons, { maxDistance = DUPLICATE_DISTANCE } = {}) {
+        const hashed = icons.filter(icon => icon.perceptualHash);
+        const pairs = [];
+
+        for (let i = 0; i < hashed.length; i++) {
+            for (let j = i + 1; j < hashed.length; j++) {
+                if (hashed[i].name === hashed[j].name) continue;
+                const distance = getHashDistance(hashed[i].perceptualHash, hashed[j].perceptualHash);
+                if (distance <= maxDistance) {
+                    pairs.push({ a: hashed[i], b: hashed[j], distance, name: getNameSimilarity(hashed[i].name, hashed[j].name) });
+                }
+            }
+        }
+
+        return pairs.sort((x, y) => x.distance - y.distance || y.name - x.name);
+    }
+
+    /**
+     * Attach hashes from icons-hashes.json to icon records as perceptualHash
+     * (by name, so every variant gets one). icon.hash is the file's content
+     * hash from the index, which update checks compare.
+     */
+    function applyPerceptualHashes(icons, hashes) {
+        icons.forEach(icon => {
+            if (hashes[icon.name]) icon.perceptualHash = hashes[icon.name];
+        });
+        return icons;
+    }
+
+    return {
+        HASHES_FILE,
+        HASH_INPUT_SIZE,
+        DUPLICATE_DISTANCE,
+        DUPLICATE_PIXEL_SHARE,
+        computePerceptualHash,
+        getHashDistance,
+        getCoverageDifference,
+        getNameTokens,
+        getNameSimilarity,
+        compareIcons,
+        findSimilarIcons,
+        findDuplicatePairs,
+        applyPerceptualHashes
+    };
+});
@@ -0,0 +1,248 @@
+/**
+ * ========================================
+ * ICON DISCOVERY SOURCES
+ * ========================================
+ *
+ * Where the gallery's icon list comes from. A source is an object:
+ *
+ *   registerIconSource({
+ *       name: 'gitlab',
+ *       order: 25,                  // lower runs first
+ *       timeout: 8000,              // ms before it is given up on
+ *       snapshot: false,            // true for prebuilt listings (skipped by a fresh discovery)
+ *       config: { project: 'design/icons' },
+ *       discover: async (config, context) => [...icon records]
+ *   });
+ *
+ * discoverIcons() runs the enabled sources in order and uses the first that
+ * returns any icons. discover() gets the source's config and a context with
+ * an AbortSignal that fires on timeout, plus whatever the caller passes in
+ * (the gallery adds its baseUrl and record helpers - see icon-loader.js).
+ * Categories come from the icons a source returns, not from a fixed list.
+ *
+ * Each source's outcome is reported to onResult as
+ *   { source, status, count, categories, duration, error }
+ * where status is 'success', 'empty', 'error', 'timeout' or 'skipped'.
+ *
+ * The parsers for directory listing pages and the GitHub contents API used
+ * by the gallery's own sources are here too, apart from their fetching.
+ *
+ * USAGE:
+ * - Browser: loaded before icon-loader.js, exposes the functions globally
+ * - Node: require('./scripts/icon-sources.js')
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function() {
+
+    const DEFAULT_SOURCE_TIMEOUT = 10000;
+    // Fired on window by the gallery for every source result
+    const SOURCE_RESULT_EVENT = 'icon-source-result';
+
+    const sources = new Map();
+    let registrations = 0;
+
+    /**
+     * Add a source, or replace the one with the same name (keeping its place
+     * unless a new order is given). Returns the registered source.
+     */
+    function registerIconSource(source) {
+        if (!source || typeof source.name !== 'string' || !source.name) {
+            throw new TypeError('An icon source needs a name');
+        }
+        if (typeof source.discover !== 'function') {
+            throw new TypeError(`Icon source "${source.name}" needs a discover() function`);
+        }
+
+        const existing = sources.get(source.name);
+        const registered = {
+            order: 100,
+            timeout: DEFAULT_SOURCE_TIMEOUT,
+            enabled: true,
+            snapshot: false,
+            ...source,
+            config: { ...(source.config || {}) },
+            sequence: existing ? existing.sequence : registrations++
+        };
+        sources.set(source.name, registered);
+        return registered;
+    }
+
+    function unregisterIconSource(name) {
+        return sources.delete(name);
+    }
+
+    /**
+     * Change a registered source: order, timeout, enabled, and config (merged
+     * into the source's existing config)
+     */
+    function configureIconSource(name, options) {
+        const source = sources.get(name);
+        if (!source) throw new Error(`No icon source called "${name}"`);
+
+        const { config, ...settings } = options;
+        Object.assign(source, settings);
+        if (config) source.config = { ...source.config, ...config };
+        return source;
+    }
+
+    // Registered sources in the order they run
+    function getIconSources() {
+        return [...sources.values()].sort((a, b) => a.order - b.order || a.sequence - b.sequence);
+    }
+
+    // Category names in the order they first appear
+    function getIconCategories(icons) {
+        return [...new Set(icons.map(icon => icon.category))];
+    }
+
+    // A source's icons, or a rejection with { timedOut: true } once its time is up
+    function runSource(source, context) {
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        let timer = null;
+
+        const timeout = new Promise((resolve, reject) => {
+            if (!(source.timeout > 0)) return;
+            timer = setTimeout(() => {
+                if (controller) controller.abort();
+                reject(Object.assign(new Error(`Timed out after ${source.timeout}ms`), { timedOut: true }));
+            }, source.timeout);
+        });
+
+        const discovery = Promise.resolve()
+            .then(() => source.discover(source.config, { ...context, signal: controller ? controller.signal : null }));
+
+        return Promise.race([discovery, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Run the sources in order until one finds icons.
+     * Options:
+     * - fresh: skip snapshot sources (prebuilt index and bundle files)
+     * - skip / only: source names to leave out, or to run exclusively
+     * - context: passed to every discover() call
+     * - onResult: called with each source's result
+     * Returns { icons, source, categories, results } - source is null when nothing was found
+     */
+    async function discoverIcons({ fresh = false, skip = [], only = null, context = {}, onResult = () => {} } = {}) {
+        const results = [];
+        const report = result => {
+            results.push(result);
+            onResult(result);
+        };
+
+        for (const source of getIconSources()) {
+            const base = { source: source.name, count: 0, categories: [], duration: 0, error: null };
+
+            const skipped = !source.enabled || (fresh && source.snapshot) ||
+                skip.includes(source.name) || (only && !only.includes(source.name));
+            if (skipped) {
+                report({ ...base, status: 'skipped' });
+                continue;
+            }
+
+            const started = Date.now();
+            try {
+                const icons = await runSource(source, context);
+                const found = Array.isArray(icons) ? icons : [];
+                const categories = getIconCategories(found);
+                report({
+                    ...base,
+                    status: found.length > 0 ? 'success' : 'empty',
+                    count: found.length,
+                    categories,
+                    duration: Date.now() - started
+                });
+
+                if (found.length > 0) {
+                    return { icons: found, source: source.name, categories, results };
+                }
+            } catch (error) {
+                report({
+                    ...base,
+                    status: error.timedOut ? 'timeout' : 'error',
+                    duration: Date.now() - started,
+                    error: error.message
+                });
+            }
+        }
+
+        return { icons: [], source: null, categories: [], results };
+    }
+
+    // ---- Parsing for the gallery's built-in sources (icon-loader.js does the fetching) ----
+
+    // Category folders under a path, from a server's directory listing page
+    function parseListingFolders(html) {
+        return [...html.matchAll(/href="([^"?#/][^"?#]*)\/"/g)]
+            .map(match => decodeURIComponent(match[1]))
+            .filter(folder => !folder.includes('/') && folder !== '..');
+    }
+
+    // SVG file names in a server's directory listing page
+    function parseListingFiles(html) {
+        return [...html.matchAll(/href="([^"]*\.svg)"/g)]
+            .map(match => decodeURIComponent(match[1].split('/').pop()));
+    }
+
+    /**
+     * The GitHub repository to list: config.owner and config.repo, or else the
+     * one a GitHub Pages site at location ({ hostname, pathname }) is served
+     * from. null when there is no owner to ask.
+     */
+    function getGitHubRepository(config, location) {
+        const onPages = location.hostname.endsWith('github.io');
+        const owner = config.owner || (onPages ? location.hostname.split('.')[0] : null);
+        if (!owner) return null;
+
+        const repo = config.repo || location.pathname.split('/').filter(Boolean)[0] || `${owner}.github.io`;
+        return { owner, repo };
+    }
+
+    // GitHub contents API URL for a path in a repository, on a branch if one is given
+    function getGitHubContentsUrl(repository, path, branch) {
+        const ref = branch ? `?ref=${encodeURIComponent(branch)}` : '';
+        return `https://api.github.com/repos/${repository.owner}/${repository.repo}/contents/${path}${ref}`;
+    }
+
+    // Folder names in a contents API listing
+    function parseGitHubFolders(contents) {
+        return contents
+            .filter(item => item.type === 'dir')
+            .map(item => item.name);
+    }
+
+    // { name, category, path, sourceUrl } for each SVG in a category folder's contents API listing
+    function parseGitHubFiles(contents, folder, path) {
+        return contents
+            .filter(item => item.type === 'file' && item.name.endsWith('.svg'))
+            .map(file => ({
+                name: file.name.replace('.svg', ''),
+                category: folder,
+                path: `${path}/${folder}/${file.name}`,
+                sourceUrl: file.download_url
+            }));
+    }
+
+    return {
+        DEFAULT_SOURCE_TIMEOUT,
+        SOURCE_RESULT_EVENT,
+        registerIconSource,
+        unregisterIconSource,
+        configureIconSource,
+        getIconSources,
+        getIconCategories,
+        discoverIcons,
+        parseListingFolders,
+        parseListingFiles,
+        getGitHubRepository,
+        getGitHubContentsUrl,
+        parseGitHubFolders,
+        parseGitHubFiles
+    };
+});
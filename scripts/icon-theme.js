@@ -0,0 +1,121 @@
+/**
+ * ========================================
+ * ICON THEME
+ * ========================================
+ *
+ * Design tokens for icon colours, read from icons-theme.json:
+ *
+ *   {
+ *     "prefix": "sbg-icon",
+ *     "tokens": {
+ *       "primary": { "light": "#0033AA", "dark": "#8AA4FF", "matches": ["#0033AA"] },
+ *       ...
+ *     }
+ *   }
+ *
+ * Each token becomes a CSS custom property (--sbg-icon-primary) with a
+ * light and a dark value. "matches" lists the literal colours in the SVG
+ * files that stand for the token, so themeSvg() can swap them for
+ * var(--sbg-icon-primary, #0033AA) - or for currentColor - and the icon
+ * follows whatever theme the page sets.
+ *
+ * USAGE:
+ * - Browser: loaded after icon-colour.js, exposes the functions globally
+ * - Node: require('./scripts/icon-theme.js') (see tools/build-theme.js)
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./icon-colour.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function(colours) {
+
+    const { isNeutralColour, findColours, recolourSvg } = colours;
+
+    const THEME_FILE = 'icons-theme.json';
+    const THEME_MODES = ['light', 'dark'];
+    const DEFAULT_THEME_PREFIX = 'sbg-icon';
+
+    // --sbg-icon-primary
+    function getThemeVariable(theme, token) {
+        return `--${theme.prefix || DEFAULT_THEME_PREFIX}-${token}`;
+    }
+
+    // var(--sbg-icon-primary, #0033AA) - the fallback defaults to the token's light colour
+    function getThemeColour(theme, token, fallback) {
+        return `var(${getThemeVariable(theme, token)}, ${fallback || theme.tokens[token].light})`;
+    }
+
+    // Name of the token a literal colour stands for, or null
+    function findColourToken(theme, colour) {
+        const value = colour.trim().toUpperCase();
+        return Object.keys(theme.tokens).find(token =>
+            (theme.tokens[token].matches || []).some(match => match.toUpperCase() === value)
+        ) || null;
+    }
+
+    // Literal colours in an icon that no token matches (currentColor, none and url() are fine)
+    function findUnthemedColours(theme, svg) {
+        const colours = findColours(svg).filter(colour => !isNeutralColour(colour) && !/^var\(/i.test(colour));
+        return [...new Set(colours.filter(colour => !findColourToken(theme, colour)))];
+    }
+
+    /**
+     * Swap the colours in an icon that stand for a token:
+     * - output 'variables' (default): var(--sbg-icon-<token>, <original colour>)
+     * - output 'currentColor': currentColor
+     * Colours no token matches, like white highlights, are left alone.
+     */
+    function themeSvg(svg, theme, { output = 'variables' } = {}) {
+        const literals = [...new Set(findColours(svg).filter(colour => !isNeutralColour(colour)))];
+
+        return literals.reduce((themed, colour) => {
+            const token = findColourToken(theme, colour);
+            if (!token) return themed;
+
+            const replacement = output === 'currentColor' ? 'currentColor' : getThemeColour(theme, token, colour);
+            return recolourSvg(themed, replacement, [colour]);
+        }, svg);
+    }
+
+    function formatDeclarations(theme, mode, indent) {
+        return Object.keys(theme.tokens)
+            .filter(token => theme.tokens[token][mode])
+            .map(token => `${indent}${getThemeVariable(theme, token)}: ${theme.tokens[token][mode]};`)
+            .join('\n');
+    }
+
+    /**
+     * Stylesheet for the theme's custom properties. Light values sit on the
+     * selector (and data-theme="light"), dark values apply under
+     * [data-theme="dark"] and, unless the page asks for data-theme="light",
+     * when the system prefers dark.
+     */
+    function generateThemeCss(theme, { selector = ':root' } = {}) {
+        // At the root, any element can set its own mode for everything inside it
+        const lightSelector = selector === ':root' ? ':root,\n[data-theme="light"]' : selector;
+        const darkSelector = selector === ':root'
+            ? '[data-theme="dark"]'
+            : `[data-theme="dark"] ${selector},\n${selector}[data-theme="dark"]`;
+
+        return [
+            `/* ${theme.prefix || DEFAULT_THEME_PREFIX} colour tokens - generated from ${THEME_FILE} */`,
+            `${lightSelector} {\n${formatDeclarations(theme, 'light', '    ')}\n}`,
+            `${darkSelector} {\n${formatDeclarations(theme, 'dark', '    ')}\n}`,
+            `@media (prefers-color-scheme: dark) {\n    ${selector}:not([data-theme="light"]) {\n${formatDeclarations(theme, 'dark', '        ')}\n    }\n}`
+        ].join('\n\n') + '\n';
+    }
+
+    return {
+        THEME_FILE,
+        THEME_MODES,
+        getThemeVariable,
+        getThemeColour,
+        findColourToken,
+        findUnthemedColours,
+        themeSvg,
+        generateThemeCss
+    };
+});
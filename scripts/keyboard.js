@@ -0,0 +1,165 @@
+/**
+ * Keyboard navigation
+ * The icon grid is a single tab stop (roving tabindex): arrow keys, Home and
+ * End move between icons (mounting rows of the virtual grid as needed,
+ * see revealGridItem() in app.js), Enter or Space opens one (or selects it, with the
+ * same modifiers as a click). The copy modal keeps focus inside it while it
+ * is open, closes on Escape and hands focus back to where it came from.
+ * @author Archie M
+ *
+ */
+
+const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Name of the grid icon that holds the tab stop, so it survives re-renders
+let focusedIconName = null;
+
+// Element focused before the modal opened
+let modalReturnFocus = null;
+
+function getGridItems() {
+    return Array.from(document.querySelectorAll('#iconsGrid .icon-item'));
+}
+
+// Make one grid item the tab stop, optionally moving focus to it
+function setGridTabStop(item, focus) {
+    getGridItems().forEach(other => other.setAttribute('tabindex', other === item ? '0' : '-1'));
+    focusedIconName = item.dataset.name;
+    if (focus) item.focus();
+}
+
+// Called by app.js after the grid changes - keep the tab stop on the same icon when it is still shown
+function updateGridTabStop() {
+    const items = getGridItems();
+    if (items.length === 0) return;
+
+    const item = items.find(other => other.dataset.name === focusedIconName) || items[0];
+    setGridTabStop(item, false);
+}
+
+// Icons per row, from where the items have been laid out
+function getGridColumns(items) {
+    const top = items[0].offsetTop;
+    const columns = items.findIndex(item => item.offsetTop !== top);
+    return columns === -1 ? items.length : columns;
+}
+
+function handleGridKeydown(event) {
+    const item = event.target.closest('.icon-item');
+    if (!item || event.altKey) return;
+
+    // Positions are in filteredIcons, which may be more than the mounted items
+    const index = Number(item.dataset.index);
+    const count = filteredIcons.length;
+    const columns = getGridColumns(getGridItems());
+    const targets = {
+        ArrowRight: index + 1,
+        ArrowLeft: index - 1,
+        ArrowDown: index + columns,
+        ArrowUp: index - columns,
+        Home: event.ctrlKey ? 0 : index - (index % columns),
+        End: event.ctrlKey ? count - 1 : Math.min(index - (index % columns) + columns - 1, count - 1)
+    };
+
+    if (event.key in targets) {
+        event.preventDefault();
+        const target = revealGridItem(targets[event.key]);
+        if (target) setGridTabStop(target, true);
+        return;
+    }
+
+    // Act like a click, so Ctrl/Cmd and Shift select just as they do with the mouse
+    if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        item.dispatchEvent(new MouseEvent('click', {
+            bubbles: true,
+            ctrlKey: event.ctrlKey,
+            metaKey: event.metaKey,
+            shiftKey: event.shiftKey
+        }));
+    }
+}
+
+function isModalOpen() {
+    return document.getElementById('copyModal').style.display === 'block';
+}
+
+// Focusable controls in the modal that are currently shown
+function getModalFocusables() {
+    const content = document.querySelector('#copyModal .modal-content');
+    return Array.from(content.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(element => !element.disabled && (element.offsetWidth || element.offsetHeight || element.getClientRects().length));
+}
+
+// Called by app.js when the modal opens
+function focusCopyModal() {
+    const content = document.querySelector('#copyModal .modal-content');
+    if (!modalReturnFocus && !content.contains(document.activeElement)) {
+        modalReturnFocus = document.activeElement;
+    }
+    if (!content.contains(document.activeElement)) {
+        document.querySelector('#copyModal .close-btn').focus();
+    }
+}
+
+// Called by app.js when the modal closes - back to the icon (or control) that opened it
+function restoreModalFocus() {
+    let target = modalReturnFocus;
+    modalReturnFocus = null;
+    if (!target) return;
+
+    // The grid was re-rendered while the modal was open - use the same icon's new item
+    if (!target.isConnected && target.classList && target.classList.contains('icon-item')) {
+        const name = target.dataset.name;
+        target = getGridItems().find(item => item.dataset.name === name);
+    }
+    if (target && target.isConnected && target !== document.body) target.focus();
+}
+
+// Keep Tab and Shift+Tab inside the modal
+function trapModalFocus(event) {
+    const focusables = getModalFocusables();
+    if (focusables.length === 0) {
+        event.preventDefault();
+        return;
+    }
+
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    const inside = document.querySelector('#copyModal .modal-content').contains(document.activeElement);
+
+    if (event.shiftKey && (document.activeElement === first || !inside)) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (document.activeElement === last || !inside)) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+function handleDocumentKeydown(event) {
+    if (!isModalOpen()) return;
+
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeCopyModal();
+    } else if (event.key === 'Tab') {
+        trapModalFocus(event);
+    }
+}
+
+function setupKeyboardNavigation() {
+    const grid = document.getElementById('iconsGrid');
+    grid.addEventListener('keydown', handleGridKeydown);
+
+    // Clicking an icon moves the tab stop to it too
+    grid.addEventListener('focusin', event => {
+        const item = event.target.closest('.icon-item');
+        if (item && item.getAttribute('tabindex') !== '0') setGridTabStop(item, false);
+    });
+
+    document.addEventListener('keydown', handleDocumentKeydown);
+    updateGridTabStop();
+}
+
+document.addEventListener('DOMContentLoaded', setupKeyboardNavigation);
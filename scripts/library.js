@@ -0,0 +1,242 @@
+/**
+ * My icons
+ * Favourites, recently copied icons and named collections, kept in
+ * localStorage between visits (see icon-library.js for the data). Each
+ * list shows up as a virtual category next to the real ones; collections
+ * can be exported and imported as JSON to share a set with the team.
+ * @author Archie M
+ *
+ */
+
+const LIBRARY_STORAGE_KEY = 'sbg-icon-library';
+const NEW_COLLECTION_OPTION = '__new__';
+
+let userLibrary = loadUserLibrary();
+
+function loadUserLibrary() {
+    try {
+        return normaliseLibrary(JSON.parse(localStorage.getItem(LIBRARY_STORAGE_KEY)));
+    } catch (error) {
+        return createLibrary();
+    }
+}
+
+// Keep a changed library and update everything that shows it
+function saveUserLibrary(library) {
+    userLibrary = library;
+    try {
+        localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+    } catch (error) {
+        showNotification(`Could not save your icons: ${error.message}`);
+    }
+    refreshLibraryViews();
+}
+
+function refreshLibraryViews() {
+    if (!window.iconsData || iconsData.length === 0) return;
+
+    renderCategories();
+    if (isLibraryCategory(currentCategory)) {
+        // The list being shown may have been deleted
+        const exists = getUserCategories().some(category => category.id === currentCategory);
+        if (exists) filterIcons();
+        else selectCategory('all');
+    }
+    updateLibraryActions();
+    updateModalLibraryControls();
+}
+
+// Virtual categories for renderCategories() in app.js
+function getUserCategories() {
+    return getLibraryCategories(userLibrary);
+}
+
+function getUserCategory(id) {
+    return getUserCategories().find(category => category.id === id) || null;
+}
+
+// Icon records in a virtual category, in list order (most recent first for copies)
+function getUserCategoryIcons(id) {
+    const category = getUserCategory(id);
+    return category ? resolveIconRefs(category.refs, iconsData) : [];
+}
+
+// Called by copyToClipboard() in app.js
+function recordRecentCopy(icon, type) {
+    saveUserLibrary(addRecentCopy(userLibrary, icon, type));
+}
+
+function toggleModalFavourite() {
+    if (!modalIcon) return;
+    const adding = !isFavourite(userLibrary, modalIcon);
+    saveUserLibrary(toggleFavourite(userLibrary, modalIcon));
+    showNotification(adding ? `Added ${modalIcon.name} to favourites` : `Removed ${modalIcon.name} from favourites`);
+}
+
+// Ask for a name and make a collection; returns its name, or null if cancelled or taken
+function promptNewCollection() {
+    const name = window.prompt('Name for the new collection');
+    if (name === null) return null;
+
+    try {
+        saveUserLibrary(createCollection(userLibrary, name));
+        return name.trim();
+    } catch (error) {
+        showNotification(error.message);
+        return null;
+    }
+}
+
+// Options for a collection picker; collections already holding icon are ticked
+function renderCollectionOptions(select, placeholder, icon) {
+    select.innerHTML = `<option value="">${placeholder}</option>` + userLibrary.collections.map(collection => {
+        const holds = icon && collection.icons.some(ref => ref.name === icon.name && ref.category === icon.category);
+        return `<option value="${escapeHtml(collection.name)}">${holds ? '✓ ' : ''}${escapeHtml(collection.name)}</option>`;
+    }).join('') + `<option value="${NEW_COLLECTION_OPTION}">New collection...</option>`;
+}
+
+// Favourite button and collection picker in the copy modal
+function updateModalLibraryControls() {
+    if (!modalIcon) return;
+
+    const favourite = isFavourite(userLibrary, modalIcon);
+    const button = document.getElementById('favouriteBtn');
+    button.textContent = favourite ? '★ Favourite' : '☆ Favourite';
+    button.setAttribute('aria-pressed', String(favourite));
+    button.classList.toggle('active', favourite);
+
+    renderCollectionOptions(document.getElementById('modalCollection'), 'Add to collection...', modalIcon);
+}
+
+// Add the modal icon to a collection, or take it out if it is already there
+function handleModalCollection(e) {
+    let name = e.target.value;
+    e.target.value = '';
+    if (!name || !modalIcon) return;
+
+    if (name === NEW_COLLECTION_OPTION) {
+        name = promptNewCollection();
+        if (!name) return;
+    }
+
+    const collection = findCollection(userLibrary, name);
+    if (collection.icons.some(ref => ref.name === modalIcon.name && ref.category === modalIcon.category)) {
+        saveUserLibrary(removeFromCollection(userLibrary, name, modalIcon));
+        showNotification(`Removed ${modalIcon.name} from ${name}`);
+    } else {
+        saveUserLibrary(addToCollection(userLibrary, name, [modalIcon]));
+        showNotification(`Added ${modalIcon.name} to ${name}`);
+    }
+}
+
+// Add the selected icons (in the tray's variant) to a collection
+function handleSelectionCollection(e) {
+    let name = e.target.value;
+    e.target.value = '';
+    if (!name || typeof selectedIcons === 'undefined') return;
+
+    if (name === NEW_COLLECTION_OPTION) {
+        name = promptNewCollection();
+        if (!name) return;
+    }
+
+    const variant = document.getElementById('selectionVariant').value;
+    const icons = [...selectedIcons].map(iconName => getSelectionRecord(iconName, variant)).filter(Boolean);
+    saveUserLibrary(addToCollection(userLibrary, name, icons));
+    showNotification(`Added ${icons.length} icon${icons.length === 1 ? '' : 's'} to ${name}`);
+}
+
+// Buttons for the library as a whole and for the virtual category being shown
+function updateLibraryActions() {
+    const category = isLibraryCategory(currentCategory) ? getUserCategory(currentCategory) : null;
+    document.getElementById('exportCollectionBtn').style.display = category && category.kind === 'collection' ? '' : 'none';
+    document.getElementById('renameCollectionBtn').style.display = category && category.kind === 'collection' ? '' : 'none';
+    document.getElementById('deleteCollectionBtn').style.display = category && category.kind === 'collection' ? '' : 'none';
+    document.getElementById('clearRecentBtn').style.display = category && category.kind === 'recent' ? '' : 'none';
+
+    renderCollectionOptions(document.getElementById('selectionCollection'), 'Add to collection...', null);
+}
+
+function downloadLibraryJson(json, name) {
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${name}.json`);
+}
+
+function exportUserLibrary() {
+    downloadLibraryJson(exportLibrary(userLibrary), 'sbg-icon-library');
+}
+
+function exportCurrentCollection() {
+    const category = getUserCategory(currentCategory);
+    if (!category || category.kind !== 'collection') return;
+
+    const slug = category.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'collection';
+    downloadLibraryJson(exportLibrary(userLibrary, { collections: [category.label] }), `sbg-icons-${slug}`);
+}
+
+function renameCurrentCollection() {
+    const category = getUserCategory(currentCategory);
+    if (!category || category.kind !== 'collection') return;
+
+    const name = window.prompt('New name for the collection', category.label);
+    if (name === null) return;
+
+    try {
+        const renamed = renameCollection(userLibrary, category.label, name);
+        // Stay on the collection under its new name
+        currentCategory = getCollectionCategory(name.trim());
+        saveUserLibrary(renamed);
+    } catch (error) {
+        showNotification(error.message);
+    }
+}
+
+function deleteCurrentCollection() {
+    const category = getUserCategory(currentCategory);
+    if (!category || category.kind !== 'collection') return;
+    if (!window.confirm(`Delete the collection "${category.label}"? The icons themselves stay.`)) return;
+
+    saveUserLibrary(deleteCollection(userLibrary, category.label));
+}
+
+// Merge an exported library file into this one
+async function importUserLibrary(file) {
+    try {
+        const imported = parseLibraryImport(await file.text());
+        saveUserLibrary(mergeLibraryImport(userLibrary, imported));
+
+        const icons = imported.collections.reduce((total, collection) => total + collection.icons.length, imported.favourites.length);
+        showNotification(`Imported ${imported.collections.length} collection${imported.collections.length === 1 ? '' : 's'} (${icons} icons)`);
+    } catch (error) {
+        showNotification(`Could not import ${file.name}: ${error.message}`);
+    }
+}
+
+function setupLibrary() {
+    document.getElementById('favouriteBtn').addEventListener('click', toggleModalFavourite);
+    document.getElementById('modalCollection').addEventListener('change', handleModalCollection);
+    document.getElementById('selectionCollection').addEventListener('change', handleSelectionCollection);
+
+    document.getElementById('exportLibraryBtn').addEventListener('click', exportUserLibrary);
+    document.getElementById('exportCollectionBtn').addEventListener('click', exportCurrentCollection);
+    document.getElementById('renameCollectionBtn').addEventListener('click', renameCurrentCollection);
+    document.getElementById('deleteCollectionBtn').addEventListener('click', deleteCurrentCollection);
+    document.getElementById('clearRecentBtn').addEventListener('click', () => saveUserLibrary(clearRecentCopies(userLibrary)));
+
+    const importInput = document.getElementById('importLibraryInput');
+    document.getElementById('importLibraryBtn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        if (importInput.files[0]) importUserLibrary(importInput.files[0]);
+        importInput.value = '';
+    });
+
+    // Changes made in another tab
+    window.addEventListener('storage', (e) => {
+        if (e.key !== LIBRARY_STORAGE_KEY) return;
+        userLibrary = loadUserLibrary();
+        refreshLibraryViews();
+    });
+
+    updateLibraryActions();
+}
+
+document.addEventListener('DOMContentLoaded', setupLibrary);
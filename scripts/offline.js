@@ -0,0 +1,122 @@
+/**
+ * Offline support
+ * Registers the service worker (sw.js) that caches the gallery and icons,
+ * and shows a banner listing added, removed, renamed and modified icons
+ * when it picks up a newer icons-index.json or icons-bundle.json, with a
+ * before/after view of the modified ones.
+ * @author Archie M
+ *
+ */
+
+// Message sent by sw.js when a cached index or bundle is replaced by a newer one, naming the file
+const ICONS_UPDATED_MESSAGE = 'icons-updated';
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('⚠️ Service worker registration failed:', error.message);
+    });
+
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === ICONS_UPDATED_MESSAGE) handleIconsUpdated(event.data.file);
+    });
+}
+
+// The worker has stored a new index or bundle - compare the file it names with what is on screen
+async function handleIconsUpdated(file = INDEX_FILE) {
+    const url = `${getBaseUrl()}${file}`;
+    const data = file === BUNDLE_FILE ? await loadIconBundle(url) : await loadIconIndex(url);
+    if (!data) return;
+
+    const freshIcons = getIndexEntries(data);
+    await checkForUpdates(freshIcons);
+}
+
+// Changes from the last update check, for the before/after view
+let pendingChanges = null;
+
+// Show the "icons updated" banner (called by checkForUpdates with a diffIconSets() result)
+function showUpdateBanner(changes) {
+    const banner = document.getElementById('updateBanner');
+    const counts = { added: changes.added.length, removed: changes.removed.length, renamed: changes.renamed.length, modified: changes.modified.length };
+    const summary = Object.keys(counts)
+        .filter(key => counts[key] > 0)
+        .map(key => `${counts[key]} ${key}`)
+        .join(', ');
+
+    const renderList = (label, names) => names.length === 0 ? '' : `
+        <div class="update-list">
+            <strong>${label}:</strong> ${names.slice(0, 20).map(escapeHtml).join(', ')}${names.length > 20 ? ` and ${names.length - 20} more` : ''}
+        </div>
+    `;
+
+    pendingChanges = changes;
+    document.getElementById('updateSummary').textContent = `Icons updated (${summary})`;
+    document.getElementById('updateDetails').innerHTML =
+        renderList('Added', changes.added.map(getIconKey)) +
+        renderList('Removed', changes.removed.map(getIconKey)) +
+        renderList('Renamed', changes.renamed.map(({ from, to }) => `${getIconKey(from)} → ${to.name}`)) +
+        renderList('Modified', changes.modified.map(change => getIconKey(change.after)));
+    document.getElementById('compareChangesBtn').style.display = changes.modified.length > 0 ? 'inline-block' : 'none';
+    document.getElementById('updateComparison').innerHTML = '';
+    banner.style.display = 'block';
+}
+
+function hideUpdateBanner() {
+    document.getElementById('updateBanner').style.display = 'none';
+}
+
+// The new version of a file, past every cache
+async function loadUpdatedSvg(entry) {
+    try {
+        const response = await fetch(`${getBaseUrl()}${entry.path}`, { cache: 'no-cache' });
+        if (!response.ok) return null;
+        return sanitizeSvg(await response.text()).svg;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Before/after previews of every modified icon
+async function renderChangeComparison() {
+    if (!pendingChanges) return;
+
+    const container = document.getElementById('updateComparison');
+    container.innerHTML = '<div class="update-list">Loading previews...</div>';
+
+    const rows = await Promise.all(pendingChanges.modified.map(async ({ before, after }) => {
+        const current = iconsData.find(icon => icon.category === before.category && icon.name === before.name);
+        const beforeSvg = current ? await fetchIconSVG(current) : null;
+        const afterSvg = await loadUpdatedSvg(after);
+        const sizes = before.size !== undefined && after.size !== undefined ? `${before.size} → ${after.size} bytes` : '';
+
+        return `
+            <div class="comparison-row">
+                <div class="comparison-name">${escapeHtml(getIconKey(after))}<small>${sizes}</small></div>
+                <div class="comparison-preview" title="Before">${beforeSvg || '<span>Not loaded</span>'}</div>
+                <div class="comparison-preview" title="After">${afterSvg || '<span>Not available</span>'}</div>
+            </div>
+        `;
+    }));
+
+    container.innerHTML = `
+        <div class="comparison-row comparison-header">
+            <div></div><div>Before</div><div>After</div>
+        </div>
+        ${rows.join('')}
+    `;
+}
+
+function setupOfflineSupport() {
+    document.getElementById('reloadIconsBtn').addEventListener('click', () => window.location.reload());
+    document.getElementById('dismissUpdateBtn').addEventListener('click', hideUpdateBanner);
+    document.getElementById('compareChangesBtn').addEventListener('click', renderChangeComparison);
+
+    window.addEventListener('offline', () => showNotification('You are offline - showing cached icons'));
+    window.addEventListener('online', () => showNotification('Back online'));
+
+    registerServiceWorker();
+}
+
+document.addEventListener('DOMContentLoaded', setupOfflineSupport);
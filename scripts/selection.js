@@ -0,0 +1,182 @@
+/**
+ * Icon selection and ZIP download
+ * Select icons in the grid (click in selection mode or Ctrl/Cmd-click,
+ * Shift-click for ranges, or select everything visible) and download
+ * them as a ZIP with a manifest and an optional sprite.
+ * @author Archie M
+ *
+ */
+
+// Selected icon names - kept by name so the selection survives search and category changes
+const selectedIcons = new Set();
+let selectionMode = false;
+let lastSelectedName = null;
+
+function isIconSelected(icon) {
+    return selectedIcons.has(icon.name);
+}
+
+// Turn selection mode on or off
+function toggleSelectionMode() {
+    selectionMode = !selectionMode;
+    document.body.classList.toggle('selection-mode', selectionMode);
+    document.getElementById('selectModeBtn').textContent = selectionMode ? 'Done selecting' : 'Select';
+}
+
+// Handle a grid click; returns true when the click was used for selecting
+function handleSelectionClick(item, event) {
+    if (!selectionMode && !(event.ctrlKey || event.metaKey)) return false;
+
+    const name = item.dataset.name;
+    if (event.shiftKey && lastSelectedName) {
+        selectRange(lastSelectedName, name);
+    } else if (selectedIcons.has(name)) {
+        selectedIcons.delete(name);
+    } else {
+        selectedIcons.add(name);
+    }
+
+    lastSelectedName = name;
+    updateSelectionUI();
+    return true;
+}
+
+// Select every visible icon between two names (inclusive)
+function selectRange(fromName, toName) {
+    const names = filteredIcons.map(icon => icon.name);
+    const from = names.indexOf(fromName);
+    const to = names.indexOf(toName);
+
+    if (from === -1 || to === -1) {
+        selectedIcons.add(toName);
+        return;
+    }
+
+    names.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(name => selectedIcons.add(name));
+}
+
+// Select everything matching the current search and category
+function selectAllFiltered() {
+    filteredIcons.forEach(icon => selectedIcons.add(icon.name));
+    updateSelectionUI();
+}
+
+function clearSelection() {
+    selectedIcons.clear();
+    lastSelectedName = null;
+    updateSelectionUI();
+}
+
+// Sync the grid highlighting and the tray with the selection
+function updateSelectionUI() {
+    document.querySelectorAll('#iconsGrid .icon-item').forEach(item => {
+        item.classList.toggle('selected', selectedIcons.has(item.dataset.name));
+    });
+    renderSelectionTray();
+}
+
+// Render the tray listing the selected icons
+function renderSelectionTray() {
+    const tray = document.getElementById('selectionTray');
+    const names = [...selectedIcons];
+
+    tray.style.display = names.length > 0 ? 'block' : 'none';
+    document.body.classList.toggle('has-selection', names.length > 0);
+    document.getElementById('selectionCount').textContent =
+        `${names.length} icon${names.length === 1 ? '' : 's'} selected`;
+
+    const shown = names.slice(0, 12);
+    document.getElementById('selectionList').innerHTML = shown.map(name => `
+        <span class="selection-chip" data-name="${escapeHtml(name)}">
+            ${escapeHtml(name)}
+            <button class="selection-chip-remove" title="Remove from selection">&times;</button>
+        </span>
+    `).join('') + (names.length > shown.length ? `<span class="selection-more">and ${names.length - shown.length} more</span>` : '');
+
+    // Variant picker - every category plus an uncoloured currentColor version
+    const variantSelect = document.getElementById('selectionVariant');
+    const current = variantSelect.value;
+    const categories = [...new Set(iconsData.map(icon => icon.category))];
+    variantSelect.innerHTML = [...categories, CURRENT_COLOUR_VARIANT]
+        .map(value => `<option value="${escapeHtml(value)}">${value === CURRENT_COLOUR_VARIANT ? 'currentColor' : escapeHtml(formatCategoryName(value))}</option>`)
+        .join('');
+    if ([...categories, CURRENT_COLOUR_VARIANT].includes(current)) variantSelect.value = current;
+}
+
+// The record to export for an icon name in the chosen variant, or null if it doesn't exist
+function getSelectionRecord(name, variant) {
+    const variants = iconsData.filter(icon => icon.name === name);
+    if (variant === CURRENT_COLOUR_VARIANT) return variants[0] || null;
+    return variants.find(icon => icon.category === variant) || null;
+}
+
+// Build and download a ZIP of the selected icons
+async function downloadSelection() {
+    const variant = document.getElementById('selectionVariant').value;
+    const includeSprite = document.getElementById('selectionSprite').checked;
+    const names = [...selectedIcons];
+
+    const records = names.map(name => ({ name, icon: getSelectionRecord(name, variant) }));
+    const available = records.filter(record => record.icon);
+
+    showNotification(`Preparing ${available.length} icons...`);
+    await Promise.all(available.map(record => fetchIconSVG(record.icon)));
+
+    const folder = variant === CURRENT_COLOUR_VARIANT ? 'current-color' : variant;
+    const exported = available
+        .filter(record => record.icon.svg)
+        .map(record => ({
+            name: record.name,
+            source: record.icon,
+            svg: variant === CURRENT_COLOUR_VARIANT
+                ? recolourSvg(record.icon.svg, 'currentColor', PALETTES[record.icon.category])
+                : record.icon.svg
+        }));
+    const skipped = names.filter(name => !exported.some(record => record.name === name));
+
+    const files = exported.map(record => ({ name: `${folder}/${record.name}.svg`, data: record.svg }));
+
+    files.push({
+        name: 'manifest.json',
+        data: JSON.stringify({
+            _generated: Date.now(),
+            _timestamp: new Date().toISOString(),
+            variant: variant,
+            totalIcons: exported.length,
+            skipped: skipped,
+            icons: exported.map(record => ({
+                name: record.name,
+                file: `${folder}/${record.name}.svg`,
+                source: record.source.path,
+                symbol: includeSprite ? getSymbolId(record.name) : undefined
+            }))
+        }, null, 2)
+    });
+
+    if (includeSprite) {
+        files.push({ name: 'sprite.svg', data: buildSprite(exported) });
+    }
+
+    if (skipped.length > 0) {
+        console.warn(`⚠️ Not in the ${variant} variant or missing: ${skipped.join(', ')}`);
+    }
+
+    const blob = new Blob([createZip(files)], { type: 'application/zip' });
+    downloadBlob(blob, `sbg-icons-${folder}.zip`);
+}
+
+// Setup selection controls
+function setupSelection() {
+    document.getElementById('selectModeBtn').addEventListener('click', toggleSelectionMode);
+    document.getElementById('selectAllBtn').addEventListener('click', selectAllFiltered);
+    document.getElementById('clearSelectionBtn').addEventListener('click', clearSelection);
+    document.getElementById('downloadSelectionBtn').addEventListener('click', downloadSelection);
+
+    document.getElementById('selectionList').addEventListener('click', (e) => {
+        if (!e.target.classList.contains('selection-chip-remove')) return;
+        selectedIcons.delete(e.target.closest('.selection-chip').dataset.name);
+        updateSelectionUI();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', setupSelection);
@@ -0,0 +1,117 @@
+/**
+ * Theme
+ * Light/dark mode for the gallery and the colour tokens from icons-theme.json
+ * (see icon-theme.js). Previews are drawn with the tokens' CSS custom
+ * properties, so switching mode re-themes every icon without re-rendering.
+ * The chosen mode is remembered; until then the system preference is used.
+ * @author Archie M
+ *
+ */
+
+const THEME_MODE_KEY = 'sbg-theme-mode';
+
+// Theme loaded from icons-theme.json, or null to show icons in their file colours
+let iconTheme = null;
+let themeMode = 'light';
+
+// Themed preview markup per icon record, rebuilt when its SVG or the theme changes
+let themedPreviews = new WeakMap();
+
+function getStoredThemeMode() {
+    try {
+        return localStorage.getItem(THEME_MODE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Saved mode, else the system preference
+function getPreferredThemeMode() {
+    const stored = getStoredThemeMode();
+    if (THEME_MODES.includes(stored)) return stored;
+    return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+// Switch the gallery to 'light' or 'dark'; pass remember = false to leave the saved choice alone
+function setThemeMode(mode, remember = true) {
+    themeMode = mode === 'dark' ? 'dark' : 'light';
+    document.documentElement.dataset.theme = themeMode;
+
+    const toggle = document.getElementById('themeToggle');
+    if (toggle) {
+        toggle.setAttribute('aria-pressed', String(themeMode === 'dark'));
+        toggle.textContent = themeMode === 'dark' ? '☀️ Light mode' : '🌙 Dark mode';
+    }
+
+    if (remember) {
+        try {
+            localStorage.setItem(THEME_MODE_KEY, themeMode);
+        } catch (error) {
+            // Private browsing - the choice lasts until the page is closed
+        }
+    }
+}
+
+function toggleThemeMode() {
+    setThemeMode(themeMode === 'dark' ? 'light' : 'dark');
+}
+
+// Use a theme (called by icon-loader.js once icons-theme.json has loaded)
+function applyIconTheme(theme) {
+    iconTheme = theme;
+    themedPreviews = new WeakMap();
+
+    let style = document.getElementById('iconThemeStyles');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'iconThemeStyles';
+        document.head.appendChild(style);
+    }
+    style.textContent = generateThemeCss(theme);
+
+    renderThemeTokenOptions();
+}
+
+// Token choices in the copy modal's colour controls
+function renderThemeTokenOptions() {
+    const select = document.getElementById('themeToken');
+    const tokens = iconTheme ? Object.keys(iconTheme.tokens) : [];
+
+    select.innerHTML = '<option value="">Theme token...</option>' + tokens
+        .map(token => `<option value="${escapeHtml(token)}">${escapeHtml(token)} (${escapeHtml(iconTheme.tokens[token].light)})</option>`)
+        .join('');
+    select.disabled = tokens.length === 0;
+}
+
+// SVG markup with its token colours swapped for the theme's custom properties
+// (unchanged until a theme has loaded)
+function getThemedSvg(svg) {
+    return iconTheme && svg ? themeSvg(svg, iconTheme) : svg;
+}
+
+// Themed markup for an icon's grid preview, kept until its SVG or the theme changes
+function getPreviewSvg(icon) {
+    const cached = themedPreviews.get(icon);
+    if (cached && cached.svg === icon.svg) return cached.themed;
+
+    const themed = getThemedSvg(icon.svg);
+    themedPreviews.set(icon, { svg: icon.svg, themed });
+    return themed;
+}
+
+function setupThemeToggle() {
+    document.getElementById('themeToggle').addEventListener('click', toggleThemeMode);
+
+    // Follow the system setting until a mode has been picked here
+    if (window.matchMedia) {
+        const query = window.matchMedia('(prefers-color-scheme: dark)');
+        const follow = (e) => {
+            if (!getStoredThemeMode()) setThemeMode(e.matches ? 'dark' : 'light', false);
+        };
+        if (query.addEventListener) query.addEventListener('change', follow);
+    }
+}
+
+// Set the mode straight away so the page doesn't flash the wrong colours
+setThemeMode(getPreferredThemeMode(), false);
+document.addEventListener('DOMContentLoaded', setupThemeToggle);
@@ -0,0 +1,119 @@
+/**
+ * URL state
+ * Keeps the search, category and open icon in the URL hash so views can be
+ * shared and the back/forward buttons work:
+ *   #/?q=cash&category=grey          filtered grid
+ *   #/icon/grey/icn_shield_plus      copy modal for the grey variant
+ * Typing in the search box replaces the current history entry; changing the
+ * category or opening/closing an icon adds one.
+ * @author Archie M
+ *
+ */
+
+const ICON_ROUTE = /^\/icon\/([^/?]+)\/([^/?]+)$/;
+
+// Hash last written or applied, so our own updates aren't handled as navigation
+let lastUrlHash = null;
+let applyingUrlState = false;
+
+// { search, category, icon: { category, name } | null } from a location hash
+function parseUrlState(hash) {
+    const [route, query] = hash.replace(/^#/, '').split('?');
+    const params = new URLSearchParams(query || '');
+    const match = ICON_ROUTE.exec(route || '');
+
+    return {
+        search: params.get('q') || '',
+        category: params.get('category') || 'all',
+        icon: match ? { category: decodeURIComponent(match[1]), name: decodeURIComponent(match[2]) } : null
+    };
+}
+
+// Location hash for a state; the default view has no hash at all
+function buildUrlHash(state) {
+    const params = new URLSearchParams();
+    if (state.search) params.set('q', state.search);
+    if (state.category && state.category !== 'all') params.set('category', state.category);
+
+    const route = state.icon
+        ? `/icon/${encodeURIComponent(state.icon.category)}/${encodeURIComponent(state.icon.name)}`
+        : '/';
+    const query = params.toString();
+
+    return route === '/' && !query ? '' : `#${route}${query ? `?${query}` : ''}`;
+}
+
+// What the gallery is showing right now
+function getGalleryState() {
+    const modalOpen = document.getElementById('copyModal').style.display === 'block';
+    return {
+        search: document.getElementById('searchInput').value.trim(),
+        category: currentCategory,
+        icon: modalOpen && modalIcon ? { category: modalIcon.category, name: modalIcon.name } : null
+    };
+}
+
+// Write the gallery state to the URL (called by app.js after every change)
+function syncUrlState() {
+    if (applyingUrlState || !window.iconsData || iconsData.length === 0) return;
+
+    const state = getGalleryState();
+    const hash = buildUrlHash(state);
+    if (hash === window.location.hash) return;
+
+    // Search edits replace the current entry; category and modal changes get their own
+    const previous = parseUrlState(window.location.hash);
+    const sameView = previous.category === state.category &&
+        JSON.stringify(previous.icon) === JSON.stringify(state.icon);
+
+    const url = hash || window.location.pathname + window.location.search;
+    if (sameView) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+    lastUrlHash = hash;
+}
+
+// Make the gallery match a URL state
+function applyUrlState(state) {
+    applyingUrlState = true;
+
+    try {
+        const searchInput = document.getElementById('searchInput');
+        searchInput.value = state.search;
+
+        const categoryExists = state.category === 'all' || iconsData.some(icon => icon.category === state.category) ||
+            (typeof getUserCategory === 'function' && getUserCategory(state.category) !== null);
+        selectCategory(categoryExists ? state.category : 'all');
+
+        if (state.icon) {
+            openCopyModal(state.icon.name, state.icon.category);
+            if (!modalIcon || modalIcon.name !== state.icon.name) {
+                closeCopyModal();
+                showNotification(`Icon ${state.icon.name} not found`);
+            }
+        } else if (document.getElementById('copyModal').style.display === 'block') {
+            closeCopyModal();
+        }
+    } finally {
+        applyingUrlState = false;
+    }
+}
+
+// Back/forward or an edited hash
+function handleUrlChange() {
+    if (window.location.hash === lastUrlHash || !window.iconsData || iconsData.length === 0) return;
+
+    lastUrlHash = window.location.hash;
+    applyUrlState(parseUrlState(window.location.hash));
+}
+
+// Called by icon-loader.js once the icons are in, so links can open an icon straight away
+function restoreUrlState() {
+    lastUrlHash = window.location.hash ? null : '';
+    handleUrlChange();
+}
+
+window.addEventListener('popstate', handleUrlChange);
+window.addEventListener('hashchange', handleUrlChange);
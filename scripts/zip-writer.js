@@ -0,0 +1,125 @@
+/**
+ * ========================================
+ * ZIP WRITER
+ * ========================================
+ *
+ * Builds an uncompressed (stored) ZIP archive in memory. SVG icon sets are
+ * small, so skipping compression keeps this dependency-free and fast.
+ *
+ * USAGE:
+ * - Browser: exposes createZip() globally
+ * - Node: require('./scripts/zip-writer.js')
+ *
+ *   const bytes = createZip([{ name: 'icons/icn_home.svg', data: '<svg>...</svg>' }]);
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function() {
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // MS-DOS date and time fields used by ZIP headers
+    function dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Build a ZIP archive from [{ name, data }] where data is a string or Uint8Array.
+     * Returns the archive as a Uint8Array.
+     */
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const stamp = dosDateTime(new Date());
+        const entries = files.map(file => {
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            return { name: encoder.encode(file.name), data, crc: crc32(data) };
+        });
+
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+
+        let offset = 0;
+        entries.forEach(entry => {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034B50, true);          // Local file header signature
+            view.setUint16(offset + 4, 20, true);              // Version needed
+            view.setUint16(offset + 6, 0x0800, true);          // Flags: UTF-8 names
+            view.setUint16(offset + 8, 0, true);               // Method: stored
+            view.setUint16(offset + 10, stamp.time, true);
+            view.setUint16(offset + 12, stamp.date, true);
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint32(offset + 22, entry.data.length, true);
+            view.setUint16(offset + 26, entry.name.length, true);
+            view.setUint16(offset + 28, 0, true);              // Extra field length
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralOffset = offset;
+        entries.forEach(entry => {
+            view.setUint32(offset, 0x02014B50, true);          // Central directory signature
+            view.setUint16(offset + 4, 20, true);              // Version made by
+            view.setUint16(offset + 6, 20, true);              // Version needed
+            view.setUint16(offset + 8, 0x0800, true);          // Flags: UTF-8 names
+            view.setUint16(offset + 10, 0, true);              // Method: stored
+            view.setUint16(offset + 12, stamp.time, true);
+            view.setUint16(offset + 14, stamp.date, true);
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.data.length, true);
+            view.setUint32(offset + 24, entry.data.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            view.setUint16(offset + 30, 0, true);              // Extra field length
+            view.setUint16(offset + 32, 0, true);              // Comment length
+            view.setUint16(offset + 34, 0, true);              // Disk number
+            view.setUint16(offset + 36, 0, true);              // Internal attributes
+            view.setUint32(offset + 38, 0, true);              // External attributes
+            view.setUint32(offset + 42, entry.offset, true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+
+        view.setUint32(offset, 0x06054B50, true);              // End of central directory signature
+        view.setUint16(offset + 8, entries.length, true);      // Entries on this disk
+        view.setUint16(offset + 10, entries.length, true);     // Total entries
+        view.setUint32(offset + 12, offset - centralOffset, true);
+        view.setUint32(offset + 16, centralOffset, true);
+
+        return bytes;
+    }
+
+    return {
+        crc32,
+        createZip
+    };
+});
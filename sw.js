@@ -0,0 +1,238 @@
+/**
+ * ========================================
+ * SERVICE WORKER
+ * ========================================
+ *
+ * Offline support and persistent caching for the gallery.
+ *
+ * - App shell (HTML, CSS, scripts): precached, served from the cache and
+ *   refreshed in the background
+ * - icons-index.json and icons-bundle.json: served from the cache straight
+ *   away and refreshed in the background. Each carries its own version (its
+ *   _generated timestamp), tracked separately as the two are not written at
+ *   the same moment. When a refreshed copy has a new version, open pages are
+ *   sent an icons-updated message naming the file, so they can show what
+ *   changed
+ * - icons-metadata.json, icons-codepoints.json, icons-theme.json and
+ *   icons-hashes.json: served from the cache and refreshed in the background,
+ *   without versions
+ * - Icon SVGs: every cached file is stamped with the version of the index it
+ *   was fetched under; a new bundle on its own does not touch them. Files
+ *   from the current index version are served from the cache; older ones
+ *   are revalidated with a conditional request, so only icons that actually
+ *   changed are downloaded again
+ *
+ * Registered by scripts/offline.js. Bump SHELL_CACHE when the shell file list changes.
+ */
+
+// Only the index and bundle modules are loaded, for INDEX_FILE, BUNDLE_FILE and getIndexMetadata()
+importScripts('scripts/icon-index.js', 'scripts/icon-bundle.js');
+
+const SHELL_CACHE = 'sbg-shell-v13';
+const ICON_CACHE = 'sbg-icons';
+const VERSION_HEADER = 'X-SBG-Index-Version';
+const ICONS_UPDATED_MESSAGE = 'icons-updated';
+
+// The other data files, named as in icon-search.js, icon-font.js, icon-theme.js and icon-similarity.js
+const METADATA_FILE = 'icons-metadata.json';
+const CODEPOINTS_FILE = 'icons-codepoints.json';
+const THEME_FILE = 'icons-theme.json';
+const HASHES_FILE = 'icons-hashes.json';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles/app.css',
+    'scripts/icon-index.js',
+    'scripts/icon-bundle.js',
+    'scripts/icon-colour.js',
+    'scripts/icon-lint.js',
+    'scripts/icon-sanitizer.js',
+    'scripts/icon-search.js',
+    'scripts/icon-runtime.js',
+    'scripts/icon-diff.js',
+    'scripts/icon-export.js',
+    'scripts/icon-codegen.js',
+    'scripts/icon-font.js',
+    'scripts/icon-theme.js',
+    'scripts/icon-optimise.js',
+    'scripts/icon-details.js',
+    'scripts/icon-grid.js',
+    'scripts/zip-writer.js',
+    'scripts/icon-library.js',
+    'scripts/icon-similarity.js',
+    'scripts/icon-contribute.js',
+    'scripts/icon-sources.js',
+    'scripts/icon-loader.js',
+    'scripts/app.js',
+    'scripts/theme.js',
+    'scripts/detail.js',
+    'scripts/library.js',
+    'scripts/contribute.js',
+    'scripts/selection.js',
+    'scripts/keyboard.js',
+    'scripts/url-state.js',
+    'scripts/offline.js',
+    'scripts/tools.js'
+];
+
+// Files whose _generated timestamp is their version - the index's also versions the icon SVGs
+const VERSIONED_FILES = [INDEX_FILE, BUNDLE_FILE];
+const DATA_FILES = [...VERSIONED_FILES, METADATA_FILE, CODEPOINTS_FILE, THEME_FILE, HASHES_FILE];
+
+// Last version seen of each versioned file
+const fileVersions = new Map();
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== ICON_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    const file = url.pathname.split('/').pop();
+    const scopePath = new URL(self.registration.scope).pathname;
+    const relativePath = url.pathname.startsWith(scopePath) ? url.pathname.slice(scopePath.length) : url.pathname;
+
+    if (DATA_FILES.includes(file)) {
+        event.respondWith(handleDataFile(event, file));
+    } else if (relativePath.startsWith('icons/') && file.endsWith('.svg')) {
+        event.respondWith(handleIconFile(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+});
+
+function offlineResponse() {
+    return new Response('Offline and not cached', { status: 503, statusText: 'Offline' });
+}
+
+// Copy a response with the index version it belongs to
+async function stampResponse(response, version) {
+    const headers = new Headers(response.headers);
+    headers.set(VERSION_HEADER, String(version));
+    return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+// A versioned file's current version - remembered, or read back from its cached copy after a restart
+async function getFileVersion(file) {
+    if (fileVersions.has(file)) return fileVersions.get(file);
+
+    const cache = await caches.open(ICON_CACHE);
+    const cached = await cache.match(new URL(file, self.registration.scope).href);
+    if (!cached || !cached.headers.has(VERSION_HEADER)) return null;
+
+    fileVersions.set(file, cached.headers.get(VERSION_HEADER));
+    return fileVersions.get(file);
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+// Serve from the cache, then store the network copy for next time
+async function staleWhileRevalidate(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+
+    const network = fetch(event.request)
+        .then(response => {
+            if (response.ok) return cache.put(event.request, response.clone()).then(() => response);
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(network);
+        return cached;
+    }
+    return (await network) || offlineResponse();
+}
+
+// Index, bundle and metadata - stale-while-revalidate, announcing new index and bundle versions
+async function handleDataFile(event, file) {
+    const cache = await caches.open(ICON_CACHE);
+    const cached = await cache.match(event.request);
+
+    const network = fetch(event.request)
+        .then(async response => {
+            if (!response.ok) return response;
+            if (!VERSIONED_FILES.includes(file)) {
+                await cache.put(event.request, response.clone());
+                return response;
+            }
+
+            const data = await response.clone().json();
+            const version = String(getIndexMetadata(data)._generated || '');
+            const previous = cached ? cached.headers.get(VERSION_HEADER) : await getFileVersion(file);
+
+            await cache.put(event.request, await stampResponse(response.clone(), version));
+
+            if (version !== fileVersions.get(file)) {
+                fileVersions.set(file, version);
+                if (previous !== null && previous !== version) {
+                    notifyClients({ type: ICONS_UPDATED_MESSAGE, file, version, previousVersion: previous });
+                }
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(network);
+        return cached;
+    }
+    return (await network) || offlineResponse();
+}
+
+// Icon SVGs - cache first for the current index version, conditional revalidation otherwise
+async function handleIconFile(request) {
+    const cache = await caches.open(ICON_CACHE);
+    const cached = await cache.match(request);
+    const version = String(await getFileVersion(INDEX_FILE));
+
+    if (cached && cached.headers.get(VERSION_HEADER) === version) return cached;
+
+    const headers = {};
+    if (cached && cached.headers.has('ETag')) headers['If-None-Match'] = cached.headers.get('ETag');
+    if (cached && cached.headers.has('Last-Modified')) headers['If-Modified-Since'] = cached.headers.get('Last-Modified');
+
+    try {
+        const response = await fetch(request.url, { headers });
+
+        // Unchanged since it was cached - keep it and move it to the new version
+        if (response.status === 304 && cached) {
+            const restamped = await stampResponse(cached, version);
+            await cache.put(request, restamped.clone());
+            return restamped;
+        }
+
+        if (response.ok) {
+            const stamped = await stampResponse(response, version);
+            await cache.put(request, stamped.clone());
+            return stamped;
+        }
+
+        if (response.status === 404) await cache.delete(request);
+        return response;
+    } catch (error) {
+        return cached || offlineResponse();
+    }
+}
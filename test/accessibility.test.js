@@ -0,0 +1,134 @@
+/**
+ * Keyboard and screen reader behaviour (keyboard.js and app.js): the grid's
+ * roving tabindex, the copy modal's Escape and focus return, and the live
+ * region notifications are announced in.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { openGallery } = require('./helpers/gallery.js');
+
+// The gallery with a grid of icons, and the clipboard replaced by a list of what was copied
+async function openGrid(t) {
+    const copied = [];
+    const gallery = await openGallery(t, {
+        before: window => Object.defineProperty(window.navigator, 'clipboard', {
+            value: { writeText: async text => copied.push(text) }
+        }),
+        ready: ({ document }) => document.querySelectorAll('#iconsGrid .icon-item').length > 1
+    });
+    return { ...gallery, copied };
+}
+
+function gridItems(gallery) {
+    return Array.from(gallery.document.querySelectorAll('#iconsGrid .icon-item'));
+}
+
+function tabStops(gallery) {
+    return gridItems(gallery).filter(item => item.getAttribute('tabindex') === '0');
+}
+
+function press(gallery, target, key, options = {}) {
+    const event = new gallery.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
+
+describe('grid keyboard navigation', () => {
+    it('makes the grid a single tab stop', async (t) => {
+        const gallery = await openGrid(t);
+        const items = gridItems(gallery);
+
+        assert.deepEqual(tabStops(gallery), [items[0]]);
+        assert.ok(items.slice(1).every(item => item.getAttribute('tabindex') === '-1'));
+    });
+
+    it('moves the tab stop and focus with the arrow keys, Home and End', async (t) => {
+        const gallery = await openGrid(t);
+        const items = gridItems(gallery);
+        items[0].focus();
+
+        assert.equal(press(gallery, items[0], 'ArrowRight').defaultPrevented, true);
+        assert.equal(gallery.document.activeElement, items[1]);
+        assert.deepEqual(tabStops(gallery), [items[1]]);
+
+        press(gallery, items[1], 'ArrowLeft');
+        assert.equal(gallery.document.activeElement, items[0]);
+        assert.deepEqual(tabStops(gallery), [items[0]]);
+
+        // Every mounted item is laid out on one row in jsdom, so End is the last of them
+        press(gallery, items[0], 'End');
+        assert.equal(gallery.document.activeElement, items[items.length - 1]);
+        press(gallery, items[items.length - 1], 'Home');
+        assert.equal(gallery.document.activeElement, items[0]);
+
+        // Nothing before the first icon - the tab stop stays put
+        press(gallery, items[0], 'ArrowLeft');
+        assert.deepEqual(tabStops(gallery), [items[0]]);
+    });
+
+    it('follows focus moved by clicking and keeps the stop on the same icon through a re-render', async (t) => {
+        const gallery = await openGrid(t);
+        const target = gridItems(gallery)[2];
+
+        target.focus();
+        assert.deepEqual(tabStops(gallery), [target]);
+
+        gallery.window.renderIcons();
+        const stops = tabStops(gallery);
+        assert.equal(stops.length, 1);
+        assert.equal(stops[0].dataset.name, target.dataset.name);
+    });
+});
+
+describe('copy modal focus', () => {
+    it('opens on Enter, closes on Escape and returns focus to the icon that opened it', async (t) => {
+        const gallery = await openGrid(t);
+        const { document } = gallery;
+        const modal = document.getElementById('copyModal');
+        const item = gridItems(gallery)[1];
+
+        item.focus();
+        press(gallery, item, 'Enter');
+        assert.equal(modal.style.display, 'block');
+        assert.ok(modal.querySelector('.modal-content').contains(document.activeElement), 'focus moves into the modal');
+
+        assert.equal(press(gallery, document.activeElement, 'Escape').defaultPrevented, true);
+        assert.equal(modal.style.display, 'none');
+        assert.equal(document.activeElement, item);
+    });
+
+    it('returns focus to the same icon when the grid re-rendered while the modal was open', async (t) => {
+        const gallery = await openGrid(t);
+        const { document } = gallery;
+        const item = gridItems(gallery)[3];
+
+        item.focus();
+        press(gallery, item, 'Enter');
+        gallery.window.renderIcons();
+        assert.equal(item.isConnected, false);
+
+        press(gallery, document.activeElement, 'Escape');
+        assert.equal(document.activeElement.dataset.name, item.dataset.name);
+        assert.equal(document.activeElement.isConnected, true);
+    });
+});
+
+describe('announcements', () => {
+    it('announces copies in a polite live region', async (t) => {
+        const gallery = await openGrid(t);
+        const region = gallery.document.getElementById('copyNotification');
+        const item = gridItems(gallery)[0];
+
+        assert.equal(region.getAttribute('role'), 'status');
+        assert.equal(region.getAttribute('aria-live'), 'polite');
+        assert.equal(region.getAttribute('aria-atomic'), 'true');
+
+        item.focus();
+        press(gallery, item, 'Enter');
+        await gallery.window.copyToClipboard('filePath', 'file path');
+
+        assert.equal(region.textContent, 'file path copied to clipboard!');
+        assert.deepEqual(gallery.copied, [gallery.document.getElementById('filePath').textContent]);
+    });
+});
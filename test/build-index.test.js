@@ -0,0 +1,119 @@
+/**
+ * tools/build-index.js --check on a small copy of the repository: the
+ * index, the bundle and the sprites all have to match the icons.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const ICONS = ['icn_home', 'icn_car'];
+
+let repo;
+
+function run(tool, ...args) {
+    return spawnSync(process.execPath, [path.join(repo, 'tools', tool), ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+function check() {
+    const result = run('build-index.js', '--check');
+    return { ok: result.status === 0, output: result.stdout + result.stderr };
+}
+
+function edit(file, change) {
+    const filePath = path.join(repo, file);
+    fs.writeFileSync(filePath, change(fs.readFileSync(filePath, 'utf8')));
+}
+
+// Build a fresh index, bundle and sprites
+function build() {
+    execFileSync(process.execPath, [path.join(repo, 'tools', 'build-index.js')], { timeout: 60000 });
+    execFileSync(process.execPath, [path.join(repo, 'tools', 'build-bundle.js')], { timeout: 60000 });
+}
+
+before(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'sbg-icons-'));
+    fs.cpSync(path.join(ROOT, 'tools'), path.join(repo, 'tools'), { recursive: true });
+    fs.cpSync(path.join(ROOT, 'scripts'), path.join(repo, 'scripts'), { recursive: true });
+
+    ['grey', 'blue-default'].forEach(category => {
+        fs.mkdirSync(path.join(repo, 'icons', category), { recursive: true });
+        ICONS.forEach((name, i) => fs.writeFileSync(path.join(repo, 'icons', category, `${name}.svg`),
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><rect width="${i + 1}" height="4"/></svg>\n`));
+    });
+});
+
+after(() => fs.rmSync(repo, { recursive: true, force: true }));
+
+describe('build-index --check', () => {
+    it('passes when the index, bundle and sprites were just built', () => {
+        build();
+        const result = check();
+        assert.ok(result.ok, result.output);
+        assert.match(result.output, /icons-index\.json, icons-bundle\.json and the sprites match icons\/ \(4 icons\)/);
+    });
+
+    it('fails when an icon changed after the bundle was built', () => {
+        build();
+        edit('icons/grey/icn_home.svg', svg => svg.replace('height="4"', 'height="5"'));
+        run('build-index.js');
+
+        const result = check();
+        assert.equal(result.ok, false);
+        assert.match(result.output, /1 files changed since icons-bundle\.json was built/);
+        assert.match(result.output, /icons-bundle\.json entries with out-of-date SVG markup/);
+        assert.match(result.output, /sprites\/grey\.svg doesn't match the grey icons/);
+        assert.doesNotMatch(result.output, /blue-default\.svg/);
+
+        run('build-bundle.js');
+        assert.ok(check().ok);
+    });
+
+    it('fails when the bundle is missing an icon', () => {
+        build();
+        edit('icons-bundle.json', text => JSON.stringify(JSON.parse(text).filter(entry => entry.name !== 'icn_car')));
+
+        const result = check();
+        assert.equal(result.ok, false);
+        assert.match(result.output, /2 icons on disk missing from icons-bundle\.json/);
+        assert.match(result.output, /_totalIcons is 4 but icons-bundle\.json lists 2 icons/);
+    });
+
+    it('fails when the bundle is older than the index', () => {
+        build();
+        edit('icons-bundle.json', text => {
+            const data = JSON.parse(text);
+            data[0]._generated -= 60000;
+            return JSON.stringify(data);
+        });
+
+        const result = check();
+        assert.equal(result.ok, false);
+        assert.match(result.output, /icons-bundle\.json \(_generated \d+\) was built before icons-index\.json/);
+
+        run('build-bundle.js');
+        assert.ok(check().ok, 'build-bundle.js rewrites a bundle older than the index');
+    });
+
+    it('fails when a sprite was edited by hand', () => {
+        build();
+        edit('sprites/blue-default.svg', svg => svg.replace('<symbol id="icn_car"', '<symbol id="icn_lorry"'));
+
+        const result = check();
+        assert.equal(result.ok, false);
+        assert.match(result.output, /sprites\/blue-default\.svg doesn't match the blue-default icons/);
+    });
+
+    it('fails without a bundle', () => {
+        build();
+        fs.rmSync(path.join(repo, 'icons-bundle.json'));
+
+        const result = check();
+        assert.equal(result.ok, false);
+        assert.match(result.output, /icons-bundle\.json is missing or unreadable/);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Contributions (icon-contribute.js): what keeps a dropped SVG out, and the
+ * ZIP the accepted ones are packed into, checked with unzip.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getIndexEntries } = require('../scripts/icon-index.js');
+const { createZip } = require('../scripts/zip-writer.js');
+const {
+    createContribution,
+    isAcceptedContribution,
+    addContributionVariants,
+    buildContributionFiles
+} = require('../scripts/icon-contribute.js');
+
+const ICONS = getIndexEntries(require('../icons-index.json'));
+
+const svg = (fill, extra = '') =>
+    `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">${extra}<path d="M4 4h16v16H4z" fill="${fill}"/></svg>`;
+
+const errors = contribution => contribution.issues.filter(item => item.severity === 'error').map(item => item.rule);
+
+describe('contribution checks', () => {
+    it('accepts a snake_case icn_ name drawn in one palette', () => {
+        const contribution = createContribution('icn_rocket.svg', svg('#0033AA'), ICONS);
+
+        assert.equal(contribution.name, 'icn_rocket');
+        assert.equal(contribution.category, 'blue-default');
+        assert.deepEqual(contribution.issues, []);
+        assert.equal(isAcceptedContribution(contribution), true);
+    });
+
+    it('rejects names that do not follow the naming rule', () => {
+        ['Rocket.svg', 'icn_Rocket.svg', 'icn_rocket ship.svg'].forEach(fileName => {
+            const contribution = createContribution(fileName, svg('#0033AA'), ICONS);
+            assert.deepEqual(errors(contribution), ['naming'], fileName);
+            assert.equal(isAcceptedContribution(contribution), false);
+        });
+    });
+
+    it('rejects colours outside the palettes', () => {
+        const unknown = createContribution('icn_rocket.svg', svg('#FF0000'), ICONS);
+        assert.equal(unknown.category, null);
+        assert.deepEqual(errors(unknown), ['palette']);
+
+        const mixed = createContribution('icn_rocket.svg', svg('#0033AA', '<circle r="2" fill="#FF0000"/>'), ICONS);
+        assert.equal(mixed.category, 'blue-default');
+        assert.deepEqual(errors(mixed), ['palette']);
+        assert.match(mixed.issues[0].message, /Uses #FF0000/);
+    });
+
+    it('rejects unsafe SVGs', () => {
+        [
+            '<script>alert(1)</script>',
+            '<foreignObject><div/></foreignObject>',
+            '<rect onclick="alert(1)"/>',
+            '<image href="https://example.com/x.png"/>'
+        ].forEach(extra => {
+            const contribution = createContribution('icn_rocket.svg', svg('#0033AA', extra), ICONS);
+            assert.deepEqual(errors(contribution), ['unsafe-content'], extra);
+        });
+    });
+
+    it('rejects an icon that already exists in the same colour', () => {
+        const contribution = createContribution('icn_home.svg', svg('#0033AA'), ICONS);
+        assert.deepEqual(errors(contribution), ['duplicate-name']);
+        assert.equal(contribution.issues[0].message, 'blue-default/icn_home already exists');
+    });
+});
+
+describe('contribution ZIP', () => {
+    it('holds the SVGs and an icons-index.json with the new entries', (t) => {
+        const contributions = addContributionVariants([
+            createContribution('icn_rocket.svg', svg('#0033AA'), ICONS),
+            createContribution('Bad Name.svg', svg('#0033AA'), ICONS)
+        ], ICONS);
+        assert.deepEqual(contributions.map(contribution => `${contribution.category}/${contribution.name}`), ['blue-default/icn_rocket', 'grey/icn_rocket']);
+
+        const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sbg-contribute-'));
+        t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+        const zip = path.join(folder, 'contribution.zip');
+        fs.writeFileSync(zip, createZip(buildContributionFiles(contributions, ICONS)));
+
+        const unzip = (...args) => execFileSync('unzip', [...args], { encoding: 'utf8', timeout: 30000 });
+        assert.match(unzip('-t', zip), /No errors detected/);
+        assert.deepEqual(unzip('-Z1', zip).trim().split('\n'), [
+            'icons/blue-default/icn_rocket.svg',
+            'icons/grey/icn_rocket.svg',
+            'icons-index.json'
+        ]);
+
+        assert.equal(unzip('-p', zip, 'icons/blue-default/icn_rocket.svg'), contributions[0].svg);
+        assert.match(unzip('-p', zip, 'icons/grey/icn_rocket.svg'), /fill="#F8F8FA"/);
+
+        const index = getIndexEntries(JSON.parse(unzip('-p', zip, 'icons-index.json')));
+        assert.equal(index.length, ICONS.length + 2);
+        const added = index.filter(icon => icon.name === 'icn_rocket');
+        assert.deepEqual(added.map(icon => icon.path), ['icons/blue-default/icn_rocket.svg', 'icons/grey/icn_rocket.svg']);
+        added.forEach(icon => assert.match(icon.hash, /^[0-9a-f]+$/));
+    });
+});
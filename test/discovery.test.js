@@ -0,0 +1,164 @@
+/**
+ * The pure functions behind discovery and the gallery view: listing and
+ * GitHub parsing (icon-sources.js), index handling (icon-index.js),
+ * category variants, search filtering and copy snippets.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseListingFolders,
+    parseListingFiles,
+    getGitHubRepository,
+    getGitHubContentsUrl,
+    parseGitHubFolders,
+    parseGitHubFiles
+} = require('../scripts/icon-sources.js');
+const {
+    generateIndexFile,
+    getIndexMetadata,
+    getIndexEntries,
+    isIndexStale,
+    findIndexDrift,
+    hasIndexDrift,
+    getIconFileInfo
+} = require('../scripts/icon-index.js');
+const { getCategoryVariants } = require('../scripts/icon-colour.js');
+const { filterIconsByQuery } = require('../scripts/icon-search.js');
+const { generateIconSnippets } = require('../scripts/icon-codegen.js');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('directory listings', () => {
+    const listing = `
+        <a href="../">Parent</a>
+        <a href="grey/">grey/</a>
+        <a href="blue-default/">blue-default/</a>
+        <a href="/icons/elsewhere/">absolute</a>
+        <a href="?C=N;O=D">Name</a>
+        <a href="icn_home.svg">icn_home.svg</a>
+        <a href="/icons/grey/icn%20car.svg">icn car.svg</a>
+        <a href="notes.txt">notes.txt</a>`;
+
+    it('finds the category folders, skipping the parent and absolute links', () => {
+        assert.deepEqual(parseListingFolders(listing), ['grey', 'blue-default']);
+    });
+
+    it('finds the SVG files by name, decoded', () => {
+        assert.deepEqual(parseListingFiles(listing), ['icn_home.svg', 'icn car.svg']);
+    });
+});
+
+describe('GitHub discovery', () => {
+    it('works out the repository from a GitHub Pages address', () => {
+        assert.deepEqual(getGitHubRepository({}, { hostname: 'sbg.github.io', pathname: '/icons-lib/index.html' }),
+            { owner: 'sbg', repo: 'icons-lib' });
+        assert.deepEqual(getGitHubRepository({}, { hostname: 'sbg.github.io', pathname: '/' }),
+            { owner: 'sbg', repo: 'sbg.github.io' });
+    });
+
+    it('prefers the configured owner and repo, and gives up without an owner', () => {
+        assert.deepEqual(getGitHubRepository({ owner: 'me', repo: 'mine' }, { hostname: 'sbg.github.io', pathname: '/icons-lib/' }),
+            { owner: 'me', repo: 'mine' });
+        assert.equal(getGitHubRepository({}, { hostname: 'localhost', pathname: '/' }), null);
+    });
+
+    it('builds contents API URLs, with the branch as ref', () => {
+        const repository = { owner: 'sbg', repo: 'icons-lib' };
+        assert.equal(getGitHubContentsUrl(repository, 'icons'), 'https://api.github.com/repos/sbg/icons-lib/contents/icons');
+        assert.equal(getGitHubContentsUrl(repository, 'icons/grey', 'feature/new'),
+            'https://api.github.com/repos/sbg/icons-lib/contents/icons/grey?ref=feature%2Fnew');
+    });
+
+    it('reads folders and SVG files from contents listings', () => {
+        const contents = [
+            { type: 'dir', name: 'grey' },
+            { type: 'file', name: 'README.md', download_url: 'https://raw/README.md' },
+            { type: 'file', name: 'icn_home.svg', download_url: 'https://raw/icn_home.svg' }
+        ];
+        assert.deepEqual(parseGitHubFolders(contents), ['grey']);
+        assert.deepEqual(parseGitHubFiles(contents, 'grey', 'icons'), [
+            { name: 'icn_home', category: 'grey', path: 'icons/grey/icn_home.svg', sourceUrl: 'https://raw/icn_home.svg' }
+        ]);
+    });
+});
+
+describe('the icon index', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M0 0h24v24H0z"/></svg>';
+    const icons = [
+        { name: 'icn_home', category: 'grey', path: 'icons/grey/icn_home.svg', ...getIconFileInfo(svg) },
+        { name: 'icn_car', category: 'grey', path: 'icons/grey/icn_car.svg', ...getIconFileInfo(svg) }
+    ];
+
+    it('round-trips icons through the generated file', () => {
+        const indexData = JSON.parse(generateIndexFile(icons));
+        assert.equal(getIndexMetadata(indexData)._totalIcons, 2);
+        assert.deepEqual(getIndexEntries(indexData), icons);
+        assert.equal(hasIndexDrift(findIndexDrift(indexData, icons)), false);
+    });
+
+    it('is stale once it is older than the maximum age', () => {
+        const now = Date.now();
+        assert.equal(isIndexStale([{ _generated: now - 25 * HOUR }], { now }), true);
+        assert.equal(isIndexStale([{ _generated: now - 23 * HOUR }], { now }), false);
+        assert.equal(isIndexStale([{ _generated: now - 2 * HOUR }], { now, maxAgeHours: 1 }), true);
+    });
+
+    it('is never stale when written by hand', () => {
+        assert.equal(isIndexStale(icons), false);
+    });
+
+    it('reports added, missing and changed files and a wrong total', () => {
+        const indexData = JSON.parse(generateIndexFile(icons));
+        indexData[0]._totalIcons = 5;
+        const actual = [
+            { ...icons[0], hash: 'changed' },
+            { name: 'icn_new', category: 'grey', path: 'icons/grey/icn_new.svg' }
+        ];
+
+        assert.deepEqual(findIndexDrift(indexData, actual), {
+            missingFromIndex: ['icons/grey/icn_new.svg'],
+            missingFiles: ['icons/grey/icn_car.svg'],
+            changedFiles: ['icons/grey/icn_home.svg'],
+            totalMismatch: { recorded: 5, actual: 2 }
+        });
+    });
+});
+
+describe('gallery view helpers', () => {
+    const icons = [
+        { name: 'icn_home', category: 'grey' },
+        { name: 'icn_home', category: 'blue-default' },
+        { name: 'icn_car', category: 'blue-default' }
+    ];
+
+    it('picks one variant per icon for a category filter', () => {
+        assert.deepEqual(getCategoryVariants(icons, 'blue-default'), [icons[1], icons[2]]);
+        assert.deepEqual(getCategoryVariants(icons, 'grey'), [icons[0]]);
+        assert.deepEqual(getCategoryVariants(icons, 'all'), [icons[0], icons[2]]);
+    });
+
+    it('keeps every icon for an empty query', () => {
+        const result = filterIconsByQuery(icons, '  ');
+        assert.equal(result.icons, icons);
+        assert.equal(result.highlights.size, 0);
+    });
+
+    it('narrows to matches and returns the ranges to highlight', () => {
+        const result = filterIconsByQuery(icons.slice(1), 'home');
+        assert.deepEqual(result.icons, [icons[1]]);
+        assert.deepEqual(result.highlights.get(icons[1]), [[4, 8]]);
+    });
+
+    it('generates labelled snippets, without the SVG until it has loaded', () => {
+        const icon = { name: 'icn_home', category: 'grey', path: 'icons/grey/icn_home.svg' };
+        const snippets = generateIconSnippets(icon, '<svg viewBox="0 0 24 24"><path d="M0"/></svg>', 'Home');
+
+        assert.equal(snippets.svg, '<svg role="img" aria-label="Home" viewBox="0 0 24 24"><title>Home</title><path d="M0"/></svg>');
+        assert.equal(snippets.path, 'icons/grey/icn_home.svg');
+        assert.equal(snippets.img, '<img src="icons/grey/icn_home.svg" alt="Home" />');
+        assert.match(snippets.sprite, /<use href="sprites\/grey\.svg#icn_home">/);
+        assert.match(snippets.font, /class="sbg-icon-home"/);
+        assert.equal(generateIconSnippets(icon, null, 'Home').svg, null);
+    });
+});
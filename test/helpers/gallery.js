@@ -0,0 +1,137 @@
+/**
+ * Loads index.html and its scripts into jsdom, with every request the page
+ * makes answered by a stand-in server (see server.js) - including the
+ * GitHub API, which is served from the same place.
+ *
+ *   const gallery = await loadGallery({ server, url: 'http://sbg.github.io/icons/' });
+ *   await waitFor(() => gallery.window.iconsData.length > 0);
+ *   gallery.logs  // everything the page logged, as strings
+ *   gallery.close();
+ *
+ * In a test, openGallery(t) does all of that - server included - and
+ * cleans up when the test ends.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { ROOT, startServer } = require('./server.js');
+
+// Resolves once check() returns something truthy; rejects after timeout ms
+function waitFor(check, timeout = 15000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            let value;
+            try {
+                value = check();
+            } catch (error) {
+                value = null;
+            }
+            if (value) return resolve(value);
+            if (Date.now() - started > timeout) return reject(new Error(`Timed out after ${timeout}ms waiting for ${check}`));
+            setTimeout(poll, 25);
+        };
+        poll();
+    });
+}
+
+// Send a page's requests to the stand-in server, keeping the path and query
+function proxyFetch(server, log) {
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    const pending = new Set();
+    const proxied = (url, init = {}) => {
+        const target = new URL(String(url));
+        log.push(target.href);
+        const request = fetch(`${origin}${target.pathname}${target.search}`, { signal: init.signal })
+            .then(async response => {
+                // Read the body before the page sees it, so nothing is left in flight on close
+                const body = await response.arrayBuffer();
+                return new Response(body, { status: response.status, headers: response.headers });
+            });
+        pending.add(request);
+        request.catch(() => {}).finally(() => pending.delete(request));
+        return request;
+    };
+    proxied.settled = () => Promise.allSettled([...pending]);
+    return proxied;
+}
+
+/**
+ * Options:
+ * - server: the stand-in server (required)
+ * - url: the page's address (default http://localhost/index.html)
+ * - before(window): runs before the scripts, e.g. to register sources
+ */
+async function loadGallery({ server, url = 'http://localhost/index.html', before } = {}) {
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'), {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+    const logs = [];
+    const requests = [];
+
+    const record = (...args) => logs.push(args.map(String).join(' '));
+    window.console = { log: record, info: record, warn: record, error: record, clear() {} };
+    window.fetch = proxyFetch(server, requests);
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+    if (before) before(window);
+
+    const context = dom.getInternalVMContext();
+    window.document.querySelectorAll('script[src]').forEach(script => {
+        const src = script.getAttribute('src');
+        new vm.Script(fs.readFileSync(path.join(ROOT, src), 'utf8'), { filename: src }).runInContext(context);
+    });
+    // jsdom fires DOMContentLoaded itself once the scripts above have queued their listeners
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    }
+
+    // Let requests already made finish before the window goes, then stop the page making more
+    const close = async () => {
+        const settled = window.fetch.settled || (() => Promise.resolve());
+        window.fetch = () => new Promise(() => {});
+        await settled();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        window.close();
+    };
+
+    return { window, document: window.document, logs, requests, close };
+}
+
+/**
+ * Serve the repository, open the gallery and wait until ready(gallery) - by
+ * default, until it has icons or gave up finding any. Closed when test t
+ * ends. Options:
+ * - hide, files: passed to startServer()
+ * - url, before: passed to loadGallery()
+ * - ready(gallery): what to wait for
+ * Adds results (every icon-source-result) and status(source) to the gallery.
+ */
+async function openGallery(t, { hide, files, url, before, ready } = {}) {
+    const server = await startServer({ hide, files });
+    const results = [];
+    const gallery = await loadGallery({
+        server,
+        url,
+        before: window => {
+            window.addEventListener('icon-source-result', e => results.push(e.detail));
+            if (before) before(window);
+        }
+    });
+    t.after(async () => {
+        await gallery.close();
+        server.close();
+    });
+
+    const opened = { ...gallery, results, status: name => (results.find(result => result.source === name) || {}).status };
+    await waitFor(() => ready ? ready(opened) : (gallery.window.iconsData.length > 0 ||
+        gallery.document.getElementById('iconsGrid').textContent.includes('No Icons')));
+    return opened;
+}
+
+module.exports = { loadGallery, openGallery, waitFor };
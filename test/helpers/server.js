@@ -0,0 +1,71 @@
+/**
+ * Local stand-in for the places the gallery reads icons from: the
+ * repository as static files with directory listing pages, a fake GitHub
+ * contents API (/repos/<owner>/<repo>/contents/<path>, with download URLs
+ * under /raw/) and a /slow route that takes 3 seconds to answer.
+ *
+ *   const server = await startServer({ hide: ['icons-bundle.json'], files: { 'icons-index.json': '[]' } });
+ *
+ * hide: paths ending in one of these answer 404
+ * files: paths (from the repository root) served with this content instead
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function listDirectory(dir) {
+    const links = fs.readdirSync(dir, { withFileTypes: true }).map(entry =>
+        `<li><a href="${encodeURIComponent(entry.name)}${entry.isDirectory() ? '/' : ''}">${entry.name}</a></li>`);
+    return `<html><body><ul><li><a href="../">../</a></li>${links.join('')}</ul></body></html>`;
+}
+
+function startServer({ hide = [], files = {} } = {}) {
+    const server = http.createServer((req, res) => {
+        const requested = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        const relative = requested.replace(/^\/+/, '');
+
+        if (requested.startsWith('/slow')) {
+            setTimeout(() => res.end('[]'), 3000);
+            return;
+        }
+
+        const contents = /^\/repos\/[^/]+\/[^/]+\/contents\/(.*)$/.exec(requested);
+        if (contents) {
+            const dir = path.join(ROOT, contents[1]);
+            if (!fs.existsSync(dir)) {
+                res.statusCode = 404;
+                return res.end('{}');
+            }
+            const items = fs.readdirSync(dir, { withFileTypes: true }).map(entry => ({
+                name: entry.name,
+                type: entry.isDirectory() ? 'dir' : 'file',
+                download_url: `http://127.0.0.1:${server.address().port}/raw/${contents[1]}/${entry.name}`
+            }));
+            res.setHeader('content-type', 'application/json');
+            return res.end(JSON.stringify(items));
+        }
+
+        const file = path.join(ROOT, requested.startsWith('/raw/') ? requested.slice(5) : requested);
+        if (hide.some(hidden => requested.endsWith(hidden))) {
+            res.statusCode = 404;
+            return res.end('Not found');
+        }
+        if (files[relative] !== undefined) return res.end(files[relative]);
+        if (!file.startsWith(ROOT) || !fs.existsSync(file)) {
+            res.statusCode = 404;
+            return res.end('Not found');
+        }
+        if (fs.statSync(file).isDirectory()) {
+            res.setHeader('content-type', 'text/html');
+            return res.end(listDirectory(file));
+        }
+        res.end(fs.readFileSync(file));
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+module.exports = { ROOT, startServer };
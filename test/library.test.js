@@ -0,0 +1,159 @@
+/**
+ * Favourites, recent copies and collections (icon-library.js): every change
+ * returns a new library, and collections survive an export and import.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createLibrary,
+    isFavourite,
+    toggleFavourite,
+    addRecentCopy,
+    findCollection,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    addToCollection,
+    removeFromCollection,
+    exportLibrary,
+    parseLibraryImport,
+    mergeLibraryImport,
+    getLibraryCategories
+} = require('../scripts/icon-library.js');
+
+const HOME = { name: 'icn_home', category: 'grey', path: 'icons/grey/icn_home.svg' };
+const HOME_BLUE = { name: 'icn_home', category: 'blue-default', path: 'icons/blue-default/icn_home.svg' };
+const CAR = { name: 'icn_car', category: 'grey', path: 'icons/grey/icn_car.svg' };
+
+const names = refs => refs.map(ref => `${ref.category}/${ref.name}`);
+
+describe('favourites and recent copies', () => {
+    it('adds a favourite by reference and takes it out again', () => {
+        const library = createLibrary();
+        const added = toggleFavourite(library, HOME);
+
+        assert.deepEqual(added.favourites, [{ name: 'icn_home', category: 'grey' }]);
+        assert.equal(isFavourite(added, HOME), true);
+        assert.equal(isFavourite(added, HOME_BLUE), false, 'each variant is its own favourite');
+        assert.deepEqual(library.favourites, [], 'the library given is left alone');
+
+        assert.deepEqual(toggleFavourite(added, HOME).favourites, []);
+    });
+
+    it('keeps one recent copy per icon, newest first', () => {
+        let library = createLibrary();
+        library = addRecentCopy(library, HOME, 'svg', 1);
+        library = addRecentCopy(library, CAR, 'path', 2);
+        library = addRecentCopy(library, HOME, 'react', 3);
+
+        assert.deepEqual(library.recent.map(ref => [ref.name, ref.type, ref.copiedAt]), [
+            ['icn_home', 'react', 3],
+            ['icn_car', 'path', 2]
+        ]);
+    });
+});
+
+describe('collections', () => {
+    it('adds icons once each and removes them', () => {
+        let library = createCollection(createLibrary(), '  Payments ');
+        library = addToCollection(library, 'Payments', [HOME, CAR, HOME]);
+        library = addToCollection(library, 'Payments', [CAR, HOME_BLUE]);
+
+        assert.deepEqual(names(findCollection(library, 'Payments').icons), ['grey/icn_home', 'grey/icn_car', 'blue-default/icn_home']);
+
+        const removed = removeFromCollection(library, 'Payments', CAR);
+        assert.deepEqual(names(findCollection(removed, 'Payments').icons), ['grey/icn_home', 'blue-default/icn_home']);
+        assert.equal(findCollection(library, 'Payments').icons.length, 3, 'the library given is left alone');
+
+        assert.equal(findCollection(deleteCollection(library, 'Payments'), 'Payments'), null);
+    });
+
+    it('refuses collections without a name or with one already taken', () => {
+        const library = createCollection(createLibrary(), 'Payments');
+
+        assert.throws(() => createCollection(library, '   '), /needs a name/);
+        assert.throws(() => createCollection(library, 'Payments'), /already a collection called "Payments"/);
+        assert.throws(() => addToCollection(library, 'Travel', [HOME]), /No collection called "Travel"/);
+    });
+
+    it('renames a collection, keeping its icons and its place', () => {
+        let library = createCollection(createLibrary(), 'Payments');
+        library = createCollection(library, 'Travel');
+        library = addToCollection(library, 'Payments', [HOME, CAR]);
+
+        const renamed = renameCollection(library, 'Payments', ' Money ');
+        assert.deepEqual(renamed.collections.map(collection => collection.name), ['Money', 'Travel']);
+        assert.deepEqual(names(findCollection(renamed, 'Money').icons), ['grey/icn_home', 'grey/icn_car']);
+        assert.equal(findCollection(renamed, 'Payments'), null);
+        assert.deepEqual(getLibraryCategories(renamed).map(category => category.id), ['@collection:Money', '@collection:Travel']);
+
+        assert.ok(findCollection(library, 'Payments'), 'the library given is left alone');
+        assert.deepEqual(renameCollection(library, 'Payments', 'Payments'), library);
+    });
+
+    it('refuses a rename to an empty or taken name, or of a missing collection', () => {
+        let library = createCollection(createLibrary(), 'Payments');
+        library = createCollection(library, 'Travel');
+
+        assert.throws(() => renameCollection(library, 'Payments', ''), /needs a name/);
+        assert.throws(() => renameCollection(library, 'Payments', 'Travel'), /already a collection called "Travel"/);
+        assert.throws(() => renameCollection(library, 'Food', 'Meals'), /No collection called "Food"/);
+    });
+});
+
+describe('import and export', () => {
+    it('rejects files that are not library exports', () => {
+        assert.throws(() => parseLibraryImport('{"format": "sbg-icon-library",'), /^Error: Not valid JSON: /);
+        assert.throws(() => parseLibraryImport(''), /Not valid JSON/);
+        assert.throws(() => parseLibraryImport('[]'), /Not an sbg-icon-library file/);
+        assert.throws(() => parseLibraryImport('{"format": "sbg-icon-library", "version": 2}'), /newer version of the gallery \(version 2\)/);
+        assert.throws(() => parseLibraryImport(JSON.stringify({
+            format: 'sbg-icon-library',
+            collections: [{ name: 'Payments', icons: [{ name: 'icn_home' }] }]
+        })), /Collection "Payments", item 1: needs a name and a category/);
+        assert.throws(() => parseLibraryImport(JSON.stringify({
+            format: 'sbg-icon-library',
+            favourites: 'icn_home'
+        })), /Favourites should be a list of icons/);
+    });
+
+    it('reads back what it exported', () => {
+        let library = toggleFavourite(createLibrary(), CAR);
+        library = addRecentCopy(library, HOME, 'svg');
+        library = createCollection(library, 'Payments');
+        library = createCollection(library, 'Travel');
+        library = addToCollection(library, 'Payments', [HOME, HOME_BLUE]);
+        library = addToCollection(library, 'Travel', [CAR]);
+
+        const imported = parseLibraryImport(exportLibrary(library));
+        assert.deepEqual(imported, {
+            favourites: [{ name: 'icn_car', category: 'grey' }],
+            collections: [
+                { name: 'Payments', icons: [{ name: 'icn_home', category: 'grey' }, { name: 'icn_home', category: 'blue-default' }] },
+                { name: 'Travel', icons: [{ name: 'icn_car', category: 'grey' }] }
+            ]
+        });
+
+        const merged = mergeLibraryImport(createLibrary(), imported);
+        assert.deepEqual(merged.favourites, library.favourites);
+        assert.deepEqual(merged.collections, library.collections);
+        assert.deepEqual(merged.recent, [], 'recent copies are not exported');
+    });
+
+    it('exports just the named collections, and merges an import into collections of the same name', () => {
+        let library = toggleFavourite(createLibrary(), CAR);
+        library = createCollection(library, 'Payments');
+        library = createCollection(library, 'Travel');
+        library = addToCollection(library, 'Payments', [HOME]);
+
+        const shared = parseLibraryImport(exportLibrary(library, { collections: ['Payments'] }));
+        assert.deepEqual(shared.favourites, []);
+        assert.deepEqual(shared.collections.map(collection => collection.name), ['Payments']);
+
+        let theirs = createCollection(createLibrary(), 'Payments');
+        theirs = addToCollection(theirs, 'Payments', [CAR, HOME]);
+        const merged = mergeLibraryImport(theirs, shared);
+        assert.deepEqual(names(findCollection(merged, 'Payments').icons), ['grey/icn_car', 'grey/icn_home']);
+    });
+});
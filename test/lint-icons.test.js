@@ -0,0 +1,25 @@
+/**
+ * tools/lint-icons.js as CI runs it: the --json report read through a pipe.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const TOOL = path.join(__dirname, '..', 'tools', 'lint-icons.js');
+
+describe('lint-icons --json', () => {
+    it('writes the whole report to a pipe that is slow to be read', () => {
+        // The reader only starts once the tool has filled the pipe and finished linting
+        const stdout = execFileSync('sh', ['-c', `"${process.execPath}" "${TOOL}" --json | (sleep 1; cat)`], {
+            encoding: 'utf8',
+            maxBuffer: 16 * 1024 * 1024,
+            timeout: 60000
+        });
+        const report = JSON.parse(stdout);
+
+        assert.ok(stdout.length > 131072, 'larger than the pipe buffer');
+        assert.equal(report.results.length, report.summary.icons);
+    });
+});
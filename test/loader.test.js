@@ -0,0 +1,156 @@
+/**
+ * The gallery loading end to end (icon-loader.js initializeIconLibrary):
+ * each discovery path against the stand-in server, stale and broken
+ * indexes, icons whose files are missing and the empty state.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { openGallery, waitFor } = require('./helpers/gallery.js');
+const { getIndexEntries } = require('../scripts/icon-index.js');
+
+const INDEX_ENTRIES = getIndexEntries(require('../icons-index.json'));
+
+function indexFile(entries, generated = Date.now()) {
+    return JSON.stringify([{ _generated: generated, _totalIcons: entries.length }, ...entries]);
+}
+
+describe('discovery paths', () => {
+    it('reads every SVG from the prebuilt bundle first', async (t) => {
+        const gallery = await openGallery(t);
+
+        assert.equal(gallery.status('bundle'), 'success');
+        assert.equal(gallery.window.iconsData.length, INDEX_ENTRIES.length);
+        assert.ok(gallery.window.iconsData.every(icon => icon.svg));
+        assert.ok(!gallery.requests.some(url => url.includes('/icons/')), 'no SVG files requested');
+    });
+
+    it('starts a normal discovery on DOMContentLoaded, not one configured by the event', async (t) => {
+        // Anything the event carried would otherwise be read as initializeIconLibrary() options
+        const gallery = await openGallery(t, {
+            before: window => window.document.addEventListener('DOMContentLoaded', event =>
+                Object.defineProperty(event, 'fresh', { value: true, enumerable: true }))
+        });
+
+        assert.equal(gallery.status('bundle'), 'success');
+    });
+
+    it('falls back to icons-index.json when there is no bundle', async (t) => {
+        const gallery = await openGallery(t, { hide: ['icons-bundle.json'] });
+
+        assert.equal(gallery.status('bundle'), 'empty');
+        assert.equal(gallery.status('index'), 'success');
+        assert.deepEqual(
+            Array.from(gallery.window.iconsData, icon => icon.path).sort(),
+            INDEX_ENTRIES.map(entry => entry.path).sort()
+        );
+    });
+
+    it('lists the repository a GitHub Pages site is served from', async (t) => {
+        const gallery = await openGallery(t, {
+            url: 'http://sbg.github.io/icons-lib/index.html',
+            hide: ['icons-bundle.json', 'icons-index.json']
+        });
+
+        assert.equal(gallery.status('github'), 'success');
+        assert.ok(gallery.requests.includes('https://api.github.com/repos/sbg/icons-lib/contents/icons'));
+        assert.equal(gallery.window.iconsData.length, INDEX_ENTRIES.length);
+        assert.deepEqual([...new Set(gallery.window.iconsData.map(icon => icon.category))].sort(), ['blue-default', 'grey']);
+
+        // SVGs come from the API's download URLs
+        const icon = gallery.window.iconsData[0];
+        assert.match(icon.sourceUrl, /\/raw\/icons\//);
+        await waitFor(() => icon.svg);
+    });
+
+    it('reads directory listing pages elsewhere', async (t) => {
+        const gallery = await openGallery(t, { hide: ['icons-bundle.json', 'icons-index.json'] });
+
+        assert.equal(gallery.status('github'), 'empty');
+        assert.equal(gallery.status('directory-listing'), 'success');
+        assert.equal(gallery.window.iconsData.length, INDEX_ENTRIES.length);
+    });
+});
+
+describe('index problems', () => {
+    it('loads a stale index but says it should be checked', async (t) => {
+        const entries = INDEX_ENTRIES.slice(0, 4);
+        const gallery = await openGallery(t, {
+            hide: ['icons-bundle.json'],
+            files: { 'icons-index.json': indexFile(entries, Date.now() - 48 * 60 * 60 * 1000) }
+        });
+
+        assert.equal(gallery.status('index'), 'success');
+        assert.equal(gallery.window.iconsData.length, entries.length);
+        assert.ok(gallery.logs.some(line => line.includes('icons-index.json is over 24 hours old')));
+    });
+
+    it('does not warn about a fresh index', async (t) => {
+        const gallery = await openGallery(t, {
+            hide: ['icons-bundle.json'],
+            files: { 'icons-index.json': indexFile(INDEX_ENTRIES.slice(0, 4)) }
+        });
+
+        assert.ok(!gallery.logs.some(line => line.includes('hours old')));
+    });
+
+    it('moves on to the next source when the index is not valid JSON', async (t) => {
+        const gallery = await openGallery(t, {
+            hide: ['icons-bundle.json'],
+            files: { 'icons-index.json': '[{"name": "icn_access_card",' }
+        });
+
+        assert.equal(gallery.status('index'), 'empty');
+        assert.equal(gallery.status('directory-listing'), 'success');
+        assert.equal(gallery.window.iconsData.length, INDEX_ENTRIES.length);
+    });
+
+    it('drops icons whose files are missing', async (t) => {
+        const missing = { name: 'icn_not_there', category: 'grey', path: 'icons/grey/icn_not_there.svg' };
+        const gallery = await openGallery(t, {
+            hide: ['icons-bundle.json'],
+            files: { 'icons-index.json': indexFile([INDEX_ENTRIES[0], missing]) }
+        });
+        const { window, document } = gallery;
+
+        await waitFor(() => window.iconsData.length === 1);
+        assert.equal(window.iconsData[0].name, INDEX_ENTRIES[0].name);
+        assert.ok(gallery.logs.some(line => line.includes('file missing: grey/icn_not_there')));
+        assert.equal(document.querySelectorAll('#iconsGrid .icon-item[data-name="icn_not_there"]').length, 0);
+        assert.equal(document.getElementById('totalCount').textContent, '1 icons total');
+    });
+});
+
+describe('untrusted names', () => {
+    it('escapes category names from the index in the category and variant buttons', async (t) => {
+        const hostile = '"><img src=x onerror="window.hacked=1">';
+        const gallery = await openGallery(t, {
+            hide: ['icons-bundle.json'],
+            files: { 'icons-index.json': indexFile([INDEX_ENTRIES[0], { ...INDEX_ENTRIES[0], category: hostile }]) }
+        });
+        const { window, document } = gallery;
+
+        const buttons = Array.from(document.querySelectorAll('#categories .category-btn'), button => button.dataset.category);
+        assert.ok(buttons.includes(hostile));
+        assert.equal(document.querySelector('#categories img'), null);
+
+        window.openCopyModal(INDEX_ENTRIES[0].name, hostile);
+        const variants = Array.from(document.querySelectorAll('#variantButtons .variant-btn'), button => button.dataset.category);
+        assert.deepEqual(variants, [INDEX_ENTRIES[0].category, hostile]);
+        assert.equal(document.querySelector('#variantButtons img'), null);
+        assert.equal(window.hacked, undefined);
+    });
+});
+
+describe('empty state', () => {
+    it('explains how to add icons-index.json when no source finds anything', async (t) => {
+        const gallery = await openGallery(t, { hide: ['icons-bundle.json', 'icons-index.json', 'icons/'] });
+        const grid = gallery.document.getElementById('iconsGrid');
+
+        assert.deepEqual(gallery.results.map(result => result.status), ['empty', 'empty', 'empty', 'error']);
+        assert.equal(gallery.window.iconsData.length, 0);
+        assert.match(grid.textContent, /No Icons Auto-Discovered/);
+        assert.match(grid.textContent, /Looking for: http:\/\/localhost\/icons-index\.json/);
+        assert.ok(grid.querySelector('button'), 'has a Try Again button');
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * The runtime's IndexedDB cache (icon-runtime.js): a cached SVG stays valid
+ * for as long as the index lists the same content hash for it, whatever
+ * else was rebuilt.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RUNTIME = require.resolve('../scripts/icon-runtime.js');
+const ORIGIN = 'http://icons.example/';
+
+// Just enough of IndexedDB for one object store keyed by url
+function createIndexedDb() {
+    const records = new Map();
+    const request = result => {
+        const pending = {};
+        setImmediate(() => {
+            pending.result = result();
+            if (pending.onsuccess) pending.onsuccess();
+        });
+        return pending;
+    };
+    const store = {
+        get: key => request(() => records.get(key)),
+        put: value => request(() => records.set(value.url, value) && value.url),
+        clear: () => request(() => records.clear())
+    };
+    const db = { transaction: () => ({ objectStore: () => store }), createObjectStore: () => store };
+
+    return {
+        records,
+        open: () => request(() => db)
+    };
+}
+
+// A fresh copy of the runtime, as on a new page load
+function loadRuntime() {
+    delete require.cache[RUNTIME];
+    const runtime = require(RUNTIME);
+    runtime.configureIcons({ baseUrl: ORIGIN });
+    return runtime;
+}
+
+const indexFile = (generated, hash) => JSON.stringify([
+    { _generated: generated, _totalIcons: 1 },
+    { name: 'icn_home', category: 'grey', path: 'icons/grey/icn_home.svg', ...(hash ? { hash } : {}) }
+]);
+
+const SVG_URL = `${ORIGIN}icons/grey/icn_home.svg`;
+
+describe('runtime SVG cache', () => {
+    let files;
+    let fetched;
+    let originalFetch;
+
+    beforeEach(() => {
+        files = { 'icons/grey/icn_home.svg': '<svg/>' };
+        fetched = [];
+        originalFetch = globalThis.fetch;
+        globalThis.fetch = async url => {
+            const file = String(url).slice(ORIGIN.length);
+            fetched.push(file);
+            return file in files ? new Response(files[file]) : new Response('', { status: 404 });
+        };
+        globalThis.indexedDB = createIndexedDb();
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+        delete globalThis.indexedDB;
+        delete require.cache[RUNTIME];
+    });
+
+    // Load the index in a new runtime and fetch the icon the way getIcon() does
+    async function visit(generated, hash) {
+        files['icons-index.json'] = indexFile(generated, hash);
+        const runtime = loadRuntime();
+        await runtime.loadIconIndex();
+        const svg = await runtime.fetchIconSource(SVG_URL, hash);
+        // Let the cache write finish before the next visit
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return svg;
+    }
+
+    const svgRequests = () => fetched.filter(file => file.endsWith('.svg')).length;
+
+    it('keeps a cached SVG through a rebuilt index when its hash is unchanged', async () => {
+        assert.equal(await visit(1000, 'aa'), '<svg/>');
+        assert.equal(svgRequests(), 1);
+
+        assert.equal(await visit(2000, 'aa'), '<svg/>');
+        assert.equal(svgRequests(), 1, 'read from IndexedDB');
+    });
+
+    it('downloads the SVG again when its hash changes', async () => {
+        await visit(1000, 'aa');
+        files['icons/grey/icn_home.svg'] = '<svg id="new"/>';
+
+        assert.equal(await visit(2000, 'bb'), '<svg id="new"/>');
+        assert.equal(svgRequests(), 2);
+        assert.equal(globalThis.indexedDB.records.get(SVG_URL).version, 'bb');
+    });
+
+    it('falls back to the index version for indexes without hashes', async () => {
+        await visit(1000);
+        await visit(1000);
+        assert.equal(svgRequests(), 1);
+
+        await visit(2000);
+        assert.equal(svgRequests(), 2);
+    });
+});
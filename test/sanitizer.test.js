@@ -0,0 +1,93 @@
+/**
+ * sanitizeSvg() (icon-sanitizer.js) against hostile markup: the result is
+ * always the rebuilt root element, and everything dropped is reported.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { sanitizeSvg } = require('../scripts/icon-sanitizer.js');
+
+const { window } = new JSDOM('');
+const DOM = { DOMParser: window.DOMParser, XMLSerializer: window.XMLSerializer };
+
+const OPEN = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24">';
+const PATH = '<path d="M0 0h24v24H0z" fill="#5D6770"/>';
+
+function sanitize(markup) {
+    return sanitizeSvg(markup, DOM);
+}
+
+// The sanitised markup must parse to an SVG with nothing but allowed content in it
+function assertInert(svg) {
+    assert.doesNotMatch(svg, /<img|<script|<iframe|onerror|onload|javascript:|<\?|<!/i);
+    const doc = new window.DOMParser().parseFromString(svg, 'image/svg+xml');
+    assert.equal(doc.documentElement.localName, 'svg');
+    assert.equal(doc.childNodes.length, 1);
+}
+
+describe('sanitizeSvg', () => {
+    it('leaves a clean icon as it was', () => {
+        const markup = `${OPEN}${PATH}</svg>`;
+        assert.deepEqual(sanitize(markup), { svg: markup, modified: false, removed: [] });
+    });
+
+    it('keeps the repository\'s icons unchanged', () => {
+        const file = path.join(__dirname, '..', 'icons', 'grey', fs.readdirSync(path.join(__dirname, '..', 'icons', 'grey'))[0]);
+        const result = sanitize(fs.readFileSync(file, 'utf8'));
+        assert.equal(result.modified, false);
+        assert.equal(result.svg, fs.readFileSync(file, 'utf8').trim());
+    });
+
+    it('drops a processing instruction before the root that hides HTML', () => {
+        const result = sanitize(`<?x ><img src=x onerror=alert(1)>?>${OPEN}${PATH}</svg>`);
+        assert.equal(result.modified, true);
+        assert.deepEqual(result.removed, ['processing instruction <?x?> outside <svg>']);
+        assert.equal(result.svg, `${OPEN}${PATH}</svg>`);
+        assertInert(result.svg);
+    });
+
+    it('drops comments, processing instructions and CDATA inside the icon', () => {
+        const result = sanitize(`${OPEN}<!-- <img src=x onerror=alert(1)> --><g><?php echo 1 ?>${PATH}</g><title><![CDATA[<script>alert(1)</script>]]></title></svg>`);
+        assert.deepEqual(result.removed, [
+            'comment in <svg>',
+            'processing instruction <?php?> in <g>',
+            'CDATA section in <title>'
+        ]);
+        assertInert(result.svg);
+    });
+
+    it('drops comments and a doctype around the root', () => {
+        const result = sanitize(`<!DOCTYPE svg><!-- before -->${OPEN}${PATH}</svg><!-- <img src=x onerror=alert(1)> -->`);
+        assert.deepEqual(result.removed, ['doctype outside <svg>', 'comment outside <svg>', 'comment outside <svg>']);
+        assertInert(result.svg);
+    });
+
+    it('drops scripts, foreign content, event handlers and external references', () => {
+        const result = sanitize(`${OPEN.replace('>', ' onload="alert(1)">')}
+            <script>alert(1)</script>
+            <foreignObject><div xmlns="http://www.w3.org/1999/xhtml"><img src="x" onerror="alert(1)"/></div></foreignObject>
+            <use href="https://evil.example/sprite.svg#a"/>
+            <a href="javascript:alert(1)">${PATH}</a>
+            <rect width="1" height="1" style="fill: url(https://evil.example/x)"/>
+        </svg>`);
+
+        assert.deepEqual(result.removed, [
+            'event handler onload on <svg>',
+            '<script> element',
+            '<foreignObject> element',
+            'external href on <use>',
+            '<a> element',
+            'external url() in style on <rect>'
+        ]);
+        assertInert(result.svg);
+    });
+
+    it('rejects markup that is not an SVG document', () => {
+        ['', '<html><img src=x onerror=alert(1)></html>', '<svg><path></svg>', '<svg>no namespace</svg>'].forEach(markup => {
+            assert.deepEqual(sanitize(markup), { svg: null, modified: true, removed: ['markup is not a valid SVG document'] });
+        });
+    });
+});
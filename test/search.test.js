@@ -0,0 +1,65 @@
+/**
+ * Ranked search (icon-search.js) against the real icon names and metadata.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getIndexEntries } = require('../scripts/icon-index.js');
+const { searchIcons, applyIconMetadata } = require('../scripts/icon-search.js');
+
+const icons = getIndexEntries(require('../icons-index.json')).filter(icon => icon.category === 'grey');
+applyIconMetadata(icons, require('../icons-metadata.json'));
+
+const names = query => searchIcons(icons, query).map(result => result.icon.name);
+
+describe('searchIcons', () => {
+    it('matches "car" as a whole word when some icon has it as one', () => {
+        const found = names('car');
+        assert.ok(found.includes('icn_vehicles_car'));
+        ['icn_carousel', 'icn_access_card', 'icn_card_add'].forEach(name => assert.ok(!found.includes(name), name));
+    });
+
+    it('still matches prefixes of longer words', () => {
+        const found = names('card');
+        assert.ok(found.includes('icn_card_add'));
+        assert.ok(found.includes('icn_access_card'));
+    });
+
+    it('still matches prefixes of short words that are no icon\'s whole word', () => {
+        assert.ok(names('ca').includes('icn_carousel'));
+    });
+
+    it('ranks exact token hits first', () => {
+        assert.equal(names('home')[0], 'icn_home');
+    });
+
+    it('ranks an icon whose first tag is the word with the icons named after it', () => {
+        const top = names('money').slice(0, 8);
+        assert.ok(top.includes('icn_cash_notes'), top.join(', '));
+        assert.ok(top.includes('icn_money_fast'), top.join(', '));
+        assert.ok(names('money').includes('icn_wallet'), 'later tags still match');
+    });
+
+    it('allows no typos in words of up to 3 letters', () => {
+        assert.ok(!names('hme').includes('icn_home'));
+    });
+
+    it('allows one typo in 4 to 6 letter words, a swapped pair counting as one', () => {
+        assert.equal(names('hoem')[0], 'icn_home');
+        assert.equal(names('homr')[0], 'icn_home');
+        assert.ok(names('walet').includes('icn_wallet'));
+        assert.ok(!names('wlalte').includes('icn_wallet'), 'two swaps are two typos');
+        assert.ok(!names('hmoee').includes('icn_home'), 'a swap and an extra letter are two typos');
+    });
+
+    it('allows two typos in words of 7 letters or more', () => {
+        assert.ok(names('setitngs').includes('icn_settings_outline'));
+        assert.ok(names('sxtitngs').includes('icn_settings_outline'), 'a wrong letter and a swap');
+        assert.ok(!names('sxtitnsg').includes('icn_settings_outline'), 'three typos');
+    });
+
+    it('highlights the matched part of the name', () => {
+        const [first] = searchIcons(icons, 'home');
+        assert.deepEqual(first.ranges, [[4, 8]]);
+    });
+});
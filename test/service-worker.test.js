@@ -0,0 +1,157 @@
+/**
+ * The service worker's versioning (sw.js), run in a vm with in-memory
+ * caches: the index and the bundle are versioned separately, and cached
+ * icons stay valid until the index changes. The page reloads whichever file
+ * an update message names.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { openGallery } = require('./helpers/gallery.js');
+
+const ROOT = path.join(__dirname, '..');
+const SCOPE = 'http://localhost/';
+
+function createCaches() {
+    const stores = new Map();
+    const open = async name => {
+        if (!stores.has(name)) {
+            const entries = new Map();
+            const key = request => typeof request === 'string' ? request : request.url;
+            stores.set(name, {
+                entries,
+                match: async request => entries.has(key(request)) ? entries.get(key(request)).clone() : undefined,
+                put: async (request, response) => { entries.set(key(request), response.clone()); },
+                delete: async request => entries.delete(key(request)),
+                addAll: async () => {}
+            });
+        }
+        return stores.get(name);
+    };
+    return { open, keys: async () => [...stores.keys()], delete: async name => stores.delete(name) };
+}
+
+/**
+ * Load sw.js with network answering from files ({ path: body }), and return
+ * request(path) to send it a fetch event, plus what it fetched and posted.
+ */
+function loadWorker(files) {
+    const listeners = {};
+    const fetched = [];
+    const messages = [];
+
+    const context = {
+        Request, Response, Headers, URL, console,
+        caches: createCaches(),
+        fetch: async (input) => {
+            const url = typeof input === 'string' ? input : input.url;
+            const file = url.slice(SCOPE.length);
+            fetched.push(file);
+            return file in files ? new Response(files[file], { status: 200 }) : new Response('', { status: 404 });
+        },
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        location: new URL('sw.js', SCOPE),
+        registration: { scope: SCOPE },
+        clients: { matchAll: async () => [{ postMessage: message => messages.push(message) }], claim: async () => {} },
+        skipWaiting: () => {}
+    };
+    context.self = context;
+    context.importScripts = (...scripts) => scripts.forEach(script =>
+        vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), context, { filename: script }));
+
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), context, { filename: 'sw.js' });
+
+    // Dispatch a fetch event and wait for the response and any background refresh
+    const request = async file => {
+        const pending = [];
+        let responded;
+        listeners.fetch({
+            request: new Request(SCOPE + file),
+            respondWith: promise => { responded = promise; },
+            waitUntil: promise => pending.push(promise)
+        });
+        const response = await responded;
+        await Promise.all(pending);
+        return response;
+    };
+
+    return { request, fetched, messages, files };
+}
+
+const indexFile = generated => JSON.stringify([
+    { _generated: generated, _totalIcons: 1 },
+    { name: 'icn_home', category: 'grey', path: 'icons/grey/icn_home.svg', hash: 'aa' }
+]);
+const bundleFile = generated => JSON.stringify([
+    { _generated: generated, _totalIcons: 1 },
+    { name: 'icn_home', category: 'grey', path: 'icons/grey/icn_home.svg', hash: 'aa', svg: '<svg/>' }
+]);
+
+describe('service worker versions', () => {
+    it('does not announce an update when the index and bundle have different timestamps', async () => {
+        const worker = loadWorker({ 'icons-index.json': indexFile(1000), 'icons-bundle.json': bundleFile(2000) });
+
+        for (let visit = 0; visit < 3; visit++) {
+            await worker.request('icons-index.json');
+            await worker.request('icons-bundle.json');
+        }
+        assert.deepEqual(worker.messages, []);
+    });
+
+    it('announces a rebuilt file once, naming it', async () => {
+        const worker = loadWorker({ 'icons-index.json': indexFile(1000), 'icons-bundle.json': bundleFile(2000) });
+        await worker.request('icons-index.json');
+        await worker.request('icons-bundle.json');
+
+        worker.files['icons-index.json'] = indexFile(3000);
+        await worker.request('icons-index.json');
+        await worker.request('icons-index.json');
+        await worker.request('icons-bundle.json');
+
+        assert.deepEqual(worker.messages.map(message => ({ ...message })), [
+            { type: 'icons-updated', file: 'icons-index.json', version: '3000', previousVersion: '1000' }
+        ]);
+    });
+
+    it('serves cached icons without revalidating until the index changes', async () => {
+        const worker = loadWorker({
+            'icons-index.json': indexFile(1000),
+            'icons-bundle.json': bundleFile(2000),
+            'icons/grey/icn_home.svg': '<svg/>'
+        });
+        await worker.request('icons-index.json');
+        await worker.request('icons/grey/icn_home.svg');
+        await worker.request('icons-bundle.json');
+
+        const before = worker.fetched.length;
+        const response = await worker.request('icons/grey/icn_home.svg');
+        assert.equal(await response.text(), '<svg/>');
+        assert.equal(worker.fetched.length, before, 'served from the cache');
+
+        worker.files['icons-index.json'] = indexFile(3000);
+        await worker.request('icons-index.json');
+        await worker.request('icons/grey/icn_home.svg');
+        assert.equal(worker.fetched[worker.fetched.length - 1], 'icons/grey/icn_home.svg', 'revalidated after the index changed');
+    });
+});
+
+describe('icons-updated messages in the page', () => {
+    it('reload the file they name', async (t) => {
+        const gallery = await openGallery(t);
+        const { window } = gallery;
+
+        const requested = file => gallery.requests.filter(url => url.endsWith(`/${file}`)).length;
+        const before = { index: requested('icons-index.json'), bundle: requested('icons-bundle.json') };
+
+        await window.handleIconsUpdated('icons-bundle.json');
+        assert.equal(requested('icons-bundle.json'), before.bundle + 1);
+        assert.equal(requested('icons-index.json'), before.index);
+
+        await window.handleIconsUpdated('icons-index.json');
+        assert.equal(requested('icons-index.json'), before.index + 1);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Similar icons (icon-similarity.js): perceptual hashes are kept apart from
+ * the content hashes update checks compare.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { openGallery } = require('./helpers/gallery.js');
+const { getIndexEntries } = require('../scripts/icon-index.js');
+const {
+    applyPerceptualHashes,
+    compareIcons,
+    findDuplicatePairs
+} = require('../scripts/icon-similarity.js');
+
+describe('perceptual hashes', () => {
+    it('are attached as perceptualHash, leaving the content hash alone', () => {
+        const icons = [
+            { name: 'icn_home', category: 'grey', hash: '00aa11bb22cc33' },
+            { name: 'icn_home', category: 'blue-default', hash: '44dd55ee66ff77' },
+            { name: 'icn_car', category: 'grey', hash: '8899aabbccddee' }
+        ];
+        applyPerceptualHashes(icons, { icn_home: 'ffff000000000000' });
+
+        assert.deepEqual(icons.map(icon => [icon.hash, icon.perceptualHash]), [
+            ['00aa11bb22cc33', 'ffff000000000000'],
+            ['44dd55ee66ff77', 'ffff000000000000'],
+            ['8899aabbccddee', undefined]
+        ]);
+    });
+
+    it('are what icons are compared and paired by', () => {
+        const home = { name: 'icn_home', hash: 'same', perceptualHash: 'ffff000000000000' };
+        const house = { name: 'icn_house', hash: 'same', perceptualHash: 'ffff000000000001' };
+        const car = { name: 'icn_car', hash: 'same' };
+
+        assert.equal(compareIcons(home, house).distance, 1);
+        assert.equal(compareIcons(home, car).visual, null);
+        assert.deepEqual(findDuplicatePairs([home, house, car]).map(pair => [pair.a.name, pair.b.name]), [['icn_home', 'icn_house']]);
+    });
+});
+
+describe('update checks with similarity hashes loaded', () => {
+    it('find no changes against the index the gallery loaded', async (t) => {
+        const { window } = await openGallery(t, {
+            ready: ({ window }) => window.iconsData.length > 0 && window.iconsData.every(icon => icon.perceptualHash)
+        });
+
+        const index = getIndexEntries(require('../icons-index.json'));
+        assert.equal(await window.checkForUpdates(index), false);
+    });
+});
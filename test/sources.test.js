@@ -0,0 +1,178 @@
+/**
+ * discoverIcons() (icon-sources.js): the order sources run in, timeouts,
+ * fresh discoveries, skip and only, and what onResult is told. The sources
+ * here fetch from the stand-in server like the gallery's own do.
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server.js');
+const {
+    registerIconSource,
+    unregisterIconSource,
+    configureIconSource,
+    getIconSources,
+    discoverIcons
+} = require('../scripts/icon-sources.js');
+const { getIndexEntries } = require('../scripts/icon-index.js');
+
+let origin;
+let server;
+
+before(async () => {
+    server = await startServer();
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+afterEach(() => {
+    getIconSources().forEach(source => unregisterIconSource(source.name));
+});
+
+// A source reading the repository's index, or an empty one from a path that has none
+function indexSource(name, options = {}) {
+    return registerIconSource({
+        name,
+        discover: async (config, context) => {
+            const response = await fetch(`${origin}/${config.file || 'icons-index.json'}`, { signal: context.signal });
+            return response.ok ? getIndexEntries(await response.json()) : [];
+        },
+        ...options
+    });
+}
+
+function emptySource(name, options = {}) {
+    return registerIconSource({ name, discover: async () => [], ...options });
+}
+
+describe('source order', () => {
+    it('runs sources by order, then by when they were registered', async () => {
+        emptySource('late', { order: 30 });
+        emptySource('second', { order: 10 });
+        emptySource('first', { order: 10 });
+        emptySource('early', { order: 5 });
+        emptySource('default');
+
+        assert.deepEqual(getIconSources().map(source => source.name), ['early', 'second', 'first', 'late', 'default']);
+        const { results } = await discoverIcons();
+        assert.deepEqual(results.map(result => result.source), ['early', 'second', 'first', 'late', 'default']);
+    });
+
+    it('keeps a replaced source in its place unless it is given a new order', () => {
+        emptySource('a', { order: 10 });
+        emptySource('b', { order: 10 });
+        emptySource('a', { order: 10 });
+        assert.deepEqual(getIconSources().map(source => source.name), ['a', 'b']);
+
+        configureIconSource('a', { order: 20 });
+        assert.deepEqual(getIconSources().map(source => source.name), ['b', 'a']);
+    });
+
+    it('stops at the first source that finds icons', async () => {
+        emptySource('nothing', { order: 1 });
+        indexSource('index', { order: 2 });
+        indexSource('never', { order: 3 });
+
+        const found = await discoverIcons();
+        assert.equal(found.source, 'index');
+        assert.ok(found.icons.length > 0);
+        assert.deepEqual(found.results.map(result => result.source), ['nothing', 'index']);
+    });
+});
+
+describe('timeouts', () => {
+    it('reports a source that takes too long as timed out and aborts its signal', async () => {
+        let signal;
+        registerIconSource({
+            name: 'slow',
+            order: 1,
+            timeout: 200,
+            discover: async (config, context) => {
+                signal = context.signal;
+                const response = await fetch(`${origin}/slow`, { signal: context.signal });
+                return response.json();
+            }
+        });
+        indexSource('index', { order: 2 });
+
+        const started = Date.now();
+        const found = await discoverIcons();
+
+        assert.equal(found.results[0].status, 'timeout');
+        assert.equal(found.results[0].error, 'Timed out after 200ms');
+        assert.equal(signal.aborted, true);
+        assert.equal(found.source, 'index');
+        assert.ok(Date.now() - started < 3000, 'moved on before the slow response');
+    });
+});
+
+describe('choosing sources', () => {
+    it('skips snapshot sources in a fresh discovery', async () => {
+        indexSource('snapshot', { order: 1, snapshot: true });
+        indexSource('live', { order: 2 });
+
+        assert.equal((await discoverIcons()).source, 'snapshot');
+
+        const fresh = await discoverIcons({ fresh: true });
+        assert.equal(fresh.source, 'live');
+        assert.equal(fresh.results[0].status, 'skipped');
+    });
+
+    it('leaves out skipped sources and runs only the ones asked for', async () => {
+        indexSource('a', { order: 1 });
+        indexSource('b', { order: 2 });
+        indexSource('c', { order: 3 });
+
+        const skipped = await discoverIcons({ skip: ['a'] });
+        assert.equal(skipped.source, 'b');
+        assert.deepEqual(skipped.results.map(result => result.status), ['skipped', 'success']);
+
+        const only = await discoverIcons({ only: ['c'] });
+        assert.equal(only.source, 'c');
+        assert.deepEqual(only.results.map(result => result.status), ['skipped', 'skipped', 'success']);
+    });
+
+    it('skips disabled sources', async () => {
+        indexSource('a', { order: 1 });
+        indexSource('b', { order: 2 });
+        configureIconSource('a', { enabled: false });
+
+        assert.equal((await discoverIcons()).source, 'b');
+    });
+});
+
+describe('onResult', () => {
+    it('is told every outcome with its count, categories, duration and error', async () => {
+        const reported = [];
+        emptySource('empty', { order: 1 });
+        registerIconSource({ name: 'broken', order: 2, discover: async () => { throw new Error('No access'); } });
+        indexSource('missing', { order: 3, config: { file: 'no-such-index.json' } });
+        indexSource('index', { order: 4 });
+
+        const found = await discoverIcons({ onResult: result => reported.push(result) });
+
+        assert.deepEqual(reported, found.results);
+        assert.deepEqual(reported.map(result => [result.source, result.status, result.error]), [
+            ['empty', 'empty', null],
+            ['broken', 'error', 'No access'],
+            ['missing', 'empty', null],
+            ['index', 'success', null]
+        ]);
+
+        const success = reported[3];
+        assert.equal(success.count, found.icons.length);
+        assert.deepEqual(success.categories, found.categories);
+        assert.deepEqual([...success.categories].sort(), ['blue-default', 'grey']);
+        reported.forEach(result => assert.equal(typeof result.duration, 'number'));
+    });
+
+    it('passes the caller\'s context to discover()', async () => {
+        let seen;
+        registerIconSource({ name: 'context', discover: async (config, context) => { seen = context; return []; } });
+
+        await discoverIcons({ context: { baseUrl: origin } });
+        assert.equal(seen.baseUrl, origin);
+        assert.ok(seen.signal);
+    });
+});
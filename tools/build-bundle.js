@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * BUILD ICON BUNDLE & SPRITES
+ * ========================================
+ *
+ * Reads icons-index.json and writes:
+ * - icons-bundle.json (every icon's SVG markup in one file)
+ * - sprites/<category>.svg (one <symbol> sprite per category)
+ *
+ * USAGE:
+ *   node tools/build-bundle.js
+ *
+ * Run it from anywhere; paths are resolved from the repository root.
+ * The bundle is left untouched when its icons haven't changed and it is
+ * newer than the index (node tools/build-index.js --check checks both).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./lib/icons-tree.js');
+const { INDEX_FILE, getIndexEntries, getIndexMetadata } = require('../scripts/icon-index.js');
+const { BUNDLE_FILE, getSpritePath, buildBundle, buildSprite } = require('../scripts/icon-bundle.js');
+
+const INDEX_PATH = path.join(ROOT, INDEX_FILE);
+
+// Same icons with the same markup, built since the index - keep the existing file (and its _generated timestamp)
+function isBundleUpToDate(icons, indexData) {
+    const bundlePath = path.join(ROOT, BUNDLE_FILE);
+    if (!fs.existsSync(bundlePath)) return false;
+
+    try {
+        const bundleData = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+        const indexGenerated = getIndexMetadata(indexData)._generated;
+        if (indexGenerated !== undefined && !(getIndexMetadata(bundleData)._generated >= indexGenerated)) return false;
+
+        const entries = getIndexEntries(bundleData);
+        const pick = ({ name, category, path, hash, svg }) => ({ name, category, path, hash, svg });
+        return JSON.stringify(entries.map(pick)) === JSON.stringify(icons.map(pick));
+    } catch (error) {
+        return false;
+    }
+}
+
+function main() {
+    if (!fs.existsSync(INDEX_PATH)) {
+        console.error(`❌ ${INDEX_FILE} not found - run node tools/build-index.js first`);
+        process.exit(1);
+    }
+
+    const indexData = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+    const icons = [];
+    const missing = [];
+
+    getIndexEntries(indexData).forEach(item => {
+        const file = path.join(ROOT, item.path);
+        if (!fs.existsSync(file)) {
+            missing.push(item.path);
+            return;
+        }
+        icons.push({ ...item, svg: fs.readFileSync(file, 'utf8').trim() });
+    });
+
+    if (missing.length > 0) {
+        console.error(`❌ ${missing.length} icons in index but not on disk:`);
+        missing.forEach(file => console.error(`   ${file}`));
+        process.exit(1);
+    }
+
+    if (isBundleUpToDate(icons, indexData)) {
+        console.log(`✅ ${BUNDLE_FILE} already up to date (${icons.length} icons)`);
+    } else {
+        fs.writeFileSync(path.join(ROOT, BUNDLE_FILE), buildBundle(icons) + '\n');
+        console.log(`📦 Wrote ${BUNDLE_FILE} (${icons.length} icons)`);
+    }
+
+    const categories = [...new Set(icons.map(icon => icon.category))];
+    categories.forEach(category => {
+        const spritePath = getSpritePath(category);
+        const spriteIcons = icons.filter(icon => icon.category === category);
+
+        fs.mkdirSync(path.dirname(path.join(ROOT, spritePath)), { recursive: true });
+        fs.writeFileSync(path.join(ROOT, spritePath), buildSprite(spriteIcons));
+        console.log(`🧩 Wrote ${spritePath} (${spriteIcons.length} symbols)`);
+    });
+}
+
+main();
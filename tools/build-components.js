@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * BUILD FRAMEWORK COMPONENTS
+ * ========================================
+ *
+ * Generates a component for every icon in icons-index.json with
+ * scripts/icon-codegen.js and writes them as a package directory:
+ * - react/IconCashNotes.tsx
+ * - vue/IconCashNotes.vue
+ * - angular/icon-cash-notes.component.ts
+ * - web-components/sbg-icon-cash-notes.js
+ * plus an index per framework and a package.json.
+ *
+ * Components draw in currentColor, so one component covers every colour
+ * variant of an icon.
+ *
+ * USAGE:
+ *   node tools/build-components.js                    Writes to dist/components
+ *   node tools/build-components.js --out <dir>        Writes somewhere else
+ *   node tools/build-components.js --only react,vue   Limit the frameworks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./lib/icons-tree.js');
+const { INDEX_FILE, getIndexEntries } = require('../scripts/icon-index.js');
+const { METADATA_FILE, applyIconMetadata } = require('../scripts/icon-search.js');
+const { FRAMEWORKS, getComponentName, generateComponent, generateComponentIndex } = require('../scripts/icon-codegen.js');
+
+const INDEX_PATH = path.join(ROOT, INDEX_FILE);
+const METADATA_PATH = path.join(ROOT, METADATA_FILE);
+
+const FRAMEWORK_FOLDERS = {
+    react: 'react',
+    vue: 'vue',
+    angular: 'angular',
+    'web-component': 'web-components'
+};
+
+function getOption(name) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : null;
+}
+
+// One record per icon name - the first variant in the index
+function loadIcons() {
+    const indexData = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+    const icons = [];
+    const seen = new Set();
+
+    getIndexEntries(indexData).forEach(item => {
+        if (seen.has(item.name)) return;
+
+        const file = path.join(ROOT, item.path);
+        if (!fs.existsSync(file)) {
+            console.warn(`⚠️  Skipping ${item.path} - not on disk`);
+            return;
+        }
+
+        seen.add(item.name);
+        icons.push({ ...item, svg: fs.readFileSync(file, 'utf8').trim() });
+    });
+
+    if (fs.existsSync(METADATA_PATH)) {
+        applyIconMetadata(icons, JSON.parse(fs.readFileSync(METADATA_PATH, 'utf8')));
+    }
+
+    return icons;
+}
+
+// Two icon names that turn into the same component name would overwrite each other
+function findNameClashes(icons) {
+    const owners = new Map();
+    icons.forEach(icon => {
+        const component = getComponentName(icon.name);
+        owners.set(component, [...(owners.get(component) || []), icon.name]);
+    });
+    return [...owners.entries()].filter(([, names]) => names.length > 1);
+}
+
+function buildPackageJson(frameworks) {
+    const exports = {};
+    frameworks.forEach(framework => {
+        const folder = FRAMEWORK_FOLDERS[framework];
+        exports[`./${folder}`] = `./${folder}/${generateComponentIndex(framework, []).filename}`;
+    });
+
+    return JSON.stringify({
+        name: '@sbg/icon-components',
+        private: true,
+        description: 'SBG icons as React, Vue, Angular and Web Components - generated by tools/build-components.js',
+        sideEffects: frameworks.includes('web-component') ? ['./web-components/*.js'] : false,
+        exports
+    }, null, 2) + '\n';
+}
+
+function main() {
+    if (!fs.existsSync(INDEX_PATH)) {
+        console.error(`❌ ${INDEX_FILE} not found - run node tools/build-index.js first`);
+        process.exit(1);
+    }
+
+    const only = getOption('--only');
+    const frameworks = only ? only.split(',').map(name => name.trim()) : Object.keys(FRAMEWORKS);
+    const unknown = frameworks.filter(framework => !FRAMEWORKS[framework]);
+    if (unknown.length > 0) {
+        console.error(`❌ Unknown framework: ${unknown.join(', ')} (choose from ${Object.keys(FRAMEWORKS).join(', ')})`);
+        process.exit(1);
+    }
+
+    const outDir = path.resolve(getOption('--out') || path.join(ROOT, 'dist', 'components'));
+    const icons = loadIcons();
+
+    const clashes = findNameClashes(icons);
+    if (clashes.length > 0) {
+        console.error('❌ Icon names that generate the same component:');
+        clashes.forEach(([component, names]) => console.error(`   ${component}: ${names.join(', ')}`));
+        process.exit(1);
+    }
+
+    const failed = [];
+    frameworks.forEach(framework => {
+        const folder = path.join(outDir, FRAMEWORK_FOLDERS[framework]);
+        fs.rmSync(folder, { recursive: true, force: true });
+        fs.mkdirSync(folder, { recursive: true });
+
+        const generated = icons.filter(icon => {
+            try {
+                const component = generateComponent(framework, icon);
+                fs.writeFileSync(path.join(folder, component.filename), component.code);
+                return true;
+            } catch (error) {
+                failed.push(`${framework}: ${error.message}`);
+                return false;
+            }
+        });
+
+        const index = generateComponentIndex(framework, generated);
+        fs.writeFileSync(path.join(folder, index.filename), index.code);
+        console.log(`🧩 ${FRAMEWORKS[framework]}: wrote ${generated.length} components to ${path.relative(process.cwd(), folder) || '.'}`);
+    });
+
+    fs.writeFileSync(path.join(outDir, 'package.json'), buildPackageJson(frameworks));
+
+    if (failed.length > 0) {
+        console.error(`❌ ${failed.length} components could not be generated:`);
+        failed.forEach(message => console.error(`   ${message}`));
+        process.exit(1);
+    }
+
+    console.log(`📦 Package ready in ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+main();
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * BUILD ICON FONT
+ * ========================================
+ *
+ * Compiles the icons in icons-index.json into an icon font for pages that
+ * can't use SVG, and writes:
+ * - sbg-icons.woff2, sbg-icons.woff and sbg-icons.ttf
+ * - sbg-icons.css: @font-face plus a .sbg-icon-<name> class per icon
+ * - demo.html: every glyph with its class name and codepoint
+ *
+ * One glyph per icon name, drawn from its first variant in the index.
+ * A font has a single colour, so icons are drawn from their filled shapes
+ * whatever their colour (see tools/lib/svg-outline.js).
+ *
+ * Codepoints are kept in icons-codepoints.json at the repository root, so
+ * an icon's character never changes between builds - commit that file
+ * along with the icons. New icons are added to it by this script.
+ *
+ * USAGE:
+ *   node tools/build-font.js               Writes to dist/font and updates icons-codepoints.json
+ *   node tools/build-font.js --out <dir>   Writes the font somewhere else
+ *   node tools/build-font.js --check       Only check that every icon has a codepoint; exit 1 if not
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./lib/icons-tree.js');
+const { getSvgOutline } = require('./lib/svg-outline.js');
+const { buildTrueTypeFont, toWoff, toWoff2 } = require('./lib/font-writer.js');
+const { INDEX_FILE, getIndexEntries, getIndexMetadata, hashContent } = require('../scripts/icon-index.js');
+const {
+    CODEPOINTS_FILE,
+    FONT_FAMILY,
+    FONT_FILENAME,
+    getFontClassName,
+    formatCodepoint,
+    getCssContent,
+    assignCodepoints,
+    generateFontCss
+} = require('../scripts/icon-font.js');
+
+const INDEX_PATH = path.join(ROOT, INDEX_FILE);
+const CODEPOINTS_PATH = path.join(ROOT, CODEPOINTS_FILE);
+
+// Glyphs fill a square em, sitting on a descender like text does
+const UNITS_PER_EM = 1024;
+const DESCENT = 128;
+const ASCENT = UNITS_PER_EM - DESCENT;
+
+function getOption(name) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : null;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// The index, and one record per icon name - the first variant in the index
+function loadIcons() {
+    const indexData = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+    const icons = [];
+    const seen = new Set();
+
+    getIndexEntries(indexData).forEach(item => {
+        if (seen.has(item.name)) return;
+
+        const file = path.join(ROOT, item.path);
+        if (!fs.existsSync(file)) {
+            console.warn(`⚠️  Skipping ${item.path} - not on disk`);
+            return;
+        }
+
+        seen.add(item.name);
+        icons.push({ ...item, svg: fs.readFileSync(file, 'utf8') });
+    });
+
+    return { indexData, icons };
+}
+
+function readCodepoints() {
+    if (!fs.existsSync(CODEPOINTS_PATH)) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(CODEPOINTS_PATH, 'utf8'));
+    } catch (error) {
+        console.error(`❌ ${CODEPOINTS_FILE} is not valid JSON: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function buildDemoPage(glyphs) {
+    const items = glyphs.map(glyph => `
+      <div class="glyph">
+        <i class="${getFontClassName(glyph.name)}" aria-hidden="true"></i>
+        <code>.${getFontClassName(glyph.name)}</code>
+        <small>${formatCodepoint(glyph.codepoint)} · ${escapeHtml(getCssContent(glyph.codepoint))}</small>
+      </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${FONT_FAMILY} - icon font demo</title>
+  <link rel="stylesheet" href="${FONT_FILENAME}.css">
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1e293b; }
+    .glyphs { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 1rem; }
+    .glyph { border: 1px solid #e2e8f0; border-radius: 8px; padding: 1rem; text-align: center; }
+    .glyph i { font-size: var(--size, 32px); color: #0033aa; display: block; margin-bottom: 0.5rem; }
+    .glyph code, .glyph small { display: block; font-size: 0.75rem; overflow-wrap: anywhere; }
+    .glyph small { color: #64748b; }
+  </style>
+</head>
+<body>
+  <h1>${FONT_FAMILY}</h1>
+  <p>${glyphs.length} icons. Use <code>&lt;i class="sbg-icon-cash-notes"&gt;&lt;/i&gt;</code> after linking ${FONT_FILENAME}.css.</p>
+  <label>Size <input type="range" min="12" max="96" value="32" oninput="document.body.style.setProperty('--size', this.value + 'px')"></label>
+  <div class="glyphs">${items}
+  </div>
+</body>
+</html>
+`;
+}
+
+function main() {
+    if (!fs.existsSync(INDEX_PATH)) {
+        console.error(`❌ ${INDEX_FILE} not found - run node tools/build-index.js first`);
+        process.exit(1);
+    }
+
+    const { indexData, icons } = loadIcons();
+    const existing = readCodepoints();
+    const { mapping, added } = assignCodepoints(icons.map(icon => icon.name), existing);
+
+    if (process.argv.includes('--check')) {
+        if (added.length > 0) {
+            console.error(`❌ ${added.length} icons have no codepoint in ${CODEPOINTS_FILE}:`);
+            added.forEach(name => console.error(`   ${name}`));
+            console.error('💡 Run node tools/build-font.js to assign them');
+            process.exit(1);
+        }
+        console.log(`✅ All ${icons.length} icons have a codepoint in ${CODEPOINTS_FILE}`);
+        return;
+    }
+
+    if (added.length > 0) {
+        fs.writeFileSync(CODEPOINTS_PATH, JSON.stringify(mapping, null, 2) + '\n');
+        console.log(`🔢 Assigned codepoints to ${added.length} new icons in ${CODEPOINTS_FILE}`);
+    }
+
+    const glyphs = [];
+    icons.forEach(icon => {
+        const outline = getSvgOutline(icon.svg, { size: UNITS_PER_EM, baseline: -DESCENT });
+        outline.warnings.forEach(warning => console.warn(`⚠️  ${icon.name}: ${warning}`));
+        if (outline.colours.length > 1) {
+            console.warn(`⚠️  ${icon.name}: uses ${outline.colours.join(', ')} - the font draws them all in one colour`);
+        }
+        if (outline.contours.length === 0) {
+            console.warn(`⚠️  ${icon.name}: nothing to draw - left out of the font`);
+            return;
+        }
+
+        glyphs.push({ name: icon.name, codepoint: parseInt(mapping[icon.name], 16), contours: outline.contours });
+    });
+
+    // Dated from the index, so unchanged icons give a byte-identical font
+    const generated = Number(getIndexMetadata(indexData)._generated) || 0;
+    const ttf = buildTrueTypeFont({
+        familyName: FONT_FAMILY,
+        unitsPerEm: UNITS_PER_EM,
+        ascent: ASCENT,
+        descent: DESCENT,
+        glyphs,
+        created: Math.floor(generated / 1000)
+    });
+    const woff = toWoff(ttf);
+    const woff2 = toWoff2(ttf);
+
+    const outDir = path.resolve(getOption('--out') || path.join(ROOT, 'dist', 'font'));
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, `${FONT_FILENAME}.ttf`), ttf);
+    fs.writeFileSync(path.join(outDir, `${FONT_FILENAME}.woff`), woff);
+    fs.writeFileSync(path.join(outDir, `${FONT_FILENAME}.woff2`), woff2);
+    fs.writeFileSync(path.join(outDir, `${FONT_FILENAME}.css`), generateFontCss(glyphs, hashContent(woff2.toString('latin1'))));
+    fs.writeFileSync(path.join(outDir, 'demo.html'), buildDemoPage(glyphs));
+
+    const kb = buffer => `${(buffer.length / 1024).toFixed(1)} KB`;
+    console.log(`🔤 ${glyphs.length} glyphs: WOFF2 ${kb(woff2)}, WOFF ${kb(woff)}, TTF ${kb(ttf)}`);
+    console.log(`💾 Wrote ${FONT_FILENAME}.woff2/.woff/.ttf, ${FONT_FILENAME}.css and demo.html to ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+main();
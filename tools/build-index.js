@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * BUILD & VALIDATE ICONS INDEX
+ * ========================================
+ *
+ * Walks icons/<category>/ and writes icons-index.json in the same format
+ * the gallery generates (metadata record + one entry per icon), with each
+ * file's content hash, size and dimensions on its entry.
+ *
+ * USAGE:
+ *   node tools/build-index.js          Regenerate icons-index.json
+ *   node tools/build-index.js --check  Only validate; exit 1 on drift
+ *
+ * Drift means icons on disk missing from the index, index entries with
+ * no file, files whose content hash has changed, or a _totalIcons count
+ * that doesn't match the entries.
+ * --check holds icons-bundle.json to the same standard, and also fails when
+ * the bundle's SVG markup or the sprites/<category>.svg files don't match
+ * the icons, or the bundle was built before the index (tools/build-bundle.js
+ * writes both from the index).
+ * The file is left untouched when it is already up to date, so the
+ * _generated timestamp only changes when the icons do.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, scanIconsTree } = require('./lib/icons-tree.js');
+const {
+    INDEX_FILE,
+    FILE_INFO_FIELDS,
+    getIconFileInfo,
+    generateIndexFile,
+    getIndexMetadata,
+    getIndexEntries,
+    findIndexDrift,
+    hasIndexDrift
+} = require('../scripts/icon-index.js');
+const { BUNDLE_FILE, getSpritePath, buildSprite } = require('../scripts/icon-bundle.js');
+
+const INDEX_PATH = path.join(ROOT, INDEX_FILE);
+
+// A generated JSON file from the repository root, or null when it is missing or unreadable
+function readJsonFile(file) {
+    const filePath = path.join(ROOT, file);
+    if (!fs.existsSync(filePath)) return null;
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ ${file} is not valid JSON: ${error.message}`);
+        return null;
+    }
+}
+
+function reportDrift(drift, file = INDEX_FILE) {
+    if (drift.missingFromIndex.length > 0) {
+        console.error(`➕ ${drift.missingFromIndex.length} icons on disk missing from ${file}:`);
+        drift.missingFromIndex.forEach(iconPath => console.error(`   ${iconPath}`));
+    }
+    if (drift.missingFiles.length > 0) {
+        console.error(`➖ ${drift.missingFiles.length} ${file} entries with no file:`);
+        drift.missingFiles.forEach(iconPath => console.error(`   ${iconPath}`));
+    }
+    if (drift.changedFiles.length > 0) {
+        console.error(`✏️  ${drift.changedFiles.length} files changed since ${file} was built:`);
+        drift.changedFiles.forEach(iconPath => console.error(`   ${iconPath}`));
+    }
+    if (drift.totalMismatch) {
+        console.error(`🔢 _totalIcons is ${drift.totalMismatch.recorded} but ${file} lists ${drift.totalMismatch.actual} icons`);
+    }
+}
+
+/**
+ * Whether icons-bundle.json and the sprites carry the icons as they are on
+ * disk (icons: the scanned files with their markup). Reports what is wrong.
+ */
+function checkBundle(indexData, icons) {
+    const bundleData = readJsonFile(BUNDLE_FILE);
+    if (!bundleData) {
+        console.error(`❌ ${BUNDLE_FILE} is missing or unreadable`);
+        return false;
+    }
+
+    let ok = true;
+    const drift = findIndexDrift(bundleData, icons);
+    if (hasIndexDrift(drift)) {
+        reportDrift(drift, BUNDLE_FILE);
+        ok = false;
+    }
+
+    // build-bundle.js inlines each file's markup, trimmed
+    const markup = new Map(icons.map(icon => [icon.path, icon.svg.trim()]));
+    const staleMarkup = getIndexEntries(bundleData)
+        .filter(entry => markup.has(entry.path) && entry.svg !== markup.get(entry.path))
+        .map(entry => entry.path);
+    if (staleMarkup.length > 0) {
+        console.error(`✏️  ${staleMarkup.length} ${BUNDLE_FILE} entries with out-of-date SVG markup:`);
+        staleMarkup.forEach(iconPath => console.error(`   ${iconPath}`));
+        ok = false;
+    }
+
+    const bundleGenerated = getIndexMetadata(bundleData)._generated;
+    const indexGenerated = getIndexMetadata(indexData)._generated;
+    if (indexGenerated !== undefined && !(bundleGenerated >= indexGenerated)) {
+        console.error(`🕰️  ${BUNDLE_FILE} (_generated ${bundleGenerated}) was built before ${INDEX_FILE} (_generated ${indexGenerated})`);
+        ok = false;
+    }
+
+    const entries = getIndexEntries(indexData).map(entry => ({ ...entry, svg: markup.get(entry.path) }));
+    [...new Set(entries.map(entry => entry.category))].forEach(category => {
+        const spritePath = getSpritePath(category);
+        const file = path.join(ROOT, spritePath);
+        const expected = buildSprite(entries.filter(entry => entry.category === category));
+        if (!fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== expected) {
+            console.error(`🧩 ${spritePath} doesn't match the ${category} icons`);
+            ok = false;
+        }
+    });
+
+    return ok;
+}
+
+// Same entries, file info and order - nothing to rewrite
+function isUpToDate(indexData, icons) {
+    const pick = entry => ['name', 'category', 'path', ...FILE_INFO_FIELDS].map(field => entry[field]);
+    const entries = getIndexEntries(indexData).map(pick);
+    const expected = icons.map(pick);
+    return !hasIndexDrift(findIndexDrift(indexData, icons)) &&
+        JSON.stringify(entries) === JSON.stringify(expected);
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const icons = scanIconsTree().map(icon => {
+        const svg = fs.readFileSync(icon.file, 'utf8');
+        return { ...icon, svg, ...getIconFileInfo(svg) };
+    });
+    const indexData = readJsonFile(INDEX_FILE);
+
+    if (checkOnly) {
+        if (!indexData) {
+            console.error(`❌ ${INDEX_FILE} is missing or unreadable`);
+            process.exit(1);
+        }
+
+        const drift = findIndexDrift(indexData, icons);
+        if (hasIndexDrift(drift)) {
+            reportDrift(drift);
+            console.error('💡 Run node tools/build-index.js to regenerate');
+            process.exit(1);
+        }
+
+        if (!checkBundle(indexData, icons)) {
+            console.error('💡 Run node tools/build-bundle.js to regenerate');
+            process.exit(1);
+        }
+
+        console.log(`✅ ${INDEX_FILE}, ${BUNDLE_FILE} and the sprites match icons/ (${icons.length} icons)`);
+        return;
+    }
+
+    if (indexData && isUpToDate(indexData, icons)) {
+        console.log(`✅ ${INDEX_FILE} already up to date (${icons.length} icons)`);
+        return;
+    }
+
+    if (indexData) reportDrift(findIndexDrift(indexData, icons));
+
+    fs.writeFileSync(INDEX_PATH, generateIndexFile(icons) + '\n');
+    console.log(`📝 Wrote ${INDEX_FILE} (${icons.length} icons)`);
+}
+
+main();
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * BUILD ICON RUNTIME
+ * ========================================
+ *
+ * Packs scripts/icon-runtime.js and the modules it depends on into
+ * single files for apps that use <sbg-icon> or getIcon():
+ * - sbg-icons.umd.js  <script> tag (window.SbgIcons) or require()
+ * - sbg-icons.mjs     import { getIcon, configureIcons } from './sbg-icons.mjs'
+ *
+ * Both builds register <sbg-icon> as soon as they load in a browser.
+ *
+ * USAGE:
+ *   node tools/build-runtime.js               Writes to dist/runtime
+ *   node tools/build-runtime.js --out <dir>   Writes somewhere else
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./lib/icons-tree.js');
+
+// In dependency order - each module reads the ones before it from the shared scope
+const MODULES = [
+    'scripts/icon-index.js',
+    'scripts/icon-colour.js',
+    'scripts/icon-sanitizer.js',
+    'scripts/icon-runtime.js'
+];
+
+const GLOBAL_NAME = 'SbgIcons';
+
+function getExportNames() {
+    return Object.keys(require(path.join(ROOT, 'scripts/icon-runtime.js')));
+}
+
+function getOption(name) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : null;
+}
+
+// Run every module against one scope object, hiding `module` so they take their browser branch,
+// and return only the runtime's own API
+function buildScope() {
+    const sources = MODULES.map(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8').trim();
+        return `    // ---- ${file} ----\n    (function(module) {\n${source}\n    }).call(scope);`;
+    });
+
+    const exported = getExportNames().map(name => `        ${name}: scope.${name}`).join(',\n');
+    return `    const scope = {};\n\n${sources.join('\n\n')}\n\n    return {\n${exported}\n    };`;
+}
+
+function buildUmd(version) {
+    return `/*! SBG icon runtime ${version} - generated by tools/build-runtime.js */
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.${GLOBAL_NAME} = factory();
+    }
+})(this, function() {
+${buildScope()}
+});
+`;
+}
+
+function buildEsm(version) {
+    const names = getExportNames();
+    return `/*! SBG icon runtime ${version} - generated by tools/build-runtime.js */
+const ${GLOBAL_NAME} = (function() {
+${buildScope()}
+})();
+
+export const {
+${names.map(name => `    ${name}`).join(',\n')}
+} = ${GLOBAL_NAME};
+
+export default ${GLOBAL_NAME};
+`;
+}
+
+function main() {
+    const outDir = path.resolve(getOption('--out') || path.join(ROOT, 'dist', 'runtime'));
+    const version = new Date().toISOString().slice(0, 10);
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, 'sbg-icons.umd.js'), buildUmd(version));
+    fs.writeFileSync(path.join(outDir, 'sbg-icons.mjs'), buildEsm(version));
+
+    console.log(`📦 Wrote sbg-icons.umd.js and sbg-icons.mjs to ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+main();
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * BUILD THEME
+ * ========================================
+ *
+ * Turns icons-theme.json into a stylesheet of --sbg-icon-* custom
+ * properties (light values, with dark ones for [data-theme="dark"] and
+ * prefers-color-scheme) and writes a themed copy of icons/ whose palette
+ * colours are var(--sbg-icon-<token>, <original colour>), so the icons
+ * follow the page's theme. See scripts/icon-theme.js.
+ *
+ * Colours no token matches are listed - they stay as they are in the
+ * themed copy.
+ *
+ * USAGE:
+ *   node tools/build-theme.js                       Writes dist/theme/sbg-icon-theme.css and icons/
+ *   node tools/build-theme.js --out <dir>           Writes somewhere else
+ *   node tools/build-theme.js --selector .my-app    Scope the properties to a selector (default :root)
+ *   node tools/build-theme.js --css-only            Only write the stylesheet
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, scanIconsTree } = require('./lib/icons-tree.js');
+const { THEME_FILE, findUnthemedColours, themeSvg, generateThemeCss } = require('../scripts/icon-theme.js');
+
+const THEME_PATH = path.join(ROOT, THEME_FILE);
+
+function getOption(name) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : null;
+}
+
+function loadTheme() {
+    if (!fs.existsSync(THEME_PATH)) {
+        console.error(`❌ ${THEME_FILE} not found`);
+        process.exit(1);
+    }
+
+    const theme = JSON.parse(fs.readFileSync(THEME_PATH, 'utf8'));
+    const tokens = Object.keys(theme.tokens || {});
+    if (tokens.length === 0) {
+        console.error(`❌ ${THEME_FILE} has no tokens`);
+        process.exit(1);
+    }
+
+    const incomplete = tokens.filter(token => !theme.tokens[token].light || !theme.tokens[token].dark);
+    if (incomplete.length > 0) {
+        console.error(`❌ Tokens without a light and a dark colour: ${incomplete.join(', ')}`);
+        process.exit(1);
+    }
+    return theme;
+}
+
+function main() {
+    const theme = loadTheme();
+    const outDir = path.resolve(getOption('--out') || path.join(ROOT, 'dist', 'theme'));
+    const cssFile = `${theme.prefix || 'sbg-icon'}-theme.css`;
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, cssFile), generateThemeCss(theme, { selector: getOption('--selector') || ':root' }));
+    console.log(`🎨 Wrote ${Object.keys(theme.tokens).length} tokens to ${cssFile}`);
+
+    if (process.argv.includes('--css-only')) return;
+
+    const icons = scanIconsTree();
+    const unthemed = [];
+
+    icons.forEach(icon => {
+        const svg = fs.readFileSync(icon.file, 'utf8');
+        const file = path.join(outDir, icon.path);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, themeSvg(svg, theme));
+
+        const colours = findUnthemedColours(theme, svg);
+        if (colours.length > 0) unthemed.push({ path: icon.path, colours });
+    });
+
+    if (unthemed.length > 0) {
+        console.warn(`\n⚠️  ${unthemed.length} icons use colours no token matches (left as they are):`);
+        unthemed.forEach(item => console.warn(`   ${item.path}: ${item.colours.join(', ')}`));
+    }
+
+    console.log(`\n✅ Wrote ${icons.length} themed icons to ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+main();
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * ICONS INDEX DIFF / CHANGELOG
+ * ========================================
+ *
+ * Writes a changelog of added, removed, renamed (same content, new name)
+ * and modified icons between two versions of the icon set.
+ *
+ * USAGE:
+ *   node tools/diff-index.js                       icons-index.json vs the icons/ tree
+ *   node tools/diff-index.js old.json              old.json vs the icons/ tree
+ *   node tools/diff-index.js old.json new.json     Two index (or bundle) files
+ *   node tools/diff-index.js ... --json            Print the diff as JSON
+ *   node tools/diff-index.js ... --output CHANGES.md  Also write the changelog to a file
+ *
+ * Tip: compare against an older commit with
+ *   git show HEAD~1:icons-index.json > /tmp/old-index.json
+ *   node tools/diff-index.js /tmp/old-index.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, scanIconsTree } = require('./lib/icons-tree.js');
+const { INDEX_FILE, getIconFileInfo } = require('../scripts/icon-index.js');
+const { diffIconSets, formatChangelog } = require('../scripts/icon-diff.js');
+
+function getOption(name) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : null;
+}
+
+// Positional arguments, skipping options and their values
+function getFileArguments() {
+    const args = process.argv.slice(2);
+    return args.filter((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--output');
+}
+
+function readIconList(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not read ${file}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// The icons/ tree as index entries, with file info
+function scanCurrentIcons() {
+    return scanIconsTree().map(icon => ({
+        name: icon.name,
+        category: icon.category,
+        path: icon.path,
+        ...getIconFileInfo(fs.readFileSync(icon.file, 'utf8'))
+    }));
+}
+
+function main() {
+    const [beforeFile, afterFile] = getFileArguments();
+    const before = readIconList(beforeFile || path.join(ROOT, INDEX_FILE));
+    const after = afterFile ? readIconList(afterFile) : scanCurrentIcons();
+
+    const diff = diffIconSets(before, after);
+    const title = `Icon changes: ${beforeFile || INDEX_FILE} → ${afterFile || 'icons/'}`;
+    const changelog = formatChangelog(diff, title);
+
+    const output = getOption('--output');
+    if (output) fs.writeFileSync(output, changelog);
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(diff, null, 2));
+    } else {
+        console.log(changelog);
+        if (output) console.log(`💾 Wrote changelog to ${output}`);
+    }
+}
+
+main();
@@ -0,0 +1,432 @@
+/**
+ * Minimal TrueType font writer for tools/build-font.js, plus the WOFF
+ * and WOFF2 wrappers browsers load. Only what an icon font needs:
+ * simple glyphs (no hinting, no composites), one cmap subtable for the
+ * Basic Multilingual Plane, and a Windows-only name table.
+ *
+ * WOFF compresses each table with zlib; WOFF2 compresses them together
+ * with Brotli, using the "null" transform for glyf and loca.
+ */
+
+const zlib = require('zlib');
+
+const TRUETYPE_FLAVOR = 0x00010000;
+
+// head.checkSumAdjustment is set so the whole font sums to this
+const CHECKSUM_MAGIC = 0xB1B0AFBA;
+
+// Seconds from 1904-01-01 (the TrueType epoch) to 1970-01-01
+const MAC_EPOCH_OFFSET = 2082844800;
+
+// Tag numbers from the WOFF2 known table list
+const WOFF2_KNOWN_TAGS = [
+    'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep'
+];
+
+// Glyph flags
+const ON_CURVE = 0x01;
+const X_SHORT = 0x02;
+const Y_SHORT = 0x04;
+const X_SAME_OR_POSITIVE = 0x10;
+const Y_SAME_OR_POSITIVE = 0x20;
+
+function pad4(buffer) {
+    const padding = (4 - buffer.length % 4) % 4;
+    return padding ? Buffer.concat([buffer, Buffer.alloc(padding)]) : buffer;
+}
+
+function checksum(buffer) {
+    const padded = pad4(buffer);
+    let sum = 0;
+    for (let offset = 0; offset < padded.length; offset += 4) {
+        sum = (sum + padded.readUInt32BE(offset)) >>> 0;
+    }
+    return sum;
+}
+
+// Buffer built from [type, value] pairs, e.g. ['u16', 1], ['i16', -5], ['tag', 'head']
+function pack(fields) {
+    const sizes = { u8: 1, u16: 2, i16: 2, u32: 4, i32: 4, tag: 4, date: 8 };
+    const buffer = Buffer.alloc(fields.reduce((total, [type]) => total + sizes[type], 0));
+    let offset = 0;
+
+    fields.forEach(([type, value]) => {
+        if (type === 'u8') buffer.writeUInt8(value, offset);
+        if (type === 'u16') buffer.writeUInt16BE(value, offset);
+        if (type === 'i16') buffer.writeInt16BE(value, offset);
+        if (type === 'u32') buffer.writeUInt32BE(value >>> 0, offset);
+        if (type === 'i32') buffer.writeInt32BE(value, offset);
+        if (type === 'tag') buffer.write(value.padEnd(4), offset, 'latin1');
+        if (type === 'date') buffer.writeBigInt64BE(BigInt(value), offset);
+        offset += sizes[type];
+    });
+    return buffer;
+}
+
+// A glyph's bounding box, or zeros when it has no contours
+function getBounds(contours) {
+    const points = contours.flat();
+    if (points.length === 0) return { xMin: 0, yMin: 0, xMax: 0, yMax: 0 };
+
+    return {
+        xMin: Math.min(...points.map(point => point.x)),
+        yMin: Math.min(...points.map(point => point.y)),
+        xMax: Math.max(...points.map(point => point.x)),
+        yMax: Math.max(...points.map(point => point.y))
+    };
+}
+
+// One simple glyph in glyf format; empty glyphs take no space at all
+function encodeGlyph(contours, bounds) {
+    if (contours.length === 0) return Buffer.alloc(0);
+
+    const endPoints = [];
+    const flags = [];
+    const xs = [];
+    const ys = [];
+    let last = { x: 0, y: 0 };
+    let count = 0;
+
+    contours.forEach(contour => {
+        contour.forEach(point => {
+            const dx = point.x - last.x;
+            const dy = point.y - last.y;
+            let flag = point.onCurve ? ON_CURVE : 0;
+
+            if (dx === 0) {
+                flag |= X_SAME_OR_POSITIVE;
+            } else if (Math.abs(dx) < 256) {
+                flag |= X_SHORT | (dx > 0 ? X_SAME_OR_POSITIVE : 0);
+                xs.push(['u8', Math.abs(dx)]);
+            } else {
+                xs.push(['i16', dx]);
+            }
+
+            if (dy === 0) {
+                flag |= Y_SAME_OR_POSITIVE;
+            } else if (Math.abs(dy) < 256) {
+                flag |= Y_SHORT | (dy > 0 ? Y_SAME_OR_POSITIVE : 0);
+                ys.push(['u8', Math.abs(dy)]);
+            } else {
+                ys.push(['i16', dy]);
+            }
+
+            flags.push(['u8', flag]);
+            last = point;
+        });
+        count += contour.length;
+        endPoints.push(['u16', count - 1]);
+    });
+
+    return pack([
+        ['i16', contours.length],
+        ['i16', bounds.xMin], ['i16', bounds.yMin], ['i16', bounds.xMax], ['i16', bounds.yMax],
+        ...endPoints,
+        ['u16', 0], // no instructions
+        ...flags,
+        ...xs,
+        ...ys
+    ]);
+}
+
+// cmap with a single format 4 subtable (Windows, Unicode BMP)
+function buildCmap(glyphs) {
+    const mapped = glyphs
+        .map((glyph, index) => ({ code: glyph.codepoint, index }))
+        .filter(entry => entry.code !== undefined)
+        .sort((a, b) => a.code - b.code);
+
+    // Runs of consecutive codepoints with consecutive glyph ids share a segment
+    const segments = [];
+    mapped.forEach(entry => {
+        const segment = segments[segments.length - 1];
+        if (segment && entry.code === segment.end + 1 && entry.index - entry.code === segment.delta) {
+            segment.end = entry.code;
+        } else {
+            segments.push({ start: entry.code, end: entry.code, delta: entry.index - entry.code });
+        }
+    });
+    segments.push({ start: 0xFFFF, end: 0xFFFF, delta: 1 });
+
+    const segCount = segments.length;
+    const searchRange = 2 * 2 ** Math.floor(Math.log2(segCount));
+    const subtable = pack([
+        ['u16', 4],
+        ['u16', 16 + segCount * 8],
+        ['u16', 0],
+        ['u16', segCount * 2],
+        ['u16', searchRange],
+        ['u16', Math.floor(Math.log2(segCount))],
+        ['u16', segCount * 2 - searchRange],
+        ...segments.map(segment => ['u16', segment.end]),
+        ['u16', 0],
+        ...segments.map(segment => ['u16', segment.start]),
+        ...segments.map(segment => ['u16', (segment.delta + 0x10000) % 0x10000]),
+        ...segments.map(() => ['u16', 0])
+    ]);
+
+    return Buffer.concat([
+        pack([['u16', 0], ['u16', 1], ['u16', 3], ['u16', 1], ['u32', 12]]),
+        subtable
+    ]);
+}
+
+function buildName(names) {
+    const records = Object.keys(names).map(Number).sort((a, b) => a - b);
+    const strings = records.map(id => Buffer.from(names[id], 'utf16le').swap16());
+    let offset = 0;
+
+    const header = pack([
+        ['u16', 0],
+        ['u16', records.length],
+        ['u16', 6 + records.length * 12],
+        ...records.flatMap((id, index) => {
+            const record = [
+                ['u16', 3], ['u16', 1], ['u16', 0x0409], ['u16', id],
+                ['u16', strings[index].length], ['u16', offset]
+            ];
+            offset += strings[index].length;
+            return record;
+        })
+    ]);
+
+    return Buffer.concat([header, ...strings]);
+}
+
+// Assemble tables into an sfnt file, with checksums and head.checkSumAdjustment
+function buildSfnt(tables) {
+    const tags = Object.keys(tables).sort();
+    const numTables = tags.length;
+    const entrySelector = Math.floor(Math.log2(numTables));
+    const searchRange = 16 * 2 ** entrySelector;
+
+    let offset = 12 + numTables * 16;
+    const records = tags.map(tag => {
+        const record = { tag, checksum: checksum(tables[tag]), offset, length: tables[tag].length };
+        offset += pad4(tables[tag]).length;
+        return record;
+    });
+
+    const font = Buffer.concat([
+        pack([['u32', TRUETYPE_FLAVOR], ['u16', numTables], ['u16', searchRange], ['u16', entrySelector], ['u16', numTables * 16 - searchRange]]),
+        ...records.map(record => pack([['tag', record.tag], ['u32', record.checksum], ['u32', record.offset], ['u32', record.length]])),
+        ...tags.map(tag => pad4(tables[tag]))
+    ]);
+
+    const head = records.find(record => record.tag === 'head');
+    font.writeUInt32BE((CHECKSUM_MAGIC - checksum(font)) >>> 0, head.offset + 8);
+    return font;
+}
+
+// Build a TrueType font.
+// glyphs: [{ name, codepoint, contours }] - glyph 0 (.notdef) is added in front
+function buildTrueTypeFont({ familyName, styleName = 'Regular', version = '1.0', unitsPerEm, ascent, descent, glyphs, created = 0 }) {
+    const allGlyphs = [{ name: '.notdef', contours: [] }, ...glyphs].map(glyph => {
+        const bounds = getBounds(glyph.contours);
+        return { ...glyph, bounds, data: pad4(encodeGlyph(glyph.contours, bounds)) };
+    });
+    const drawn = allGlyphs.filter(glyph => glyph.contours.length > 0);
+    const numGlyphs = allGlyphs.length;
+    const advance = unitsPerEm;
+
+    const fontBounds = drawn.length === 0 ? getBounds([]) : {
+        xMin: Math.min(...drawn.map(glyph => glyph.bounds.xMin)),
+        yMin: Math.min(...drawn.map(glyph => glyph.bounds.yMin)),
+        xMax: Math.max(...drawn.map(glyph => glyph.bounds.xMax)),
+        yMax: Math.max(...drawn.map(glyph => glyph.bounds.yMax))
+    };
+
+    const locations = [0];
+    allGlyphs.forEach(glyph => locations.push(locations[locations.length - 1] + glyph.data.length));
+
+    const codepoints = glyphs.map(glyph => glyph.codepoint).filter(code => code !== undefined);
+    const date = created + MAC_EPOCH_OFFSET;
+    const postScriptName = `${familyName.replace(/[^A-Za-z0-9]/g, '')}-${styleName.replace(/[^A-Za-z0-9]/g, '')}`;
+
+    const tables = {
+        head: pack([
+            ['u32', 0x00010000],
+            ['u32', Math.round(parseFloat(version) * 65536)],
+            ['u32', 0], // checkSumAdjustment, filled in by buildSfnt
+            ['u32', 0x5F0F3CF5],
+            ['u16', 0x000B],
+            ['u16', unitsPerEm],
+            ['date', date],
+            ['date', date],
+            ['i16', fontBounds.xMin], ['i16', fontBounds.yMin], ['i16', fontBounds.xMax], ['i16', fontBounds.yMax],
+            ['u16', 0],
+            ['u16', 8],
+            ['i16', 2],
+            ['i16', 1], // long loca offsets
+            ['i16', 0]
+        ]),
+        hhea: pack([
+            ['u32', 0x00010000],
+            ['i16', ascent],
+            ['i16', -descent],
+            ['i16', 0],
+            ['u16', advance],
+            ['i16', Math.min(0, ...drawn.map(glyph => glyph.bounds.xMin))],
+            ['i16', Math.min(0, ...drawn.map(glyph => advance - glyph.bounds.xMax))],
+            ['i16', Math.max(0, ...drawn.map(glyph => glyph.bounds.xMax))],
+            ['i16', 1], ['i16', 0], ['i16', 0],
+            ['i16', 0], ['i16', 0], ['i16', 0], ['i16', 0],
+            ['i16', 0],
+            ['u16', numGlyphs]
+        ]),
+        maxp: pack([
+            ['u32', 0x00010000],
+            ['u16', numGlyphs],
+            ['u16', Math.max(0, ...allGlyphs.map(glyph => glyph.contours.flat().length))],
+            ['u16', Math.max(0, ...allGlyphs.map(glyph => glyph.contours.length))],
+            ['u16', 0], ['u16', 0],
+            ['u16', 2],
+            ['u16', 0], ['u16', 0], ['u16', 0], ['u16', 0], ['u16', 0], ['u16', 0], ['u16', 0], ['u16', 0]
+        ]),
+        'OS/2': pack([
+            ['u16', 4],
+            ['i16', advance],
+            ['u16', 400],
+            ['u16', 5],
+            ['u16', 0],
+            ['i16', Math.round(unitsPerEm * 0.65)], ['i16', Math.round(unitsPerEm * 0.6)], ['i16', 0], ['i16', Math.round(unitsPerEm * 0.075)],
+            ['i16', Math.round(unitsPerEm * 0.65)], ['i16', Math.round(unitsPerEm * 0.6)], ['i16', 0], ['i16', Math.round(unitsPerEm * 0.35)],
+            ['i16', Math.round(unitsPerEm * 0.05)], ['i16', Math.round(unitsPerEm * 0.25)],
+            ['i16', 0],
+            ...Array.from({ length: 10 }, () => ['u8', 0]),
+            ['u32', 0], ['u32', 1 << 28], ['u32', 0], ['u32', 0], // Private Use Area
+            ['tag', 'SBG '],
+            ['u16', 0x0040], // regular
+            ['u16', Math.min(0xFFFF, ...codepoints)],
+            ['u16', Math.max(0, ...codepoints)],
+            ['i16', ascent], ['i16', -descent], ['i16', 0],
+            ['u16', Math.max(ascent, fontBounds.yMax)], ['u16', Math.max(descent, -fontBounds.yMin)],
+            ['u32', 1], ['u32', 0],
+            ['i16', 0], ['i16', 0],
+            ['u16', 0], ['u16', 32], ['u16', 0]
+        ]),
+        hmtx: pack(allGlyphs.flatMap(glyph => [['u16', advance], ['i16', glyph.bounds.xMin]])),
+        cmap: buildCmap(allGlyphs),
+        loca: pack(locations.map(location => ['u32', location])),
+        glyf: Buffer.concat(allGlyphs.map(glyph => glyph.data)),
+        name: buildName({
+            1: familyName,
+            2: styleName,
+            3: `${familyName} ${styleName}: Version ${version}`,
+            4: familyName,
+            5: `Version ${version}`,
+            6: postScriptName
+        }),
+        post: pack([
+            ['u32', 0x00030000],
+            ['u32', 0],
+            ['i16', -Math.round(unitsPerEm * 0.1)], ['i16', Math.round(unitsPerEm * 0.05)],
+            ['u32', 0],
+            ['u32', 0], ['u32', 0], ['u32', 0], ['u32', 0]
+        ])
+    };
+
+    return buildSfnt(tables);
+}
+
+// Tables of an sfnt file: [{ tag, checksum, data }] in file order
+function readSfntTables(font) {
+    const numTables = font.readUInt16BE(4);
+    return Array.from({ length: numTables }, (_, index) => {
+        const record = 12 + index * 16;
+        const offset = font.readUInt32BE(record + 8);
+        return {
+            tag: font.toString('latin1', record, record + 4),
+            checksum: font.readUInt32BE(record + 4),
+            data: font.subarray(offset, offset + font.readUInt32BE(record + 12))
+        };
+    });
+}
+
+// WOFF 1.0 - each table zlib-compressed (or stored, when that is smaller)
+function toWoff(font) {
+    const tables = readSfntTables(font).map(table => {
+        const compressed = zlib.deflateSync(table.data, { level: 9 });
+        return { ...table, stored: compressed.length < table.data.length ? compressed : table.data };
+    });
+
+    let offset = 44 + tables.length * 20;
+    const directory = tables.map(table => {
+        const entry = pack([
+            ['tag', table.tag], ['u32', offset], ['u32', table.stored.length], ['u32', table.data.length], ['u32', table.checksum]
+        ]);
+        offset += pad4(table.stored).length;
+        return entry;
+    });
+
+    const header = pack([
+        ['tag', 'wOFF'],
+        ['u32', font.readUInt32BE(0)],
+        ['u32', offset],
+        ['u16', tables.length],
+        ['u16', 0],
+        ['u32', font.length],
+        ['u16', 1], ['u16', 0],
+        ['u32', 0], ['u32', 0], ['u32', 0], ['u32', 0], ['u32', 0]
+    ]);
+
+    return Buffer.concat([header, ...directory, ...tables.map(table => pad4(table.stored))]);
+}
+
+// UIntBase128 (WOFF2 variable-length integer)
+function encodeBase128(value) {
+    const bytes = [value & 0x7F];
+    value = Math.floor(value / 128);
+    while (value > 0) {
+        bytes.unshift((value & 0x7F) | 0x80);
+        value = Math.floor(value / 128);
+    }
+    return Buffer.from(bytes);
+}
+
+// WOFF2 - every table in one Brotli stream; glyf and loca are stored as they are (null transform)
+function toWoff2(font) {
+    // loca has to come straight after glyf
+    const sfntTables = readSfntTables(font);
+    const loca = sfntTables.find(table => table.tag === 'loca');
+    const tables = sfntTables
+        .filter(table => table !== loca)
+        .flatMap(table => table.tag === 'glyf' && loca ? [table, loca] : [table]);
+
+    const directory = Buffer.concat(tables.map(table => {
+        const known = WOFF2_KNOWN_TAGS.indexOf(table.tag);
+        const nullTransform = table.tag === 'glyf' || table.tag === 'loca' ? 3 << 6 : 0;
+        return Buffer.concat([
+            known === -1 ? Buffer.concat([Buffer.from([63 | nullTransform]), pack([['tag', table.tag]])]) : Buffer.from([known | nullTransform]),
+            encodeBase128(table.data.length)
+        ]);
+    }));
+
+    const compressed = zlib.brotliCompressSync(Buffer.concat(tables.map(table => table.data)), {
+        params: {
+            [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_FONT,
+            [zlib.constants.BROTLI_PARAM_QUALITY]: 11
+        }
+    });
+
+    const length = 48 + directory.length + compressed.length;
+    const header = pack([
+        ['tag', 'wOF2'],
+        ['u32', font.readUInt32BE(0)],
+        ['u32', length + (4 - length % 4) % 4],
+        ['u16', tables.length],
+        ['u16', 0],
+        ['u32', font.length],
+        ['u32', compressed.length],
+        ['u16', 1], ['u16', 0],
+        ['u32', 0], ['u32', 0], ['u32', 0], ['u32', 0], ['u32', 0]
+    ]);
+
+    return pad4(Buffer.concat([header, directory, compressed]));
+}
+
+module.exports = {
+    buildTrueTypeFont,
+    toWoff,
+    toWoff2
+};
@@ -0,0 +1,47 @@
+/**
+ * Shared helpers for the Node tools: locating the repository and
+ * walking the icons/<category>/ tree.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const ICONS_DIR = path.join(ROOT, 'icons');
+
+// Sort the way `ls` does in the C locale, which is how icons-index.json is ordered
+function byCodePoint(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Every category folder under icons/
+function listCategories(iconsDir = ICONS_DIR) {
+    return fs.readdirSync(iconsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort(byCodePoint);
+}
+
+// Every SVG under icons/<category>/ as { name, category, path, file }
+function scanIconsTree(iconsDir = ICONS_DIR) {
+    const relativeRoot = path.relative(ROOT, iconsDir).split(path.sep).join('/');
+
+    return listCategories(iconsDir).flatMap(category =>
+        fs.readdirSync(path.join(iconsDir, category))
+            .filter(filename => filename.endsWith('.svg'))
+            .sort(byCodePoint)
+            .map(filename => ({
+                name: filename.replace('.svg', ''),
+                category: category,
+                path: `${relativeRoot}/${category}/${filename}`,
+                file: path.join(iconsDir, category, filename)
+            }))
+    );
+}
+
+module.exports = {
+    ROOT,
+    ICONS_DIR,
+    listCategories,
+    scanIconsTree
+};
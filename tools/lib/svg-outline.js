@@ -0,0 +1,435 @@
+/**
+ * SVG to glyph outlines for tools/build-font.js.
+ *
+ * Every filled shape (path, rect, circle, ellipse, polygon, polyline) is
+ * turned into closed contours of TrueType points - straight lines and
+ * quadratic curves, with cubic curves and arcs approximated to within
+ * half a font unit. A font has a single colour and no strokes, so:
+ * - every filled shape is drawn, whatever its colour
+ * - stroked-only shapes and shapes with a transform are skipped, with a warning
+ *
+ * Fonts fill with the non-zero rule, so contours are re-oriented by how
+ * deeply they are nested (outer clockwise, holes anticlockwise, and so
+ * on), which gives the same result as SVG's evenodd rule.
+ */
+
+const SHAPE_PATTERN = /<(path|rect|circle|ellipse|polygon|polyline|line)\b([^>]*)>/gi;
+const ATTRIBUTE_PATTERN = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+// Largest distance (in font units) between a curve and its quadratic approximation
+const CURVE_TOLERANCE = 0.5;
+
+// Arcs are drawn with one cubic per quarter turn (or part of one)
+const MAX_ARC_STEP = Math.PI / 2;
+
+function parseAttributes(source) {
+    const attributes = {};
+    let match;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+        attributes[match[1]] = match[3] !== undefined ? match[3] : match[4];
+    }
+    return attributes;
+}
+
+// Reads numbers and arc flags out of path data
+function createPathReader(d) {
+    let position = 0;
+    const skip = () => {
+        while (position < d.length && /[\s,]/.test(d[position])) position++;
+    };
+
+    return {
+        done() {
+            skip();
+            return position >= d.length;
+        },
+        peekCommand() {
+            skip();
+            return /[MmZzLlHhVvCcSsQqTtAa]/.test(d[position]) ? d[position] : null;
+        },
+        readCommand() {
+            skip();
+            return d[position++];
+        },
+        readNumber() {
+            skip();
+            const match = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(d.slice(position));
+            if (!match) throw new Error(`Bad path data near "${d.slice(position, position + 10)}"`);
+            position += match[0].length;
+            return parseFloat(match[0]);
+        },
+        // Arc flags are single digits and may be written without separators ("a1 1 0 011 1")
+        readFlag() {
+            skip();
+            const flag = d[position++];
+            if (flag !== '0' && flag !== '1') throw new Error(`Bad arc flag "${flag}" in path data`);
+            return flag === '1';
+        }
+    };
+}
+
+// Cubic curves for an SVG arc (endpoint parameterisation, SVG 1.1 appendix F.6)
+function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+    if (x1 === x2 && y1 === y2) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    // Zero radius - a straight line
+    if (rx === 0 || ry === 0) return [[{ x: x1, y: y1 }, { x: x2, y: y2 }, { x: x2, y: y2 }]];
+
+    const phi = angle * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    // Scale up radii that are too small to reach the end point
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = factor * rx * y1p / ry;
+    const cyp = -factor * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const start = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const segments = Math.max(1, Math.ceil(Math.abs(delta) / MAX_ARC_STEP - 1e-9));
+    const step = delta / segments;
+    const kappa = 4 / 3 * Math.tan(step / 4);
+    const pointAt = theta => ({
+        x: cx + rx * Math.cos(theta) * cos - ry * Math.sin(theta) * sin,
+        y: cy + rx * Math.cos(theta) * sin + ry * Math.sin(theta) * cos
+    });
+    const tangentAt = theta => ({
+        x: -rx * Math.sin(theta) * cos - ry * Math.cos(theta) * sin,
+        y: -rx * Math.sin(theta) * sin + ry * Math.cos(theta) * cos
+    });
+
+    const cubics = [];
+    for (let i = 0; i < segments; i++) {
+        const a = start + i * step;
+        const b = a + step;
+        const p0 = pointAt(a);
+        const p3 = i === segments - 1 ? { x: x2, y: y2 } : pointAt(b);
+        const t0 = tangentAt(a);
+        const t1 = tangentAt(b);
+        cubics.push([
+            { x: p0.x + kappa * t0.x, y: p0.y + kappa * t0.y },
+            { x: p3.x - kappa * t1.x, y: p3.y - kappa * t1.y },
+            p3
+        ]);
+    }
+    return cubics;
+}
+
+// Path data as subpaths of absolute segments:
+// [{ start, segments: [{ type: 'L', to } | { type: 'Q', control, to } | { type: 'C', c1, c2, to }] }]
+function parsePathData(d) {
+    const reader = createPathReader(d || '');
+    const subpaths = [];
+    let current = null;
+    let x = 0;
+    let y = 0;
+    let command = null;
+    let lastControl = null;
+    let lastType = null;
+
+    const moveTo = (nx, ny) => {
+        current = { start: { x: nx, y: ny }, segments: [] };
+        subpaths.push(current);
+        x = nx;
+        y = ny;
+    };
+    const add = segment => {
+        if (!current) moveTo(x, y);
+        current.segments.push(segment);
+        x = segment.to.x;
+        y = segment.to.y;
+    };
+
+    while (!reader.done()) {
+        if (reader.peekCommand()) {
+            command = reader.readCommand();
+        } else if (!command) {
+            throw new Error('Path data must start with a command');
+        }
+
+        const relative = command === command.toLowerCase();
+        const ox = relative ? x : 0;
+        const oy = relative ? y : 0;
+        const type = command.toUpperCase();
+
+        if (type === 'Z') {
+            if (current) {
+                x = current.start.x;
+                y = current.start.y;
+                current = null;
+            }
+            lastType = 'Z';
+            command = null;
+            continue;
+        }
+
+        if (type === 'M') {
+            moveTo(ox + reader.readNumber(), oy + reader.readNumber());
+            // Further coordinate pairs after a moveto are linetos
+            command = relative ? 'l' : 'L';
+            lastType = 'M';
+            continue;
+        }
+
+        if (type === 'L') {
+            add({ type: 'L', to: { x: ox + reader.readNumber(), y: oy + reader.readNumber() } });
+        } else if (type === 'H') {
+            add({ type: 'L', to: { x: ox + reader.readNumber(), y } });
+        } else if (type === 'V') {
+            add({ type: 'L', to: { x, y: oy + reader.readNumber() } });
+        } else if (type === 'C' || type === 'S') {
+            const reflected = lastType === 'C' && lastControl
+                ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y }
+                : { x, y };
+            const c1 = type === 'C' ? { x: ox + reader.readNumber(), y: oy + reader.readNumber() } : reflected;
+            const c2 = { x: ox + reader.readNumber(), y: oy + reader.readNumber() };
+            const to = { x: ox + reader.readNumber(), y: oy + reader.readNumber() };
+            add({ type: 'C', c1, c2, to });
+            lastControl = c2;
+            lastType = 'C';
+            continue;
+        } else if (type === 'Q' || type === 'T') {
+            const control = type === 'Q'
+                ? { x: ox + reader.readNumber(), y: oy + reader.readNumber() }
+                : (lastType === 'Q' && lastControl ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y } : { x, y });
+            const to = { x: ox + reader.readNumber(), y: oy + reader.readNumber() };
+            add({ type: 'Q', control, to });
+            lastControl = control;
+            lastType = 'Q';
+            continue;
+        } else if (type === 'A') {
+            const rx = reader.readNumber();
+            const ry = reader.readNumber();
+            const angle = reader.readNumber();
+            const largeArc = reader.readFlag();
+            const sweep = reader.readFlag();
+            const to = { x: ox + reader.readNumber(), y: oy + reader.readNumber() };
+            arcToCubics(x, y, rx, ry, angle, largeArc, sweep, to.x, to.y)
+                .forEach(([c1, c2, end]) => add({ type: 'C', c1, c2, to: end }));
+            x = to.x;
+            y = to.y;
+        } else {
+            throw new Error(`Unsupported path command "${command}"`);
+        }
+
+        lastType = type;
+        lastControl = null;
+    }
+
+    return subpaths;
+}
+
+const number = (attributes, name) => parseFloat(attributes[name]) || 0;
+
+// Path data for the basic shapes
+function shapeToPathData(tag, attributes) {
+    if (tag === 'path') return attributes.d || '';
+
+    if (tag === 'rect') {
+        const x = number(attributes, 'x');
+        const y = number(attributes, 'y');
+        const width = number(attributes, 'width');
+        const height = number(attributes, 'height');
+        let rx = attributes.rx !== undefined ? number(attributes, 'rx') : number(attributes, 'ry');
+        let ry = attributes.ry !== undefined ? number(attributes, 'ry') : rx;
+        rx = Math.min(rx, width / 2);
+        ry = Math.min(ry, height / 2);
+        if (width <= 0 || height <= 0) return '';
+        if (!rx || !ry) return `M${x} ${y}H${x + width}V${y + height}H${x}Z`;
+        return `M${x + rx} ${y}H${x + width - rx}A${rx} ${ry} 0 0 1 ${x + width} ${y + ry}` +
+            `V${y + height - ry}A${rx} ${ry} 0 0 1 ${x + width - rx} ${y + height}` +
+            `H${x + rx}A${rx} ${ry} 0 0 1 ${x} ${y + height - ry}` +
+            `V${y + ry}A${rx} ${ry} 0 0 1 ${x + rx} ${y}Z`;
+    }
+
+    if (tag === 'circle' || tag === 'ellipse') {
+        const cx = number(attributes, 'cx');
+        const cy = number(attributes, 'cy');
+        const rx = tag === 'circle' ? number(attributes, 'r') : number(attributes, 'rx');
+        const ry = tag === 'circle' ? rx : number(attributes, 'ry');
+        if (rx <= 0 || ry <= 0) return '';
+        return `M${cx - rx} ${cy}A${rx} ${ry} 0 1 0 ${cx + rx} ${cy}A${rx} ${ry} 0 1 0 ${cx - rx} ${cy}Z`;
+    }
+
+    if (tag === 'polygon' || tag === 'polyline') {
+        const points = (attributes.points || '').trim();
+        return points ? `M${points}Z` : '';
+    }
+
+    return '';
+}
+
+// Quadratic curves approximating a cubic, splitting it until each is close enough
+function cubicToQuadratics(p0, c1, c2, p3, depth = 0) {
+    const ex = p3.x - 3 * c2.x + 3 * c1.x - p0.x;
+    const ey = p3.y - 3 * c2.y + 3 * c1.y - p0.y;
+    const error = Math.sqrt(3) / 36 * Math.hypot(ex, ey);
+
+    if (error <= CURVE_TOLERANCE || depth >= 8) {
+        return [{
+            control: { x: (3 * (c1.x + c2.x) - p0.x - p3.x) / 4, y: (3 * (c1.y + c2.y) - p0.y - p3.y) / 4 },
+            to: p3
+        }];
+    }
+
+    // Split in half (de Casteljau)
+    const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    const p01 = mid(p0, c1);
+    const p12 = mid(c1, c2);
+    const p23 = mid(c2, p3);
+    const p012 = mid(p01, p12);
+    const p123 = mid(p12, p23);
+    const middle = mid(p012, p123);
+
+    return cubicToQuadratics(p0, p01, p012, middle, depth + 1)
+        .concat(cubicToQuadratics(middle, p123, p23, p3, depth + 1));
+}
+
+// Integer TrueType points for a subpath, already mapped to font units
+function subpathToContour(subpath, toFont) {
+    const points = [];
+    const push = (point, onCurve) => {
+        const mapped = toFont(point);
+        const rounded = { x: Math.round(mapped.x), y: Math.round(mapped.y), onCurve };
+        const last = points[points.length - 1];
+        if (last && last.onCurve && onCurve && last.x === rounded.x && last.y === rounded.y) return;
+        points.push(rounded);
+    };
+
+    let from = subpath.start;
+    push(from, true);
+    subpath.segments.forEach(segment => {
+        if (segment.type === 'L') {
+            push(segment.to, true);
+        } else if (segment.type === 'Q') {
+            push(segment.control, false);
+            push(segment.to, true);
+        } else {
+            cubicToQuadratics(toFont(from), toFont(segment.c1), toFont(segment.c2), toFont(segment.to))
+                .forEach(quad => {
+                    points.push({ x: Math.round(quad.control.x), y: Math.round(quad.control.y), onCurve: false });
+                    points.push({ x: Math.round(quad.to.x), y: Math.round(quad.to.y), onCurve: true });
+                });
+        }
+        from = segment.to;
+    });
+
+    // Contours close themselves - drop a final point that repeats the first
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (points.length > 1 && last.onCurve && last.x === first.x && last.y === first.y) points.pop();
+
+    return points;
+}
+
+// Twice the signed area (positive = anticlockwise with y pointing up)
+function signedArea(contour) {
+    let area = 0;
+    contour.forEach((point, index) => {
+        const next = contour[(index + 1) % contour.length];
+        area += point.x * next.y - next.x * point.y;
+    });
+    return area;
+}
+
+function containsPoint(contour, point) {
+    let inside = false;
+    for (let i = 0, j = contour.length - 1; i < contour.length; j = i++) {
+        const a = contour[i];
+        const b = contour[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Outer contours clockwise, holes anticlockwise, islands in holes clockwise...
+function orientContours(contours) {
+    return contours.map((contour, index) => {
+        const depth = contours.filter((other, otherIndex) =>
+            otherIndex !== index && containsPoint(other, contour[0])
+        ).length;
+        const clockwise = signedArea(contour) < 0;
+        const wantClockwise = depth % 2 === 0;
+        return clockwise === wantClockwise ? contour : [contour[0], ...contour.slice(1).reverse()];
+    });
+}
+
+// Glyph outline for an SVG: { contours, colours, warnings }.
+// The viewBox is scaled to `size` font units, with its bottom edge at `baseline`
+function getSvgOutline(svg, { size, baseline = 0 }) {
+    const root = /<svg\b([^>]*)>/i.exec(svg);
+    if (!root) throw new Error('Not an SVG');
+
+    const rootAttributes = parseAttributes(root[1]);
+    const viewBox = (rootAttributes.viewBox || `0 0 ${rootAttributes.width || 24} ${rootAttributes.height || 24}`)
+        .trim().split(/[\s,]+/).map(Number);
+    const [minX, minY, width, height] = viewBox;
+    const scale = size / Math.max(width, height);
+    const toFont = point => ({
+        x: (point.x - minX) * scale,
+        y: (minY + height - point.y) * scale + baseline
+    });
+
+    const contours = [];
+    const colours = new Set();
+    const warnings = [];
+    let match;
+    SHAPE_PATTERN.lastIndex = 0;
+
+    while ((match = SHAPE_PATTERN.exec(svg)) !== null) {
+        const tag = match[1].toLowerCase();
+        const attributes = parseAttributes(match[2]);
+        const fill = attributes.fill || rootAttributes.fill || '#000000';
+
+        if (fill === 'none') {
+            if (attributes.stroke && attributes.stroke !== 'none') warnings.push(`stroked <${tag}> skipped - fonts can't draw strokes`);
+            continue;
+        }
+        if (attributes.transform) {
+            warnings.push(`<${tag}> with a transform skipped`);
+            continue;
+        }
+
+        try {
+            const shapeContours = parsePathData(shapeToPathData(tag, attributes))
+                .map(subpath => subpathToContour(subpath, toFont))
+                .filter(contour => contour.length >= 3 && signedArea(contour) !== 0);
+            contours.push(...orientContours(shapeContours));
+            if (shapeContours.length > 0) colours.add(fill.toLowerCase());
+        } catch (error) {
+            warnings.push(`<${tag}> skipped - ${error.message}`);
+        }
+    }
+
+    return { contours, colours: [...colours], warnings };
+}
+
+module.exports = {
+    parseAttributes,
+    parsePathData,
+    shapeToPathData,
+    getSvgOutline
+};
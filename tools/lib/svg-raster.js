@@ -0,0 +1,225 @@
+/**
+ * A small SVG rasteriser for checking that optimised icons still render
+ * the same (tools/optimise-icons.js).
+ *
+ * Draws filled shapes in document order with their fill colour, fill-rule
+ * and opacity, anti-aliased with a grid of samples per pixel. That covers
+ * the icon set; strokes, gradients, transforms, <use> and CSS aren't drawn,
+ * and icons that need them are reported as unsupported instead of being
+ * compared wrongly.
+ */
+
+const { parsePathData, parseAttributes, shapeToPathData } = require('./svg-outline.js');
+
+const SHAPE_PATTERN = /<(path|rect|circle|ellipse|polygon|polyline|line)\b([^>]*)>/gi;
+const UNSUPPORTED_PATTERN = /<(g|use|clipPath|mask|linearGradient|radialGradient|pattern|style|image|text)\b|\stransform\s*=|\sstyle\s*=/i;
+
+// Straight segments each curve is drawn with
+const CURVE_STEPS = 16;
+
+const NAMED_COLOURS = {
+    black: [0, 0, 0],
+    white: [255, 255, 255],
+    red: [255, 0, 0],
+    currentcolor: [0, 0, 0]
+};
+
+// [r, g, b] (0-255) for a fill value
+function parseColour(value) {
+    const colour = value.trim().toLowerCase();
+    if (NAMED_COLOURS[colour]) return NAMED_COLOURS[colour];
+
+    let hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(colour);
+    if (!hex) throw new Error(`Unsupported colour "${value}"`);
+    hex = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+// Straight edges for path data, in pixels
+function getEdges(d, toPixels) {
+    const edges = [];
+    const addEdge = (from, to) => {
+        const a = toPixels(from);
+        const b = toPixels(to);
+        if (a.y === b.y) return;
+        const [top, bottom] = a.y < b.y ? [a, b] : [b, a];
+        edges.push({
+            yMin: top.y,
+            yMax: bottom.y,
+            x: top.x,
+            slope: (bottom.x - top.x) / (bottom.y - top.y),
+            direction: a.y < b.y ? 1 : -1
+        });
+    };
+
+    parsePathData(d).forEach(subpath => {
+        let current = subpath.start;
+        subpath.segments.forEach(segment => {
+            const controls = segment.type === 'C' ? [current, segment.c1, segment.c2, segment.to]
+                : segment.type === 'Q' ? [current, segment.control, segment.to]
+                : null;
+
+            if (!controls) {
+                addEdge(current, segment.to);
+            } else {
+                let previous = current;
+                for (let step = 1; step <= CURVE_STEPS; step++) {
+                    const t = step / CURVE_STEPS;
+                    let points = controls;
+                    while (points.length > 1) {
+                        points = points.slice(1).map((point, i) => ({
+                            x: points[i].x + (point.x - points[i].x) * t,
+                            y: points[i].y + (point.y - points[i].y) * t
+                        }));
+                    }
+                    addEdge(previous, points[0]);
+                    previous = points[0];
+                }
+            }
+            current = segment.to;
+        });
+        // Fills are always closed
+        addEdge(current, subpath.start);
+    });
+
+    return edges;
+}
+
+// Horizontal position of each sample row's sample within a pixel (see getCoverage)
+function getSampleOffsets(count) {
+    // Any step that shares no factor with the count visits every column once
+    let step = Math.max(1, Math.round(count * 0.3));
+    while (gcd(step, count) !== 1) step++;
+    return Array.from({ length: count }, (_, row) => ((row * step) % count + 0.5) / count);
+}
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Samples covered in each pixel for a set of edges (in pixels). Each pixel
+ * has samples x samples samples, one per row and one per column (the
+ * "n-rooks" pattern), so an edge that moves a hair can only ever flip one
+ * sample of a pixel - even a perfectly horizontal or vertical one.
+ */
+function getCoverage(edges, evenOdd, size, samples) {
+    const perPixel = samples * samples;
+    const rows = size * perPixel;
+    const offsets = getSampleOffsets(perPixel);
+    const counts = new Uint16Array(size * size);
+    const starts = Array.from({ length: rows }, () => []);
+
+    edges.forEach(edge => {
+        const first = Math.max(0, Math.ceil(edge.yMin * perPixel - 0.5));
+        if (first < rows) starts[first].push(edge);
+    });
+
+    let active = [];
+    for (let row = 0; row < rows; row++) {
+        const y = (row + 0.5) / perPixel;
+        active = active.concat(starts[row]).filter(edge => edge.yMin <= y && y < edge.yMax);
+        if (active.length === 0) continue;
+
+        const offset = offsets[row % perPixel];
+        const pixelRow = Math.floor(row / perPixel) * size;
+        const crossings = active
+            .map(edge => ({ x: edge.x + (y - edge.yMin) * edge.slope, direction: edge.direction }))
+            .sort((a, b) => a.x - b.x);
+
+        let winding = 0;
+        crossings.forEach((crossing, i) => {
+            winding += evenOdd ? 1 : crossing.direction;
+            const filled = evenOdd ? winding % 2 !== 0 : winding !== 0;
+            if (!filled || i + 1 === crossings.length) return;
+
+            // Pixels whose sample on this row falls between this crossing and the next
+            const from = Math.max(0, Math.ceil(crossing.x - offset));
+            const to = Math.min(size, Math.ceil(crossings[i + 1].x - offset));
+            for (let column = from; column < to; column++) counts[pixelRow + column]++;
+        });
+    }
+
+    return counts;
+}
+
+/**
+ * Render SVG markup to { size, pixels } - pixels is RGBA with values from
+ * 0 to 1, on a transparent background. Throws for markup it can't draw.
+ * Options: { size } in pixels, { samples } - a pixel has samples x samples samples
+ */
+function rasteriseSvg(svg, { size = 96, samples = 4 } = {}) {
+    const root = /<svg\b([^>]*)>/i.exec(svg);
+    if (!root) throw new Error('Not an SVG');
+    const unsupported = UNSUPPORTED_PATTERN.exec(svg);
+    if (unsupported) throw new Error(`Can't draw ${unsupported[0].trim()}`);
+
+    const rootAttributes = parseAttributes(root[1]);
+    const [minX, minY, width, height] = (rootAttributes.viewBox || `0 0 ${rootAttributes.width || 24} ${rootAttributes.height || 24}`)
+        .trim().split(/[\s,]+/).map(Number);
+    const scale = size / Math.max(width, height);
+    const toPixels = point => ({ x: (point.x - minX) * scale, y: (point.y - minY) * scale });
+
+    const pixels = new Float32Array(size * size * 4);
+    let match;
+    SHAPE_PATTERN.lastIndex = 0;
+
+    while ((match = SHAPE_PATTERN.exec(svg)) !== null) {
+        const tag = match[1].toLowerCase();
+        const attributes = parseAttributes(match[2]);
+        const inherited = name => attributes[name] !== undefined ? attributes[name] : rootAttributes[name];
+
+        const stroke = inherited('stroke');
+        if (stroke && stroke !== 'none') throw new Error(`Can't draw the stroke on <${tag}>`);
+
+        const fill = inherited('fill') || '#000000';
+        if (fill === 'none' || tag === 'line') continue;
+
+        const [red, green, blue] = parseColour(fill);
+        const opacity = ['opacity', 'fill-opacity'].reduce((total, name) =>
+            total * (inherited(name) !== undefined ? parseFloat(inherited(name)) : 1), 1);
+        const evenOdd = inherited('fill-rule') === 'evenodd';
+        const counts = getCoverage(getEdges(shapeToPathData(tag, attributes), toPixels), evenOdd, size, samples);
+
+        counts.forEach((count, index) => {
+            if (count === 0) return;
+            // Source-over with the covered share of the pixel as alpha
+            const alpha = count / (samples * samples) * opacity;
+            const offset = index * 4;
+            pixels[offset] = red / 255 * alpha + pixels[offset] * (1 - alpha);
+            pixels[offset + 1] = green / 255 * alpha + pixels[offset + 1] * (1 - alpha);
+            pixels[offset + 2] = blue / 255 * alpha + pixels[offset + 2] * (1 - alpha);
+            pixels[offset + 3] = alpha + pixels[offset + 3] * (1 - alpha);
+        });
+    }
+
+    return { size, samples, pixels };
+}
+
+/**
+ * Compare two renders of the same size: { maxDifference, changedPixels }.
+ * maxDifference is the biggest change in any channel, from 0 to 255.
+ */
+function compareRasters(a, b) {
+    if (a.size !== b.size) throw new Error('Renders are different sizes');
+
+    let maxDifference = 0;
+    let changedPixels = 0;
+    for (let pixel = 0; pixel < a.size * a.size; pixel++) {
+        let difference = 0;
+        for (let channel = 0; channel < 4; channel++) {
+            const index = pixel * 4 + channel;
+            difference = Math.max(difference, Math.abs(a.pixels[index] - b.pixels[index]) * 255);
+        }
+        // Ignore floating point noise well below a visible step
+        if (difference >= 0.5) changedPixels++;
+        maxDifference = Math.max(maxDifference, difference);
+    }
+
+    return { maxDifference: Math.round(maxDifference), changedPixels };
+}
+
+module.exports = {
+    rasteriseSvg,
+    compareRasters
+};
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * LINT ICONS
+ * ========================================
+ *
+ * Runs every SVG under icons/<category>/ through scripts/icon-lint.js.
+ *
+ * USAGE:
+ *   node tools/lint-icons.js                     Human-readable summary
+ *   node tools/lint-icons.js --json              Print the JSON report
+ *   node tools/lint-icons.js --output report.json  Also write the JSON report to a file
+ *   node tools/lint-icons.js --strict            Fail on warnings as well as errors
+ *
+ * Exits 1 when any icon has an error (or a warning with --strict).
+ */
+
+const fs = require('fs');
+const { scanIconsTree } = require('./lib/icons-tree.js');
+const { lintIconSet } = require('../scripts/icon-lint.js');
+
+function getOption(name) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : null;
+}
+
+function printReport(report) {
+    report.results
+        .filter(result => result.issues.length > 0)
+        .forEach(result => {
+            console.log(`\n${result.path}`);
+            result.issues.forEach(item => {
+                const marker = item.severity === 'error' ? '❌' : '⚠️ ';
+                console.log(`  ${marker} ${item.rule}: ${item.message}`);
+            });
+        });
+
+    const { icons, iconsWithIssues, errors, warnings } = report.summary;
+    console.log(`\n📊 ${icons} icons checked, ${iconsWithIssues} with issues (${errors} errors, ${warnings} warnings)`);
+}
+
+function main() {
+    const icons = scanIconsTree().map(icon => ({
+        ...icon,
+        svg: fs.readFileSync(icon.file, 'utf8')
+    }));
+
+    const report = lintIconSet(icons);
+    const output = getOption('--output');
+
+    if (output) {
+        fs.writeFileSync(output, JSON.stringify(report, null, 2) + '\n');
+    }
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+        if (output) console.log(`💾 Wrote report to ${output}`);
+    }
+
+    const failed = report.summary.errors > 0 ||
+        (process.argv.includes('--strict') && report.summary.warnings > 0);
+    // exitCode rather than exit(), so a piped --json report is flushed in full
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * OPTIMISE ICONS
+ * ========================================
+ *
+ * Writes an optimised copy of icons/ (see scripts/icon-optimise.js) and a
+ * report of the bytes saved per icon.
+ *
+ * Every optimised icon is rendered next to its original and compared pixel
+ * by pixel (tools/lib/svg-raster.js). Rounding can move an edge across a
+ * single subpixel sample, so a difference of up to one sample's worth of
+ * a pixel counts as a match. An icon that changes more is tried again
+ * with more decimals; one that still doesn't match, or that the renderer
+ * can't draw, keeps its original file in the copy and is listed in the report.
+ *
+ * USAGE:
+ *   node tools/optimise-icons.js                 Writes dist/optimised/icons/ and report.json
+ *   node tools/optimise-icons.js --out <dir>     Writes somewhere else
+ *   node tools/optimise-icons.js --precision 2   Decimals kept in path data (default 3)
+ *   node tools/optimise-icons.js --verbose       Print a line for every icon
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, scanIconsTree } = require('./lib/icons-tree.js');
+const { rasteriseSvg, compareRasters } = require('./lib/svg-raster.js');
+const { DEFAULT_PRECISION, optimiseSvg, getOptimisationSavings } = require('../scripts/icon-optimise.js');
+
+// Icons are compared at four times their 24px design size, 4x4 samples per pixel
+const RENDER_SIZE = 96;
+const RENDER_SAMPLES = 4;
+const TOLERANCE = Math.ceil(255 / (RENDER_SAMPLES * RENDER_SAMPLES));
+// Icons that only match with more decimals get them, up to this many
+const MAX_PRECISION = 6;
+
+function getOption(name) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : null;
+}
+
+const formatBytes = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+
+// Render both versions and compare them: { match, maxDifference, changedPixels } or { match: false, error }
+function checkRendering(original, optimised) {
+    try {
+        const options = { size: RENDER_SIZE, samples: RENDER_SAMPLES };
+        const comparison = compareRasters(rasteriseSvg(original, options), rasteriseSvg(optimised, options));
+        return { match: comparison.maxDifference <= TOLERANCE, ...comparison };
+    } catch (error) {
+        return { match: false, error: error.message };
+    }
+}
+
+// Optimise one icon, adding decimals until it renders the same as the original
+function optimiseIcon(icon, precision) {
+    const original = fs.readFileSync(icon.file, 'utf8');
+    let reason = null;
+
+    for (let decimals = precision; decimals <= MAX_PRECISION; decimals++) {
+        let optimised;
+        try {
+            optimised = optimiseSvg(original, { precision: decimals });
+        } catch (error) {
+            reason = error.message;
+            break;
+        }
+
+        const rendering = checkRendering(original, optimised);
+        if (rendering.match) {
+            return {
+                path: icon.path,
+                output: optimised,
+                ...getOptimisationSavings(original, optimised),
+                precision: decimals,
+                pixels: { maxDifference: rendering.maxDifference, changedPixels: rendering.changedPixels }
+            };
+        }
+
+        reason = rendering.error || `rendering changed by up to ${rendering.maxDifference}/255 in ${rendering.changedPixels} pixels`;
+        // Nothing more decimals can fix
+        if (rendering.error) break;
+    }
+
+    return { path: icon.path, output: original, ...getOptimisationSavings(original, original), kept: 'original', reason };
+}
+
+function main() {
+    const precision = getOption('--precision') !== null ? parseInt(getOption('--precision'), 10) : DEFAULT_PRECISION;
+    if (!(precision >= 0 && precision <= MAX_PRECISION)) {
+        console.error(`❌ --precision must be a whole number from 0 to ${MAX_PRECISION}`);
+        process.exit(1);
+    }
+
+    const outDir = path.resolve(getOption('--out') || path.join(ROOT, 'dist', 'optimised'));
+    const verbose = process.argv.includes('--verbose');
+    const icons = scanIconsTree();
+    console.log(`🗜️  Optimising ${icons.length} icons (${precision} decimals)...`);
+
+    const results = icons.map(icon => {
+        const result = optimiseIcon(icon, precision);
+        const file = path.join(outDir, icon.path);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, result.output);
+
+        if (verbose) {
+            const marker = result.kept ? '⚠️ ' : '✅';
+            console.log(`  ${marker} ${icon.path}: ${result.before} → ${result.after} bytes (-${result.percent}%)`);
+        }
+        delete result.output;
+        return result;
+    });
+
+    const kept = results.filter(result => result.kept);
+    const extraPrecision = results.filter(result => result.precision > precision);
+    const before = results.reduce((total, result) => total + result.before, 0);
+    const after = results.reduce((total, result) => total + result.after, 0);
+    const summary = {
+        icons: results.length,
+        optimised: results.length - kept.length,
+        keptOriginal: kept.length,
+        precision,
+        before,
+        after,
+        saved: before - after,
+        percent: before > 0 ? Math.round((before - after) / before * 1000) / 10 : 0,
+        pixelTolerance: TOLERANCE
+    };
+
+    fs.writeFileSync(path.join(outDir, 'report.json'), JSON.stringify({ summary, results }, null, 2) + '\n');
+
+    if (kept.length > 0) {
+        console.warn(`\n⚠️  ${kept.length} icons kept as they were:`);
+        kept.forEach(result => console.warn(`   ${result.path}: ${result.reason}`));
+    }
+
+    console.log(`\n🎨 ${summary.optimised} icons render the same after optimising (within ${TOLERANCE}/255 per pixel)`);
+    if (extraPrecision.length > 0) {
+        console.log(`🔍 ${extraPrecision.length} of them needed more than ${precision} decimals`);
+    }
+    console.log(`📉 ${formatBytes(before)} → ${formatBytes(after)}, saved ${formatBytes(summary.saved)} (${summary.percent}%)`);
+    console.log(`💾 Wrote the optimised icons and report.json to ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+main();
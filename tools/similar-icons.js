@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * SIMILAR ICONS
+ * ========================================
+ *
+ * Hashes every icon's shape (scripts/icon-similarity.js) and lists pairs
+ * of icons that look alike. Pairs whose pixels barely differ are likely
+ * duplicates; the rest are icons that are easy to mix up. Colour variants
+ * share their artwork, so each icon name is hashed once, from the first
+ * variant; a variant whose shape differs from it is reported too.
+ *
+ * With --write-hashes the hashes are saved to icons-hashes.json, which the
+ * gallery uses to suggest similar icons in the detail panel.
+ *
+ * USAGE:
+ *   node tools/similar-icons.js                     Print likely duplicates, write dist/similar-icons.json
+ *   node tools/similar-icons.js --distance 10       Bits two hashes may differ by (default 6)
+ *   node tools/similar-icons.js --write-hashes      Also update icons-hashes.json
+ *   node tools/similar-icons.js --out <file>        Write the report somewhere else
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, scanIconsTree } = require('./lib/icons-tree.js');
+const { rasteriseSvg } = require('./lib/svg-raster.js');
+const {
+    HASHES_FILE,
+    HASH_INPUT_SIZE,
+    DUPLICATE_DISTANCE,
+    DUPLICATE_PIXEL_SHARE,
+    computePerceptualHash,
+    getHashDistance,
+    getCoverageDifference,
+    findDuplicatePairs
+} = require('../scripts/icon-similarity.js');
+
+const HASHES_PATH = path.join(ROOT, HASHES_FILE);
+
+function getOption(name) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : null;
+}
+
+// An SVG file's coverage at the hash size, and its perceptual hash
+function hashIcon(file) {
+    const { pixels } = rasteriseSvg(fs.readFileSync(file, 'utf8'), { size: HASH_INPUT_SIZE, samples: 4 });
+    const coverage = new Float32Array(HASH_INPUT_SIZE * HASH_INPUT_SIZE);
+    for (let i = 0; i < coverage.length; i++) coverage[i] = pixels[i * 4 + 3];
+    return { coverage, perceptualHash: computePerceptualHash(coverage) };
+}
+
+const formatPair = pair => {
+    const names = pair.name > 0 ? `, names ${Math.round(pair.name * 100)}% alike` : '';
+    return `   ${pair.a.name} ↔ ${pair.b.name} (${pair.distance} bits, ${(pair.pixels * 100).toFixed(1)}% of pixels differ${names})`;
+};
+
+function main() {
+    const maxDistance = getOption('--distance') !== null ? parseInt(getOption('--distance'), 10) : DUPLICATE_DISTANCE;
+    if (!(maxDistance >= 0 && maxDistance <= 64)) {
+        console.error('❌ --distance must be a whole number from 0 to 64');
+        process.exit(1);
+    }
+
+    const files = scanIconsTree();
+    console.log(`🔍 Hashing ${files.length} icons...`);
+
+    const byName = new Map();
+    const mismatched = [];
+    const failed = [];
+
+    files.forEach(file => {
+        let hashed;
+        try {
+            hashed = hashIcon(file.file);
+        } catch (error) {
+            failed.push({ path: file.path, error: error.message });
+            return;
+        }
+
+        const first = byName.get(file.name);
+        if (!first) {
+            byName.set(file.name, { name: file.name, ...hashed, paths: [file.path] });
+            return;
+        }
+
+        first.paths.push(file.path);
+        const distance = getHashDistance(first.perceptualHash, hashed.perceptualHash);
+        if (distance > maxDistance) mismatched.push({ name: file.name, path: file.path, distance });
+    });
+
+    const icons = [...byName.values()];
+    const pairs = findDuplicatePairs(icons, { maxDistance }).map(pair => ({
+        ...pair,
+        pixels: getCoverageDifference(pair.a.coverage, pair.b.coverage)
+    }));
+    const duplicates = pairs.filter(pair => pair.pixels <= DUPLICATE_PIXEL_SHARE);
+    const lookAlikes = pairs.filter(pair => pair.pixels > DUPLICATE_PIXEL_SHARE);
+
+    if (failed.length > 0) {
+        console.warn(`\n⚠️  ${failed.length} icons could not be drawn and were left out:`);
+        failed.forEach(item => console.warn(`   ${item.path}: ${item.error}`));
+    }
+
+    if (mismatched.length > 0) {
+        console.warn(`\n⚠️  ${mismatched.length} variants don't match the shape of their first variant:`);
+        mismatched.forEach(item => console.warn(`   ${item.path} (${item.distance} bits apart)`));
+    }
+
+    if (lookAlikes.length > 0) {
+        console.log(`\n👀 ${lookAlikes.length} pairs look alike (hashes ${maxDistance} bits apart or fewer):`);
+        lookAlikes.forEach(pair => console.log(formatPair(pair)));
+    }
+
+    if (duplicates.length > 0) {
+        console.log(`\n👯 ${duplicates.length} likely duplicates (${DUPLICATE_PIXEL_SHARE * 100}% of pixels or fewer differ):`);
+        duplicates.forEach(pair => console.log(formatPair(pair)));
+    } else {
+        console.log('\n✅ No likely duplicates');
+    }
+
+    const report = {
+        _generated: Date.now(),
+        maxDistance,
+        icons: icons.length,
+        pairs: pairs.map(pair => ({
+            a: pair.a.name,
+            b: pair.b.name,
+            duplicate: pair.pixels <= DUPLICATE_PIXEL_SHARE,
+            distance: pair.distance,
+            pixelDifference: Math.round(pair.pixels * 1000) / 1000,
+            nameSimilarity: Math.round(pair.name * 100) / 100,
+            paths: [pair.a.paths[0], pair.b.paths[0]]
+        })),
+        mismatchedVariants: mismatched,
+        failed
+    };
+
+    const outFile = path.resolve(getOption('--out') || path.join(ROOT, 'dist', 'similar-icons.json'));
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(report, null, 2) + '\n');
+    console.log(`\n💾 Wrote the report to ${path.relative(process.cwd(), outFile)}`);
+
+    if (process.argv.includes('--write-hashes')) {
+        const hashes = {};
+        icons.forEach(icon => { hashes[icon.name] = icon.perceptualHash; });
+        fs.writeFileSync(HASHES_PATH, JSON.stringify(hashes, null, 2) + '\n');
+        console.log(`🔢 Wrote ${icons.length} hashes to ${HASHES_FILE}`);
+    }
+}
+
+main();